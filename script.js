@@ -4,37 +4,59 @@
 let topics = [];
 let currentTopicId = null;
 let currentSubtopicId = null;
+let currentDocumentId = null;
+let previewVersionNumber = null; // Older document version shown in the viewer
+let pendingImport = null; // Backup read by performImport, waiting for review
 let currentPDF = null;
 let pdfDoc = null;
 let pageNum = 1;
 let pageCount = 0;
-let scale = 1.2;
+const DEFAULT_SCALE = 1.2;
+let scale = DEFAULT_SCALE;
 let canvas = null;
 let ctx = null;
 let renameTargetId = null;
-let renameTargetType = null; // 'topic' or 'subtopic'
+let renameTargetType = null; // 'topic', 'subtopic', 'document' or 'workspace'
+let syncRevision = 0; // Revision of the stored tree this tab last loaded or saved
+let syncBaseTopics = '[]'; // That stored tree, to tell this tab's edits from other tabs'
 
 // Enhanced storage variables
-let db = null;
+const memoryStorage = createMemoryAdapter(); // Fallback storage
+let storage = memoryStorage; // Active storage adapter, chosen by initializeEnhancedStorage
+let deviceStorage = memoryStorage; // This browser's own backend, below any encryption or sync layer
 let storageType = 'memory'; // Will be updated based on available storage
-let inMemoryStorage = new Map(); // Fallback storage
 
 // Storage key
 const STORAGE_KEY = 'asturi_report_topics';
 const DB_NAME = 'AsturiDB';
-const DB_VERSION = 1;
+const DB_VERSION = 2; // v2 stores PDFs and Excel files as ArrayBuffers instead of base64 strings
 
 // Initialize the application
 document.addEventListener('DOMContentLoaded', async function() {
-    // Initialize PDF.js
-    pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
+    // Initialize PDF.js with the bundled worker, so documents open offline
+    pdfjsLib.GlobalWorkerOptions.workerSrc = 'vendor/pdfjs/pdf.worker.min.js';
+    setupServiceWorker();
     
     // Initialize enhanced storage
     await initializeEnhancedStorage();
     
+    // Quarters and years follow the workspace's financial year, also when migrating date ranges
+    await loadPeriodSettings();
+    await loadCustomFields();
+    
     // Load data and render
     await loadData();
+    await renderWorkspaceSwitcher();
+    setupTabSync();
+    await purgeExpiredTrash();
+    await releaseClosedTabHistoryFiles();
     renderTopics();
+    renderPeriodNavigators();
+    renderHistoryPanel();
+    setupAutoBackup();
+    await updateBackupStatus();
+    await requestPersistentStorage();
+    setupStorageMonitor();
     
     // Initialize canvas
     canvas = document.getElementById('pdf-canvas');
@@ -45,6 +67,12 @@ document.addEventListener('DOMContentLoaded', async function() {
     
     // Add right-click context menu
     setupContextMenu();
+    setupTreeHandlers();
+    setupListHandlers();
+    
+    // Open the report the URL points to; back and forward change the hash
+    window.addEventListener('hashchange', applyRoute);
+    await applyRoute();
     
     // Show enhanced system status
     await showEnhancedSystemStatus();
@@ -52,26 +80,52 @@ document.addEventListener('DOMContentLoaded', async function() {
 
 // Enhanced Storage System with multiple fallbacks
 async function initializeEnhancedStorage() {
+    let local = memoryStorage;
+    
     try {
         // Try IndexedDB first
-        db = await initializeDB();
-        storageType = 'IndexedDB';
+        const adapter = createIndexedDBAdapter();
+        await adapter.init();
+        local = adapter;
         console.log('✅ IndexedDB initialized successfully');
-        updateStorageTypeDisplay('IndexedDB + File Export/Import');
     } catch (error) {
         console.log('📦 IndexedDB not available, trying localStorage...');
         try {
-            // Test localStorage
-            localStorage.setItem('test', 'test');
-            localStorage.removeItem('test');
-            storageType = 'localStorage';
-            updateStorageTypeDisplay('localStorage + File Export/Import');
+            const adapter = createLocalStorageAdapter();
+            await adapter.init();
+            local = adapter;
         } catch (localStorageError) {
             console.log('💾 localStorage not available, using memory + file storage');
-            storageType = 'memory';
-            updateStorageTypeDisplay('Memory + File Export/Import');
         }
     }
+    
+    deviceStorage = local;
+    
+    // Data encrypted at rest is unlocked once, before anything is read
+    const encryptionHeader = await local.getSetting('atRestEncryption');
+    if (encryptionHeader) {
+        atRestEncryption = await askPassphrase({
+            title: 'Unlock ASTURI',
+            message: 'The reports stored in this browser are encrypted. Enter the passphrase to open them.',
+            cancellable: false,
+            unlock: passphrase => unlockEncryption(passphrase, encryptionHeader)
+        });
+    }
+    
+    // Each workspace is its own view of the same backend
+    const cryptoKey = atRestEncryption ? atRestEncryption.key : null;
+    currentWorkspaceId = await resolveWorkspaceId(openLocalWorkspace(DEFAULT_WORKSPACE_ID, cryptoKey));
+    local = openLocalWorkspace(currentWorkspaceId, cryptoKey);
+    
+    // With a team sync server configured, the local backend becomes its offline cache
+    const serverUrl = getSyncServerUrl();
+    storage = serverUrl ? createSyncServerAdapter(serverUrl, local, handleServerTopicsChange, currentWorkspaceId) : local;
+    if (storage !== local) {
+        await storage.init();
+    }
+    
+    storageType = storage.name;
+    updateStorageTypeDisplay(storage.label);
 }
 
 // Initialize IndexedDB
@@ -100,1620 +154,7299 @@ function initializeDB() {
             if (!database.objectStoreNames.contains('settings')) {
                 database.createObjectStore('settings', { keyPath: 'key' });
             }
+            
+            if (event.oldVersion > 0 && event.oldVersion < 2) {
+                migrateBase64Records(request.transaction.objectStore('pdfs'));
+            }
         };
     });
 }
 
-// Enhanced storage functions with multiple fallbacks
-async function saveToStorage(key, value) {
-    try {
-        if (db && storageType === 'IndexedDB') {
-            const transaction = db.transaction(['pdfs'], 'readwrite');
-            const store = transaction.objectStore('pdfs');
-            
-            const data = {
-                id: key,
-                data: value,
-                timestamp: new Date().toISOString(),
-                size: value ? new Blob([value]).size : 0
-            };
-            
-            await new Promise((resolve, reject) => {
-                const request = store.put(data);
-                request.onsuccess = () => resolve();
-                request.onerror = () => reject(request.error);
-            });
-            
-            console.log(`✅ Saved ${key} to IndexedDB (${(data.size / 1024).toFixed(1)} KB)`);
-        } else if (storageType === 'localStorage') {
-            localStorage.setItem(key, value);
-            console.log(`📦 Saved ${key} to localStorage`);
-        } else {
-            // Memory storage fallback
-            inMemoryStorage.set(key, {
-                data: value,
-                timestamp: new Date().toISOString(),
-                size: value ? new Blob([value]).size : 0
-            });
-            console.log(`💾 Saved ${key} to memory storage`);
+// One-time upgrade of base64 PDF and Excel records to ArrayBuffers (DB version 1 -> 2)
+function migrateBase64Records(store) {
+    let converted = 0;
+    
+    store.openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) {
+            if (converted > 0) {
+                console.log(`📦 Converted ${converted} base64 records to binary`);
+            }
+            return;
         }
-    } catch (error) {
-        console.error('Storage error:', error);
-        // Ultimate fallback to memory
-        inMemoryStorage.set(key, {
-            data: value,
-            timestamp: new Date().toISOString(),
-            size: value ? new Blob([value]).size : 0
-        });
-        console.log(`💾 Fallback: Saved ${key} to memory storage`);
+        
+        const record = cursor.value;
+        const isFile = record.id.startsWith('pdf_') || record.id.startsWith('excel_');
+        if (isFile && typeof record.data === 'string') {
+            try {
+                const data = base64ToArrayBuffer(record.data);
+                cursor.update({ ...record, data: data, size: data.byteLength });
+                converted++;
+            } catch (error) {
+                console.error(`Could not convert ${record.id} to binary:`, error);
+            }
+        }
+        cursor.continue();
+    };
+}
+
+// Binary helpers - PDFs and Excel files are kept as ArrayBuffers
+function isArrayBuffer(value) {
+    return Object.prototype.toString.call(value) === '[object ArrayBuffer]';
+}
+
+function toArrayBuffer(value) {
+    if (isArrayBuffer(value)) return value;
+    if (ArrayBuffer.isView(value)) {
+        return value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength);
     }
+    if (typeof value === 'string') return base64ToArrayBuffer(value);
+    return null;
 }
 
-async function getFromStorage(key) {
-    try {
-        if (db && storageType === 'IndexedDB') {
-            const transaction = db.transaction(['pdfs'], 'readonly');
-            const store = transaction.objectStore('pdfs');
-            
-            return new Promise((resolve, reject) => {
-                const request = store.get(key);
-                request.onsuccess = () => {
-                    const result = request.result;
-                    resolve(result ? result.data : null);
-                };
-                request.onerror = () => reject(request.error);
-            });
-        } else if (storageType === 'localStorage') {
-            return localStorage.getItem(key);
-        } else {
-            // Memory storage fallback
-            const item = inMemoryStorage.get(key);
-            return item ? item.data : null;
-        }
-    } catch (error) {
-        console.error('Storage retrieval error:', error);
-        // Ultimate fallback to memory
-        const item = inMemoryStorage.get(key);
-        return item ? item.data : null;
+// Only needed for records written before binary storage and for localStorage
+function base64ToArrayBuffer(base64) {
+    const binaryString = atob(base64.startsWith('data:') ? base64.split(',')[1] : base64);
+    const bytes = new Uint8Array(binaryString.length);
+    for (let i = 0; i < binaryString.length; i++) {
+        bytes[i] = binaryString.charCodeAt(i);
     }
+    return bytes.buffer;
 }
 
-// Enhanced save data function
-async function saveData() {
-    try {
-        if (db && storageType === 'IndexedDB') {
-            const transaction = db.transaction(['topics'], 'readwrite');
-            const store = transaction.objectStore('topics');
-            
-            const data = {
-                id: STORAGE_KEY,
-                data: topics,
-                timestamp: new Date().toISOString(),
-                version: '3.0'
-            };
-            
-            await new Promise((resolve, reject) => {
-                const request = store.put(data);
-                request.onsuccess = () => resolve();
-                request.onerror = () => reject(request.error);
-            });
-            
-            console.log('✅ Topics saved to IndexedDB');
-        } else if (storageType === 'localStorage') {
-            localStorage.setItem(STORAGE_KEY, JSON.stringify(topics));
-            console.log('📦 Topics saved to localStorage');
-        } else {
-            // Memory storage fallback
-            inMemoryStorage.set(STORAGE_KEY, {
-                data: topics,
-                timestamp: new Date().toISOString(),
-                version: '3.0'
-            });
-            console.log('💾 Topics saved to memory storage');
-        }
-    } catch (error) {
-        console.error('Error saving data:', error);
-        // Ultimate fallback to memory
-        inMemoryStorage.set(STORAGE_KEY, {
-            data: topics,
-            timestamp: new Date().toISOString(),
-            version: '3.0'
-        });
-        console.log('💾 Fallback: Topics saved to memory storage');
+// Encode in chunks - spreading a multi-megabyte array overflows the call stack
+function arrayBufferToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const chunkSize = 0x8000;
+    let binaryString = '';
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binaryString += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
     }
+    return btoa(binaryString);
 }
 
-// Enhanced load data function
-async function loadData() {
-    try {
-        if (db && storageType === 'IndexedDB') {
-            const transaction = db.transaction(['topics'], 'readonly');
-            const store = transaction.objectStore('topics');
-            
-            const result = await new Promise((resolve, reject) => {
-                const request = store.get(STORAGE_KEY);
-                request.onsuccess = () => resolve(request.result);
-                request.onerror = () => reject(request.error);
+function getStoredValueSize(value) {
+    if (!value) return 0;
+    if (isArrayBuffer(value) || ArrayBuffer.isView(value)) return value.byteLength;
+    return new Blob([value]).size;
+}
+
+// Storage adapters - every backend implements the same interface:
+//   init(), getFile(key), putFile(key, value), removeFile(key), listFileKeys(), getFileStats(),
+//   getSetting(key), putSetting(key, value), readTopics(), writeTopics(buildRecord)
+// Files are ArrayBuffers; getSetting resolves undefined for unknown keys. writeTopics passes the
+// stored tree record (or null) to buildRecord and writes the record it returns. The backends also
+// take the tree's key as a last argument to readTopics and writeTopics, for workspaces.
+const STORED_FILE_PREFIXES = ['pdf_', 'excel_', 'dateRange_'];
+
+function filterFileKeys(keys) {
+    return keys.filter(key => typeof key === 'string' && STORED_FILE_PREFIXES.some(prefix => key.startsWith(prefix)));
+}
+
+function createIndexedDBAdapter() {
+    let database = null;
+    
+    function request(storeName, mode, makeRequest) {
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction([storeName], mode);
+            const req = makeRequest(transaction.objectStore(storeName));
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+    
+    return {
+        name: 'IndexedDB',
+        label: 'IndexedDB + File Export/Import',
+        
+        async init() {
+            database = await initializeDB();
+        },
+        
+        async getFile(key) {
+            const record = await request('pdfs', 'readonly', store => store.get(key));
+            return record ? record.data : null;
+        },
+        
+        async putFile(key, value) {
+            // ArrayBuffers are stored natively
+            const record = {
+                id: key,
+                data: value,
+                timestamp: new Date().toISOString(),
+                size: getStoredValueSize(value)
+            };
+            await request('pdfs', 'readwrite', store => store.put(record));
+            console.log(`✅ Saved ${key} to IndexedDB (${(record.size / 1024).toFixed(1)} KB)`);
+        },
+        
+        async removeFile(key) {
+            await request('pdfs', 'readwrite', store => store.delete(key));
+            console.log(`🗑️ Removed ${key} from IndexedDB`);
+        },
+        
+        async listFileKeys() {
+            return filterFileKeys(await request('pdfs', 'readonly', store => store.getAllKeys()));
+        },
+        
+        async getFileStats() {
+            const records = await request('pdfs', 'readonly', store => store.getAll());
+            return records.map(record => ({ key: record.id, size: record.size || 0, timestamp: record.timestamp, empty: !record.data }));
+        },
+        
+        async getSetting(key) {
+            const record = await request('settings', 'readonly', store => store.get(key));
+            return record ? record.value : undefined;
+        },
+        
+        async putSetting(key, value) {
+            await request('settings', 'readwrite', store => store.put({ key: key, value: value }));
+        },
+        
+        async readTopics(topicsKey = STORAGE_KEY) {
+            const record = await request('topics', 'readonly', store => store.get(topicsKey));
+            return record && record.data ? record : null;
+        },
+        
+        writeTopics(buildRecord, topicsKey = STORAGE_KEY) {
+            // Read and write in one transaction so a save from another tab cannot land in between
+            return new Promise((resolve, reject) => {
+                const transaction = database.transaction(['topics'], 'readwrite');
+                const store = transaction.objectStore('topics');
+                const getRequest = store.get(topicsKey);
+                getRequest.onsuccess = () => {
+                    const putRequest = store.put({ ...buildRecord(getRequest.result || null), id: topicsKey });
+                    putRequest.onsuccess = () => resolve();
+                    putRequest.onerror = () => reject(putRequest.error);
+                };
+                getRequest.onerror = () => reject(getRequest.error);
             });
-            
-            if (result && result.data) {
-                topics = result.data;
-                console.log('✅ Topics loaded from IndexedDB');
-                return;
-            }
-        } else if (storageType === 'localStorage') {
-            const savedData = localStorage.getItem(STORAGE_KEY);
-            if (savedData) {
-                topics = JSON.parse(savedData);
-                console.log('📦 Topics loaded from localStorage');
-                return;
-            }
-        } else {
-            // Memory storage fallback
-            const item = inMemoryStorage.get(STORAGE_KEY);
-            if (item && item.data) {
-                topics = item.data;
-                console.log('💾 Topics loaded from memory storage');
-                return;
+        },
+        
+        async estimate() {
+            if ('storage' in navigator && 'estimate' in navigator.storage) {
+                return navigator.storage.estimate();
             }
+            return null;
         }
-        
-        // If no data found, load defaults
-        loadDefaultData();
-        await saveData();
-    } catch (error) {
-        console.error('Error loading data:', error);
-        loadDefaultData();
-        await saveData();
-    }
+    };
 }
 
-// File-based data export/import functions
-async function exportAllData() {
-    showLoading();
+function createLocalStorageAdapter() {
+    function readTopics(topicsKey) {
+        const savedData = localStorage.getItem(topicsKey);
+        if (!savedData) return null;
+        
+        // Trees saved before schema versioning are a bare array
+        const parsed = JSON.parse(savedData);
+        return Array.isArray(parsed) ? { data: parsed, version: null } : parsed;
+    }
     
-    try {
-        // Collect all data including PDFs
-        const exportData = {
-            version: '3.0',
-            timestamp: new Date().toISOString(),
-            topics: topics,
-            pdfs: {}
-        };
+    return {
+        name: 'localStorage',
+        label: 'localStorage + File Export/Import',
         
-        // Get all PDF data
-        for (const topic of getAllTopicsFlat()) {
-            if (topic.folderType === 'pdf-folder') {
-                const pdfData = await getFromStorage(`pdf_${topic.id}`);
-                if (pdfData) {
-                    exportData.pdfs[topic.id] = pdfData;
-                }
-                
-                const excelData = await getFromStorage(`excel_${topic.id}`);
-                if (excelData) {
-                    exportData.pdfs[`excel_${topic.id}`] = excelData;
-                }
-            }
-        }
+        async init() {
+            // Test localStorage
+            localStorage.setItem('test', 'test');
+            localStorage.removeItem('test');
+        },
+        
+        async getFile(key) {
+            return localStorage.getItem(key);
+        },
         
-        // Create downloadable file
-        const dataStr = JSON.stringify(exportData);
-        const dataBlob = new Blob([dataStr], { type: 'application/json' });
+        async putFile(key, value) {
+            // localStorage only holds strings, so binary files are kept as base64 here
+            localStorage.setItem(key, isArrayBuffer(value) ? arrayBufferToBase64(value) : value);
+            console.log(`📦 Saved ${key} to localStorage`);
+        },
         
-        const link = document.createElement('a');
-        link.href = URL.createObjectURL(dataBlob);
-        link.download = `asturi_backup_${new Date().toISOString().split('T')[0]}.asturi`;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(link.href);
+        async removeFile(key) {
+            localStorage.removeItem(key);
+        },
         
-        hideLoading();
-        alert('✅ Data exported successfully! Save the .asturi file to preserve your data.');
+        async listFileKeys() {
+            return filterFileKeys(Object.keys(localStorage));
+        },
         
-    } catch (error) {
-        console.error('Export error:', error);
-        hideLoading();
-        alert('❌ Error exporting data: ' + error.message);
-    }
+        async getFileStats() {
+            return filterFileKeys(Object.keys(localStorage)).map(key => {
+                const data = localStorage.getItem(key);
+                return { key: key, size: new Blob([data]).size, timestamp: null, empty: !data || data === 'null' };
+            });
+        },
+        
+        async getSetting(key) {
+            const saved = localStorage.getItem(`asturi_setting_${key}`);
+            return saved !== null ? JSON.parse(saved) : undefined;
+        },
+        
+        async putSetting(key, value) {
+            localStorage.setItem(`asturi_setting_${key}`, JSON.stringify(value));
+        },
+        
+        async readTopics(topicsKey = STORAGE_KEY) {
+            return readTopics(topicsKey);
+        },
+        
+        async writeTopics(buildRecord, topicsKey = STORAGE_KEY) {
+            localStorage.setItem(topicsKey, JSON.stringify(buildRecord(readTopics(topicsKey))));
+        }
+    };
 }
 
-function importData() {
-    document.getElementById('import-modal').style.display = 'block';
+function createMemoryAdapter() {
+    const files = new Map();
+    const settings = new Map();
+    const topicsRecords = new Map();
+    
+    return {
+        name: 'memory',
+        label: 'Memory + File Export/Import',
+        
+        async init() {},
+        
+        async getFile(key) {
+            const item = files.get(key);
+            return item ? item.data : null;
+        },
+        
+        async putFile(key, value) {
+            files.set(key, {
+                data: value,
+                timestamp: new Date().toISOString(),
+                size: getStoredValueSize(value)
+            });
+            console.log(`💾 Saved ${key} to memory storage`);
+        },
+        
+        async removeFile(key) {
+            files.delete(key);
+        },
+        
+        async listFileKeys() {
+            return filterFileKeys(Array.from(files.keys()));
+        },
+        
+        async getFileStats() {
+            return Array.from(files.entries()).map(([key, item]) => ({ key: key, size: item.size, timestamp: item.timestamp, empty: !item.data }));
+        },
+        
+        async getSetting(key) {
+            return settings.get(key);
+        },
+        
+        async putSetting(key, value) {
+            settings.set(key, value);
+        },
+        
+        async readTopics(topicsKey = STORAGE_KEY) {
+            return topicsRecords.get(topicsKey) || null;
+        },
+        
+        async writeTopics(buildRecord, topicsKey = STORAGE_KEY) {
+            topicsRecords.set(topicsKey, buildRecord(topicsRecords.get(topicsKey) || null));
+        }
+    };
 }
 
-function closeImportModal() {
-    document.getElementById('import-modal').style.display = 'none';
-    document.getElementById('import-input').value = '';
-}
+// Workspace storage adapter - every workspace keeps its own tree, files and WORKSPACE_SETTINGS in the
+// same backend. The first workspace uses the keys stored before workspaces existed; the others add
+// "ws-<id>_" after the file prefix (pdf_ws-<id>_...) and in front of the tree and setting keys.
+const DEFAULT_WORKSPACE_ID = 'default';
+const WORKSPACE_SETTINGS = ['trash', 'syncServerState', 'autoBackup', 'financialYearStart'];
 
-async function performImport() {
-    const fileInput = document.getElementById('import-input');
-    const file = fileInput.files[0];
+function createWorkspaceAdapter(inner, workspaceId) {
+    const scope = workspaceId === DEFAULT_WORKSPACE_ID ? '' : `ws-${workspaceId}_`;
+    const topicsKey = scope + STORAGE_KEY;
     
-    if (!file) {
-        alert('Please select a file to import.');
-        return;
+    function splitFileKey(key) {
+        const prefix = STORED_FILE_PREFIXES.find(candidate => key.startsWith(candidate)) || '';
+        return [prefix, key.slice(prefix.length)];
     }
     
-    showLoading();
+    function toStoredKey(key) {
+        const [prefix, rest] = splitFileKey(key);
+        return prefix + scope + rest;
+    }
     
-    try {
-        const fileContent = await readFileAsText(file);
-        const importData = JSON.parse(fileContent);
+    // The key as the app knows it, or null when the file belongs to another workspace
+    function fromStoredKey(key) {
+        const [prefix, rest] = splitFileKey(key);
+        if (!scope) return rest.startsWith('ws-') ? null : key;
+        return rest.startsWith(scope) ? prefix + rest.slice(scope.length) : null;
+    }
+    
+    function toSettingKey(key) {
+        return WORKSPACE_SETTINGS.includes(key) ? scope + key : key;
+    }
+    
+    return {
+        name: inner.name,
+        label: inner.label,
         
-        // Validate import data
-        if (!importData.topics || !Array.isArray(importData.topics)) {
-            throw new Error('Invalid data format');
-        }
+        async init() {},
         
-        // Import topics
-        topics = importData.topics;
-        await saveData();
+        async getFile(key) {
+            return inner.getFile(toStoredKey(key));
+        },
         
-        // Import PDFs if available
-        if (importData.pdfs) {
-            for (const [key, value] of Object.entries(importData.pdfs)) {
-                await saveToStorage(key.startsWith('pdf_') || key.startsWith('excel_') ? key : `pdf_${key}`, value);
-            }
-        }
+        async putFile(key, value) {
+            await inner.putFile(toStoredKey(key), value);
+        },
         
-        // Re-render everything
-        renderTopics();
-        resetMainContent();
+        async removeFile(key) {
+            await inner.removeFile(toStoredKey(key));
+        },
         
-        hideLoading();
-        closeImportModal();
-        alert('✅ Data imported successfully!');
+        async listFileKeys() {
+            return (await inner.listFileKeys()).map(fromStoredKey).filter(Boolean);
+        },
         
-    } catch (error) {
-        console.error('Import error:', error);
-        hideLoading();
-        alert('❌ Error importing data: ' + error.message);
-    }
-}
-
-function readFileAsText(file) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = e => resolve(e.target.result);
-        reader.onerror = e => reject(e);
-        reader.readAsText(file);
-    });
-}
-
-function getAllTopicsFlat(topicsList = topics) {
-    let flatList = [];
-    for (let topic of topicsList) {
-        flatList.push(topic);
-        if (topic.subtopics) {
-            flatList = flatList.concat(getAllTopicsFlat(topic.subtopics));
+        async getFileStats() {
+            return (await inner.getFileStats())
+                .map(stats => ({ ...stats, key: fromStoredKey(stats.key) }))
+                .filter(stats => stats.key);
+        },
+        
+        async getSetting(key) {
+            return inner.getSetting(toSettingKey(key));
+        },
+        
+        async putSetting(key, value) {
+            await inner.putSetting(toSettingKey(key), value);
+        },
+        
+        async readTopics() {
+            return inner.readTopics(topicsKey);
+        },
+        
+        async writeTopics(buildRecord) {
+            await inner.writeTopics(buildRecord, topicsKey);
+        },
+        
+        async estimate() {
+            return inner.estimate ? inner.estimate() : null;
         }
-    }
-    return flatList;
+    };
 }
 
-// Enhanced storage information
-async function getStorageInfo() {
-    const info = {
-        type: storageType,
-        pdfCount: 0,
-        totalSize: 0,
-        avgSize: 0,
-        topicCount: countAllItems({ subtopics: topics }) - 1,
-        lastModified: null,
-        quota: null,
-        usage: null
-    };
+// This browser's storage for one workspace, decrypted with cryptoKey when encryption at rest is on
+function openLocalWorkspace(workspaceId, cryptoKey) {
+    const scoped = createWorkspaceAdapter(deviceStorage, workspaceId);
+    return cryptoKey ? createEncryptedAdapter(scoped, cryptoKey) : scoped;
+}
 
+// Sync server adapter - a local adapter is the offline cache and every change is mirrored to a
+// team sync server (server/sync-server.js). Changes made while the server is unreachable are
+// queued and pushed once it answers again; other users' changes are pulled on a timer.
+const SYNC_SERVER_KEY = 'asturi_sync_server';
+const SYNC_POLL_INTERVAL = 30000;
+const SYNC_REQUEST_TIMEOUT = 10000;
+const DEVICE_SETTINGS = ['autoBackup', 'autoBackupDirectory', 'atRestEncryption', 'quotaWarningPercent']; // Never sent to the server
+const SHARED_SETTINGS = ['workspaces', 'templates', 'customFields']; // Stored once on the server, not per workspace
+
+function getSyncServerUrl() {
     try {
-        if (db && storageType === 'IndexedDB') {
-            const transaction = db.transaction(['pdfs'], 'readonly');
-            const store = transaction.objectStore('pdfs');
+        return localStorage.getItem(SYNC_SERVER_KEY) || '';
+    } catch (error) {
+        return '';
+    }
+}
+
+// onRemoteChange(conflicts) runs after another user's tree was written to the local cache. Each
+// workspace other than the first has its own tree, files and settings under /api/workspaces/<id>.
+function createSyncServerAdapter(serverUrl, local, onRemoteChange, workspaceId = DEFAULT_WORKSPACE_ID) {
+    const baseUrl = serverUrl.replace(/\/+$/, '');
+    const workspacePath = workspaceId === DEFAULT_WORKSPACE_ID ? '' : `/workspaces/${encodeURIComponent(workspaceId)}`;
+    let online = false;
+    let ready = false;
+    let pushing = null;
+    let pushQueued = false;
+    
+    // { serverUrl, revision, base, dirty, queue, lastSync } - read fresh each time, as other tabs share it
+    async function loadState() {
+        return await local.getSetting('syncServerState');
+    }
+    
+    // Updates run one at a time, so a push finishing cannot overwrite a change queued meanwhile
+    let stateUpdates = Promise.resolve();
+    function updateState(change) {
+        const update = stateUpdates.then(async () => {
+            const state = await loadState();
+            change(state);
+            await local.putSetting('syncServerState', state);
+            return state;
+        });
+        stateUpdates = update.catch(() => {});
+        return update;
+    }
+    
+    async function api(method, path, options = {}) {
+        const response = await fetch(`${baseUrl}/api${options.shared ? '' : workspacePath}${path}`, {
+            method: method,
+            body: options.body,
+            headers: options.body !== undefined ? { 'Content-Type': options.contentType || 'application/json' } : {},
+            // File transfers can take a while on a slow network; everything else should answer quickly
+            signal: options.contentType ? undefined : AbortSignal.timeout(SYNC_REQUEST_TIMEOUT)
+        });
+        online = true;
+        if (response.status >= 500) {
+            throw new Error(`Sync server error ${response.status}`);
+        }
+        return response;
+    }
+    
+    // Queue a file or setting change; a newer change to the same key replaces an older one
+    async function enqueue(operation) {
+        await updateState(state => {
+            state.queue = state.queue.filter(queued => queued.key !== operation.key || (queued.type === 'putSetting') !== (operation.type === 'putSetting'));
+            state.queue.push(operation);
+        });
+        push();
+    }
+    
+    async function writeLocalTopics(tree) {
+        await local.writeTopics(stored => ({
+            data: tree,
+            timestamp: new Date().toISOString(),
+            version: SCHEMA_VERSION,
+            revision: ((stored && stored.revision) || 0) + 1,
+            tabId: 'sync-server'
+        }));
+    }
+    
+    function push() {
+        if (pushing) {
+            // Changes queued while a push runs go out right after it
+            pushQueued = true;
+            return pushing;
+        }
+        pushing = pushChanges().finally(() => {
+            pushing = null;
+            if (pushQueued) {
+                pushQueued = false;
+                push();
+            }
+        });
+        return pushing;
+    }
+    
+    async function pushChanges() {
+        try {
+            let state = await loadState();
+            while (state.queue.length > 0) {
+                const operation = state.queue[0];
+                const path = operation.type === 'putSetting' ? `/settings/${encodeURIComponent(operation.key)}` : `/files/${encodeURIComponent(operation.key)}`;
+                
+                if (operation.type === 'putFile') {
+                    const data = await local.getFile(operation.key);
+                    if (data) {
+                        await api('PUT', path, { body: toArrayBuffer(data), contentType: 'application/octet-stream' });
+                    }
+                } else if (operation.type === 'removeFile') {
+                    await api('DELETE', path);
+                } else if (operation.type === 'putSetting') {
+                    await api('PUT', path, {
+                        body: JSON.stringify({ value: await local.getSetting(operation.key) }),
+                        shared: SHARED_SETTINGS.includes(operation.key)
+                    });
+                }
+                
+                state = await updateState(current => {
+                    current.queue = current.queue.filter(queued => queued.key !== operation.key || queued.type !== operation.type);
+                });
+            }
             
-            const allPDFs = await new Promise((resolve) => {
-                const request = store.getAll();
-                request.onsuccess = () => resolve(request.result || []);
-                request.onerror = () => resolve([]);
+            while (state.dirty) {
+                state = await pushTopics();
+            }
+            await updateState(current => {
+                current.lastSync = new Date().toISOString();
+            });
+        } catch (error) {
+            online = false;
+            console.log(`📴 Sync server unreachable, changes stay queued: ${error.message}`);
+        }
+    }
+    
+    async function pushTopics() {
+        const record = await local.readTopics();
+        // Cleared before the PUT, so a save while it runs marks the tree dirty again
+        let state = await updateState(current => {
+            current.dirty = false;
+        });
+        if (!record) return state;
+        
+        try {
+            const response = await api('PUT', '/topics', {
+                body: JSON.stringify({ data: record.data, version: record.version, baseRevision: state.revision })
             });
             
-            info.pdfCount = allPDFs.length;
-            info.totalSize = allPDFs.reduce((sum, pdf) => sum + (pdf.size || 0), 0);
-            info.avgSize = info.pdfCount > 0 ? info.totalSize / info.pdfCount : 0;
-            
-            if (allPDFs.length > 0) {
-                info.lastModified = Math.max(...allPDFs.map(pdf => new Date(pdf.timestamp).getTime()));
+            if (response.status === 409) {
+                // Someone saved first: merge their tree with ours and try again
+                const server = await response.json();
+                const merge = mergeTopicsTrees(JSON.parse(state.base), record.data, server.data);
+                await writeLocalTopics(merge.tree);
+                state = await updateState(current => {
+                    current.revision = server.revision;
+                    current.base = JSON.stringify(server.data);
+                    current.dirty = true;
+                });
+                console.log(`🔀 Merged changes from the sync server (revision ${server.revision})`);
+                if (ready) {
+                    await onRemoteChange(merge.conflicts);
+                }
+                return state;
             }
             
-            // Get storage quota if available
-            if ('storage' in navigator && 'estimate' in navigator.storage) {
-                const estimate = await navigator.storage.estimate();
-                info.quota = estimate.quota;
-                info.usage = estimate.usage;
+            if (!response.ok) {
+                throw new Error(`the server refused the tree (${response.status})`);
             }
-        } else if (storageType === 'localStorage') {
-            const keys = Object.keys(localStorage).filter(key => key.startsWith('pdf_'));
-            info.pdfCount = keys.length;
             
-            let totalSize = 0;
-            keys.forEach(key => {
-                const data = localStorage.getItem(key);
-                if (data) totalSize += new Blob([data]).size;
+            const result = await response.json();
+            return await updateState(current => {
+                current.revision = result.revision;
+                current.base = JSON.stringify(record.data);
             });
+        } catch (error) {
+            // Offline or refused: the tree stays queued, and pulls do not overwrite it
+            await updateState(current => {
+                current.dirty = true;
+            });
+            throw error;
+        }
+    }
+    
+    async function fetchSettings(shared) {
+        const response = await api('GET', '/settings', { shared: shared });
+        return response.ok ? await response.json() : {};
+    }
+    
+    async function pullChanges() {
+        try {
+            const response = await api('GET', '/topics');
+            let state = await loadState();
             
-            info.totalSize = totalSize;
-            info.avgSize = info.pdfCount > 0 ? totalSize / info.pdfCount : 0;
-        } else {
-            // Memory storage
-            const keys = Array.from(inMemoryStorage.keys()).filter(key => key.startsWith('pdf_'));
-            info.pdfCount = keys.length;
+            if (response.ok) {
+                const server = await response.json();
+                if (server.revision > state.revision && !state.dirty && parseSchemaVersion(server.version) <= SCHEMA_VERSION) {
+                    await writeLocalTopics(server.data);
+                    state = await updateState(current => {
+                        current.revision = server.revision;
+                        current.base = JSON.stringify(server.data);
+                    });
+                    console.log(`🔄 Pulled revision ${server.revision} from the sync server`);
+                    if (ready) {
+                        await onRemoteChange([]);
+                    }
+                }
+            }
+            
+            // Settings (such as the Trash) are shared too; queued local changes win
+            const settings = await fetchSettings(false);
+            if (workspacePath) {
+                const shared = await fetchSettings(true);
+                SHARED_SETTINGS.forEach(key => {
+                    delete settings[key];
+                    if (key in shared) settings[key] = shared[key];
+                });
+            }
+            for (const key of Object.keys(settings)) {
+                if (!state.queue.some(queued => queued.type === 'putSetting' && queued.key === key)) {
+                    await local.putSetting(key, settings[key]);
+                }
+            }
+        } catch (error) {
+            online = false;
+            console.log(`📴 Sync server unreachable: ${error.message}`);
+            return;
+        }
+        
+        await push();
+    }
+    
+    return {
+        name: 'Sync Server',
+        label: `Sync server ${baseUrl} + ${local.name} cache`,
+        
+        async init() {
+            const state = await loadState();
+            if (!state || state.serverUrl !== baseUrl) {
+                // First connection to this server: everything stored here is uploaded
+                await local.putSetting('syncServerState', {
+                    serverUrl: baseUrl,
+                    revision: 0,
+                    base: '[]',
+                    dirty: Boolean(await local.readTopics()),
+                    queue: (await local.listFileKeys()).map(key => ({ type: 'putFile', key: key })),
+                    lastSync: null
+                });
+            }
+            
+            // Start from the team's latest tree when the server answers
+            await pullChanges();
+            ready = true;
+            setInterval(pullChanges, SYNC_POLL_INTERVAL);
+            window.addEventListener('online', pullChanges);
+        },
+        
+        async getFile(key) {
+            const data = await local.getFile(key);
+            if (data) return data;
             
-            let totalSize = 0;
-            keys.forEach(key => {
-                const item = inMemoryStorage.get(key);
-                if (item) totalSize += item.size || 0;
+            // Files uploaded by other users are downloaded the first time they are opened
+            try {
+                const response = await api('GET', `/files/${encodeURIComponent(key)}`, { contentType: 'application/octet-stream' });
+                if (!response.ok) return data;
+                
+                const buffer = await response.arrayBuffer();
+                await local.putFile(key, buffer);
+                return buffer;
+            } catch (error) {
+                online = false;
+                return data;
+            }
+        },
+        
+        async putFile(key, value) {
+            await local.putFile(key, value);
+            await enqueue({ type: 'putFile', key: key });
+        },
+        
+        async removeFile(key) {
+            await local.removeFile(key);
+            await enqueue({ type: 'removeFile', key: key });
+        },
+        
+        async listFileKeys() {
+            const keys = new Set(await local.listFileKeys());
+            try {
+                const response = await api('GET', '/files');
+                if (response.ok) {
+                    (await response.json()).forEach(file => keys.add(file.key));
+                }
+            } catch (error) {
+                online = false;
+            }
+            return filterFileKeys(Array.from(keys));
+        },
+        
+        async getFileStats() {
+            return local.getFileStats();
+        },
+        
+        async getSetting(key) {
+            return local.getSetting(key);
+        },
+        
+        async putSetting(key, value) {
+            await local.putSetting(key, value);
+            if (!DEVICE_SETTINGS.includes(key)) {
+                await enqueue({ type: 'putSetting', key: key });
+            }
+        },
+        
+        async readTopics() {
+            return local.readTopics();
+        },
+        
+        async writeTopics(buildRecord) {
+            await local.writeTopics(buildRecord);
+            await updateState(state => {
+                state.dirty = true;
             });
+            push();
+        },
+        
+        async estimate() {
+            return local.estimate ? local.estimate() : null;
+        },
+        
+        async getSyncStatus() {
+            const state = await loadState();
+            return {
+                server: baseUrl,
+                online: online,
+                pending: state.queue.length + (state.dirty ? 1 : 0),
+                lastSync: state.lastSync
+            };
+        }
+    };
+}
+
+// Encryption - AES-GCM with a 256-bit key derived from a passphrase (PBKDF2). A header holds the
+// salt and a known value encrypted with the key, so a wrong passphrase is caught before any data is read.
+const ENCRYPTION_ITERATIONS = 310000;
+const ENCRYPTION_CHECK_VALUE = 'asturi-encryption-check';
+const MIN_PASSPHRASE_LENGTH = 8;
+let atRestEncryption = null; // { header, key } once this browser's encrypted storage is unlocked
+
+async function deriveEncryptionKey(passphrase, header) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt: base64ToArrayBuffer(header.salt), iterations: header.iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+// A fresh salt and key for a new passphrase; resolves { header, key }
+async function createEncryption(passphrase) {
+    const header = {
+        algorithm: 'AES-GCM',
+        kdf: 'PBKDF2-SHA-256',
+        iterations: ENCRYPTION_ITERATIONS,
+        salt: arrayBufferToBase64(crypto.getRandomValues(new Uint8Array(16)))
+    };
+    const key = await deriveEncryptionKey(passphrase, header);
+    header.check = arrayBufferToBase64(await encryptBytes(key, new TextEncoder().encode(ENCRYPTION_CHECK_VALUE)));
+    return { header, key };
+}
+
+// Resolves { header, key }, or null when the passphrase is wrong
+async function unlockEncryption(passphrase, header) {
+    const key = await deriveEncryptionKey(passphrase, header);
+    try {
+        const check = new TextDecoder().decode(await decryptBytes(key, base64ToArrayBuffer(header.check)));
+        return check === ENCRYPTION_CHECK_VALUE ? { header, key } : null;
+    } catch (error) {
+        // AES-GCM refuses to decrypt with the wrong key
+        return null;
+    }
+}
+
+function isSupportedEncryption(header) {
+    return Boolean(header) && header.algorithm === 'AES-GCM' && header.kdf === 'PBKDF2-SHA-256' &&
+        typeof header.salt === 'string' && typeof header.check === 'string';
+}
+
+// Encrypted bytes are a random 12-byte IV followed by the ciphertext
+async function encryptBytes(key, data) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, data);
+    const result = new Uint8Array(iv.length + ciphertext.byteLength);
+    result.set(iv);
+    result.set(new Uint8Array(ciphertext), iv.length);
+    return result.buffer;
+}
+
+function decryptBytes(key, data) {
+    const bytes = new Uint8Array(data);
+    return crypto.subtle.decrypt({ name: 'AES-GCM', iv: bytes.slice(0, 12) }, key, bytes.slice(12));
+}
+
+async function encryptJSON(key, value) {
+    return arrayBufferToBase64(await encryptBytes(key, new TextEncoder().encode(JSON.stringify(value))));
+}
+
+async function decryptJSON(key, base64) {
+    return JSON.parse(new TextDecoder().decode(await decryptBytes(key, base64ToArrayBuffer(base64))));
+}
+
+// Encrypted storage adapter - wraps this browser's backend so files, the topics tree and the
+// settings in ENCRYPTED_SETTINGS are only stored encrypted. Values written before encryption
+// was turned on are read as they are. The sync server, when used, still receives plain data.
+const ENCRYPTED_FILE_MARKER = new TextEncoder().encode('ASTURIENC1');
+const ENCRYPTED_SETTINGS = ['trash', 'syncServerState', 'workspaces', 'templates', 'customFields']; // These hold item names or a copy of the tree
+
+function createEncryptedAdapter(inner, cryptoKey) {
+    function isEncryptedFile(bytes) {
+        return bytes.length > ENCRYPTED_FILE_MARKER.length && ENCRYPTED_FILE_MARKER.every((byte, i) => bytes[i] === byte);
+    }
+    
+    async function decryptRecord(record) {
+        // Plain trees are arrays; an encrypted tree is a base64 string
+        if (!record || typeof record.data !== 'string') return record;
+        return { ...record, data: await decryptJSON(cryptoKey, record.data) };
+    }
+    
+    // Whether the stored record is still the one a write was prepared from
+    function isSameRecord(a, b) {
+        return JSON.stringify(a && [a.revision, a.timestamp, a.tabId]) === JSON.stringify(b && [b.revision, b.timestamp, b.tabId]);
+    }
+    
+    return {
+        name: inner.name,
+        label: `${inner.label} (encrypted)`,
+        
+        async init() {},
+        
+        async getFile(key) {
+            const data = await inner.getFile(key);
+            if (!data) return data;
+            
+            const bytes = new Uint8Array(toArrayBuffer(data));
+            return isEncryptedFile(bytes) ? decryptBytes(cryptoKey, bytes.subarray(ENCRYPTED_FILE_MARKER.length)) : data;
+        },
+        
+        async putFile(key, value) {
+            const encrypted = new Uint8Array(await encryptBytes(cryptoKey, toArrayBuffer(value)));
+            const stored = new Uint8Array(ENCRYPTED_FILE_MARKER.length + encrypted.length);
+            stored.set(ENCRYPTED_FILE_MARKER);
+            stored.set(encrypted, ENCRYPTED_FILE_MARKER.length);
+            await inner.putFile(key, stored.buffer);
+        },
+        
+        async removeFile(key) {
+            await inner.removeFile(key);
+        },
+        
+        async listFileKeys() {
+            return inner.listFileKeys();
+        },
+        
+        async getFileStats() {
+            return inner.getFileStats();
+        },
+        
+        async getSetting(key) {
+            const value = await inner.getSetting(key);
+            if (!ENCRYPTED_SETTINGS.includes(key) || !value || typeof value.encrypted !== 'string') return value;
+            return decryptJSON(cryptoKey, value.encrypted);
+        },
+        
+        async putSetting(key, value) {
+            if (ENCRYPTED_SETTINGS.includes(key) && value !== undefined && value !== null) {
+                value = { encrypted: await encryptJSON(cryptoKey, value) };
+            }
+            await inner.putSetting(key, value);
+        },
+        
+        async readTopics() {
+            return decryptRecord(await inner.readTopics());
+        },
+        
+        async writeTopics(buildRecord) {
+            // Encrypting is asynchronous and cannot happen inside the backend's read-modify-write,
+            // so the record is prepared first and only written if nobody saved in the meantime
+            for (;;) {
+                const stored = await inner.readTopics();
+                const record = buildRecord(await decryptRecord(stored));
+                const encrypted = { ...record, data: await encryptJSON(cryptoKey, record.data) };
+                
+                let replaced = false;
+                await inner.writeTopics(current => {
+                    current = current && current.data ? current : null;
+                    if (!isSameRecord(current, stored)) {
+                        replaced = true;
+                        return current;
+                    }
+                    return encrypted;
+                });
+                if (!replaced) return;
+            }
+        },
+        
+        async estimate() {
+            return inner.estimate ? inner.estimate() : null;
+        }
+    };
+}
+
+// Storage functions - the active adapter, with memory as the ultimate fallback
+async function saveToStorage(key, value) {
+    try {
+        await storage.putFile(key, value);
+    } catch (error) {
+        console.error('Storage error:', error);
+        // Ultimate fallback to memory
+        await memoryStorage.putFile(key, value);
+        console.log(`💾 Fallback: Saved ${key} to memory storage`);
+    }
+    scheduleStorageUsageUpdate();
+}
+
+async function getFromStorage(key) {
+    try {
+        return await storage.getFile(key);
+    } catch (error) {
+        console.error('Storage retrieval error:', error);
+        // Ultimate fallback to memory
+        return await memoryStorage.getFile(key);
+    }
+}
+
+async function removeFromStorage(key) {
+    try {
+        await storage.removeFile(key);
+    } catch (error) {
+        console.error('Storage removal error:', error);
+        await memoryStorage.removeFile(key);
+    }
+    scheduleStorageUsageUpdate();
+}
+
+// Settings live in their own store so they survive tree imports
+async function saveSetting(key, value) {
+    try {
+        await storage.putSetting(key, value);
+    } catch (error) {
+        console.error('Settings error:', error);
+        await memoryStorage.putSetting(key, value);
+    }
+    broadcastSync({ type: 'setting-changed', key: key });
+}
+
+async function getSetting(key, defaultValue = null) {
+    let value;
+    try {
+        value = await storage.getSetting(key);
+    } catch (error) {
+        console.error('Settings retrieval error:', error);
+        value = await memoryStorage.getSetting(key);
+    }
+    return value === undefined ? defaultValue : value;
+}
+
+// Enhanced save data function
+async function saveData() {
+    if (saveBlockedReason) {
+        console.warn(`⚠️ Topics not saved: ${saveBlockedReason}`);
+        return;
+    }
+    
+    let reconciled = { merged: false, conflicts: [] };
+    const buildRecord = stored => {
+        reconciled = reconcileWithStoredTopics(stored);
+        return createTopicsRecord();
+    };
+    
+    try {
+        await storage.writeTopics(buildRecord);
+        console.log(`✅ Topics saved to ${storageType}`);
+    } catch (error) {
+        console.error('Error saving data:', error);
+        // Ultimate fallback to memory
+        await memoryStorage.writeTopics(buildRecord);
+        console.log('💾 Fallback: Topics saved to memory storage');
+    }
+    
+    syncBaseTopics = JSON.stringify(topics);
+    broadcastSync({ type: 'topics-changed', revision: syncRevision, conflicts: reconciled.conflicts, overriddenTab: reconciled.overriddenTab });
+    
+    if (reconciled.merged) {
+        renderTopics();
+        await refreshSelection();
+    }
+    if (reconciled.conflicts.length > 0) {
+        alert(`⚠️ These items were also changed in another tab:\n\n${reconciled.conflicts.map(name => `• ${name}`).join('\n')}\n\nYour changes were kept.`);
+    }
+}
+
+function createTopicsRecord() {
+    return {
+        data: topics,
+        timestamp: new Date().toISOString(),
+        version: SCHEMA_VERSION,
+        revision: syncRevision,
+        tabId: TAB_ID
+    };
+}
+
+// Set when the stored tree must not be overwritten because it was saved by a newer version of
+// the app or could not be loaded. Edits still show but are not saved.
+let saveBlockedReason = null;
+
+// Enhanced load data function
+async function loadData() {
+    try {
+        const stored = await storage.readTopics();
+        
+        if (stored) {
+            console.log(`✅ Topics loaded from ${storageType}`);
+            topics = stored.data;
+            syncRevision = stored.revision || 0;
+            syncBaseTopics = JSON.stringify(stored.data);
             
-            info.totalSize = totalSize;
-            info.avgSize = info.pdfCount > 0 ? totalSize / info.pdfCount : 0;
+            if (parseSchemaVersion(stored.version) > SCHEMA_VERSION) {
+                saveBlockedReason = 'the data was saved by a newer version of the app';
+                alert('⚠️ This data was saved by a newer version of the ASTURI app. Please update the app before making changes - changes made now will not be saved.');
+                return;
+            }
+            
+            const migration = await migrateTopicsTree(topics, stored.version, getFromStorage);
+            for (const step of migration.applied) {
+                if (step.migrateStorage) {
+                    await step.migrateStorage(migration.failures);
+                }
+            }
+            if (migration.applied.length > 0) {
+                await saveData();
+                console.log(`🔧 Upgraded topics from schema ${migration.fromVersion} to ${migration.toVersion}`);
+            }
+            if (migration.failures.length > 0) {
+                alert(`⚠️ Some records could not be upgraded and were left unchanged:\n\n${formatMigrationFailures(migration.failures)}`);
+            }
+            return;
+        }
+        
+        // If no data found, load defaults
+        loadDefaultData();
+        await saveData();
+    } catch (error) {
+        // The stored tree is left as it is, so a fixed or newer version of the app can still load it
+        console.error('Error loading data:', error);
+        topics = [];
+        saveBlockedReason = 'the stored data could not be loaded';
+        alert('❌ Error loading the saved data: ' + error.message + '\n\nIt was left unchanged, and changes made now will not be saved.');
+    }
+}
+
+// Cross-tab sync - every save bumps the tree revision and tells the other tabs over a
+// BroadcastChannel. A save that finds a newer revision stored merges item by item first.
+const SYNC_CHANNEL_NAME = 'asturi-sync';
+const TAB_ID = Math.random().toString(36).slice(2);
+let syncChannel = null;
+
+function setupTabSync() {
+    if (!('BroadcastChannel' in window)) {
+        console.log('⚠️ BroadcastChannel not available - tabs will not sync');
+        return;
+    }
+    
+    syncChannel = new BroadcastChannel(SYNC_CHANNEL_NAME);
+    syncChannel.onmessage = event => handleSyncMessage(event.data);
+}
+
+function broadcastSync(message) {
+    if (syncChannel) {
+        syncChannel.postMessage({ ...message, tabId: TAB_ID, workspaceId: currentWorkspaceId });
+    }
+}
+
+async function handleSyncMessage(message) {
+    // Another tab turned encryption at rest on or off and rewrote the stored data
+    if (message.type === 'encryption-changed') {
+        location.reload();
+        return;
+    }
+    
+    // The list of workspaces is shared; everything else only concerns tabs with the same workspace open
+    if (message.type === 'setting-changed' && message.key === 'workspaces') {
+        await renderWorkspaceSwitcher();
+        return;
+    }
+    if (message.type === 'setting-changed' && message.key === 'templates') {
+        if (document.getElementById('templates-modal').style.display === 'block') {
+            await renderTemplates();
+        }
+        return;
+    }
+    if (message.type === 'setting-changed' && message.key === 'customFields') {
+        await loadCustomFields();
+        refreshMetadata();
+        if (document.getElementById('fields-modal').style.display === 'block') {
+            renderFieldDefinitions();
+        }
+        return;
+    }
+    if (message.workspaceId !== currentWorkspaceId) return;
+    
+    if (message.type === 'setting-changed') {
+        if (message.key === 'trash') {
+            updateTrashButton(await getTrash());
+            if (document.getElementById('trash-modal').style.display === 'block') {
+                await renderTrash();
+            }
+        }
+        if (message.key === 'financialYearStart') {
+            await loadPeriodSettings();
+            const selected = parsePeriod(currentPeriod);
+            await setCurrentPeriod(selected ? getPeriodContaining(selected.type, formatMonthKey(selected.start)) : null);
+        }
+        return;
+    }
+    
+    if (message.type !== 'topics-changed' || message.revision <= syncRevision) return;
+    
+    const adopted = await adoptStoredTopics();
+    if (adopted && message.overriddenTab === TAB_ID && message.conflicts.length > 0) {
+        alert(`⚠️ Another tab changed these items at the same time as you:\n\n${message.conflicts.map(name => `• ${name}`).join('\n')}\n\nThe other tab's changes were kept.`);
+    }
+}
+
+// The sync server adapter wrote other users' changes to local storage
+async function handleServerTopicsChange(conflicts) {
+    if (await adoptStoredTopics()) {
+        broadcastSync({ type: 'topics-changed', revision: syncRevision, conflicts: [] });
+    }
+    updateTrashButton(await getTrash());
+    
+    if (conflicts.length > 0) {
+        alert(`⚠️ These items were also changed by someone else on the sync server:\n\n${conflicts.map(name => `• ${name}`).join('\n')}\n\nYour changes were kept.`);
+    }
+}
+
+// Show a tree another tab or the sync server saved. Returns false when there was nothing newer.
+async function adoptStoredTopics() {
+    const stored = await storage.readTopics();
+    if (!stored || (stored.revision || 0) <= syncRevision || parseSchemaVersion(stored.version) > SCHEMA_VERSION) return false;
+    
+    // An edit here is still being saved; that save merges the other changes
+    if (getChangedItemIds(JSON.parse(syncBaseTopics), topics).size > 0) return false;
+    
+    const selectedBefore = JSON.stringify(findTopicById(currentSubtopicId));
+    const baseTree = JSON.parse(syncBaseTopics);
+    topics = stored.data;
+    syncRevision = stored.revision;
+    syncBaseTopics = JSON.stringify(topics);
+    
+    await rebaseHistory(baseTree, topics);
+    renderTopics();
+    updateTrashButton(await getTrash());
+    if (JSON.stringify(findTopicById(currentSubtopicId)) !== selectedBefore) {
+        await refreshSelection();
+    }
+    console.log(`🔄 Synced revision ${syncRevision}`);
+    return true;
+}
+
+// Called inside saveData with the stored record, before it is overwritten
+function reconcileWithStoredTopics(stored) {
+    const storedRevision = stored ? stored.revision || 0 : 0;
+    const result = { merged: false, conflicts: [], overriddenTab: null };
+    
+    if (stored && storedRevision > syncRevision && stored.tabId !== TAB_ID) {
+        const merge = mergeTopicsTrees(JSON.parse(syncBaseTopics), topics, stored.data);
+        topics = merge.tree;
+        result.merged = true;
+        result.conflicts = merge.conflicts;
+        result.overriddenTab = stored.tabId;
+        console.log(`🔀 Merged changes from another tab (revision ${storedRevision})`);
+    }
+    
+    syncRevision = Math.max(syncRevision, storedRevision) + 1;
+    return result;
+}
+
+// Flatten a tree to id -> { item, parentId, position, signature }. The signature covers an
+// item's own fields and parent but not expand/collapse, which is not an edit.
+function indexTreeItems(tree) {
+    const index = new Map();
+    
+    function walk(items, parentId) {
+        items.forEach((item, position) => {
+            const { subtopics, expanded, ...fields } = item;
+            index.set(item.id, {
+                item: item,
+                parentId: parentId,
+                position: position,
+                signature: JSON.stringify([parentId, fields])
+            });
+            if (subtopics) {
+                walk(subtopics, item.id);
+            }
+        });
+    }
+    
+    walk(tree, null);
+    return index;
+}
+
+function getChangedItemIds(baseTree, tree) {
+    const base = indexTreeItems(baseTree);
+    const current = indexTreeItems(tree);
+    const changed = new Set();
+    
+    current.forEach((entry, id) => {
+        if (!base.has(id) || base.get(id).signature !== entry.signature) {
+            changed.add(id);
+        }
+    });
+    base.forEach((entry, id) => {
+        if (!current.has(id)) {
+            changed.add(id);
+        }
+    });
+    return changed;
+}
+
+// Three-way merge: items changed here keep this tab's version, everything else takes the
+// stored version. Returns the merged tree and the names of items both sides changed.
+function mergeTopicsTrees(baseTree, localTree, remoteTree) {
+    const base = indexTreeItems(baseTree);
+    const local = indexTreeItems(localTree);
+    const remote = indexTreeItems(remoteTree);
+    const localChanges = getChangedItemIds(baseTree, localTree);
+    const remoteChanges = getChangedItemIds(baseTree, remoteTree);
+    
+    const conflicts = [];
+    const chosen = [];
+    new Set([...local.keys(), ...remote.keys()]).forEach(id => {
+        const source = remoteChanges.has(id) && !localChanges.has(id) ? remote : local;
+        if (localChanges.has(id) && remoteChanges.has(id)) {
+            const localEntry = local.get(id);
+            const remoteEntry = remote.get(id);
+            if (!localEntry || !remoteEntry || localEntry.signature !== remoteEntry.signature) {
+                conflicts.push((base.get(id) || localEntry || remoteEntry).item.name);
+            }
+        }
+        if (source.has(id)) {
+            chosen.push(source.get(id));
+        }
+    });
+    
+    // Rebuild the tree; items whose parent was deleted on the other side move to the top level
+    const nodes = new Map(chosen.map(entry => {
+        const { subtopics, ...fields } = entry.item;
+        const node = { ...fields };
+        if (subtopics) {
+            node.subtopics = [];
+        }
+        return [entry.item.id, node];
+    }));
+    
+    const tree = [];
+    chosen.sort((a, b) => a.position - b.position).forEach(entry => {
+        const parent = nodes.get(entry.parentId);
+        (parent && parent.subtopics ? parent.subtopics : tree).push(nodes.get(entry.item.id));
+    });
+    
+    return { tree: tree, conflicts: conflicts };
+}
+
+// Schema versioning - the stored tree carries the schema version it was saved with,
+// and older trees are upgraded one step at a time on load and on import
+const SCHEMA_VERSION = 6;
+
+const SCHEMA_MIGRATIONS = [
+    {
+        from: 3,
+        to: 4,
+        description: 'Canonical item shape, document lists and version history',
+        migrate: async (tree, context) => {
+            canonicalizeTree(tree, context.failures);
+            await upgradeDocumentRecords(tree, context.readFile);
+        }
+    },
+    {
+        from: 4,
+        to: 5,
+        description: 'UUID string IDs for items and documents',
+        migrate: async tree => {
+            migrateItemIds(tree);
+        },
+        // Only run on load: the Trash and the date range files are kept next to the stored tree
+        migrateStorage: migrateStoredItemIds
+    },
+    {
+        from: 5,
+        to: 6,
+        description: 'Accounting periods from the date ranges of PDF folders',
+        migrate: async (tree, context) => {
+            const migrateFolders = async (items, parentPath) => {
+                for (const item of items) {
+                    if (!item || typeof item !== 'object') continue;
+                    
+                    const path = parentPath ? `${parentPath} / ${item.name}` : item.name;
+                    const value = item.folderType === 'pdf-folder' ? await context.readFile(`dateRange_${item.id}`) : null;
+                    const reason = value ? applyStoredDateRange(item, value) : null;
+                    if (reason) {
+                        context.failures.push({ path: path, reason: reason });
+                    }
+                    if (Array.isArray(item.subtopics)) {
+                        await migrateFolders(item.subtopics, path);
+                    }
+                }
+            };
+            await migrateFolders(tree, '');
+        },
+        migrateStorage: migrateStoredDateRanges
+    }
+];
+
+function parseSchemaVersion(version) {
+    // Trees from before migrations were checked are stamped '3.0' or carry no version at all
+    const parsed = parseInt(version, 10);
+    return Number.isFinite(parsed) && parsed > 3 ? parsed : 3;
+}
+
+// Run every migration step between the stored version and SCHEMA_VERSION on a tree in place.
+// readFile(key) looks up stored files for steps that need them.
+async function migrateTopicsTree(tree, storedVersion, readFile) {
+    if (!Array.isArray(tree)) {
+        throw new Error('Invalid data format: the topics tree is not a list');
+    }
+    
+    const result = {
+        fromVersion: parseSchemaVersion(storedVersion),
+        toVersion: SCHEMA_VERSION,
+        applied: [],
+        failures: []
+    };
+    
+    if (result.fromVersion > SCHEMA_VERSION) {
+        throw new Error(`This data was saved by a newer version of the app (schema ${result.fromVersion})`);
+    }
+    
+    let version = result.fromVersion;
+    while (version < SCHEMA_VERSION) {
+        const step = SCHEMA_MIGRATIONS.find(migration => migration.from === version);
+        if (!step) {
+            throw new Error(`No migration available from schema version ${version}`);
+        }
+        
+        await step.migrate(tree, { readFile: readFile, failures: result.failures });
+        result.applied.push(step);
+        version = step.to;
+    }
+    
+    return result;
+}
+
+// Canonical item: { id, name, folderType, expanded, createdDate, ... } with `subtopics` on
+// folders and `documents` on PDF folders. Records that cannot be fixed are reported and left alone.
+function canonicalizeTree(tree, failures = []) {
+    const seenIds = new Set();
+    
+    function canonicalize(items, parentPath, isTopLevel) {
+        items.forEach((item, index) => {
+            if (!item || typeof item !== 'object') {
+                failures.push({ path: `${parentPath || 'Top level'} #${index + 1}`, reason: 'not an item record' });
+                return;
+            }
+            if (typeof item.name !== 'string' || !item.name.trim()) {
+                failures.push({ path: `${parentPath || 'Top level'} #${index + 1}`, reason: 'item has no name' });
+                return;
+            }
+            
+            const path = parentPath ? `${parentPath} / ${item.name}` : item.name;
+            
+            // Topics render as folders by default, nested items as PDF folders
+            if (!item.folderType) {
+                item.folderType = Array.isArray(item.subtopics) || isTopLevel ? 'folder' : 'pdf-folder';
+            }
+            if (item.folderType !== 'folder' && item.folderType !== 'pdf-folder') {
+                failures.push({ path: path, reason: `unknown item type "${item.folderType}"` });
+                return;
+            }
+            if (item.folderType === 'pdf-folder' && Array.isArray(item.subtopics) && item.subtopics.length > 0) {
+                failures.push({ path: path, reason: 'PDF folder contains sub-items' });
+                return;
+            }
+            
+            // Duplicate or missing IDs make findTopicById ambiguous
+            if ((typeof item.id !== 'number' && typeof item.id !== 'string') || seenIds.has(item.id)) {
+                item.id = generateId();
+            }
+            seenIds.add(item.id);
+            
+            // The icon is derived from folderType when rendering
+            delete item.icon;
+            item.expanded = Boolean(item.expanded);
+            item.createdDate = item.createdDate || item.uploadDate || null;
+            
+            if (item.folderType === 'folder') {
+                if (!Array.isArray(item.subtopics)) {
+                    item.subtopics = [];
+                }
+                canonicalize(item.subtopics, path, false);
+            } else {
+                delete item.subtopics;
+            }
+        });
+    }
+    
+    canonicalize(tree, '', true);
+    return failures;
+}
+
+// Trash entries and date range files still named after numeric item IDs
+async function migrateStoredItemIds() {
+    const trash = await getTrash();
+    if (trash.some(entry => typeof entry.id === 'number' || typeof entry.parentId === 'number')) {
+        trash.forEach(entry => {
+            if (typeof entry.id === 'number') {
+                entry.id = legacyIdToUuid(entry.id);
+            }
+            if (typeof entry.parentId === 'number') {
+                entry.parentId = legacyIdToUuid(entry.parentId);
+            }
+            migrateItemIds([entry.item]);
+        });
+        await saveSetting('trash', trash);
+    }
+    
+    for (const key of await storage.listFileKeys()) {
+        const itemId = key.startsWith('dateRange_') ? Number(key.slice('dateRange_'.length)) : NaN;
+        if (Number.isFinite(itemId)) {
+            await saveToStorage(`dateRange_${legacyIdToUuid(itemId)}`, await getFromStorage(key));
+            await removeFromStorage(key);
+        }
+    }
+}
+
+function formatMigrationFailures(failures) {
+    return failures.map(failure => `• ${failure.path}: ${failure.reason}`).join('\n');
+}
+
+// File-based data export/import functions
+const ARCHIVE_FORMAT = 'asturi-archive';
+const ARCHIVE_VERSION = 1;
+const ARCHIVE_ENCRYPTION_ENTRY = 'encryption.json';
+
+// List the stored files belonging to the tree as archive entries, with the checksum recorded for PDFs
+function collectArchiveFiles() {
+    const files = [];
+    for (const topic of getAllTopicsFlat()) {
+        if (topic.folderType !== 'pdf-folder') continue;
+        for (const doc of getFolderDocuments(topic)) {
+            for (const key of getDocumentStorageKeys(doc)) {
+                const version = (doc.versions || []).find(v => v.storageKey === key);
+                files.push({
+                    key: key,
+                    path: `files/${key}.${key.startsWith('excel_') ? 'xlsx' : 'pdf'}`,
+                    sha256: version && version.sha256 ? version.sha256 : undefined
+                });
+            }
+        }
+    }
+    return files;
+}
+
+// Write the tree and every stored file to a sink; returns the file entries written.
+// onProgress(message, done, total) follows updateLoadingProgress. With encryption ({ header, key })
+// every entry is encrypted, and encryption.json holds the header in plain text to check the passphrase.
+async function writeBackupArchive(sink, onProgress = () => {}, encryption = null) {
+    const writer = createArchiveWriter(sink);
+    const files = collectArchiveFiles();
+    const written = [];
+    const seal = data => encryption ? encryptBytes(encryption.key, data) : data;
+    
+    if (encryption) {
+        await writer.addEntry(ARCHIVE_ENCRYPTION_ENTRY, new TextEncoder().encode(JSON.stringify(encryption.header)));
+    }
+    
+    for (let i = 0; i < files.length; i++) {
+        onProgress(`Exporting file ${i + 1} of ${files.length}...`, i, files.length);
+        const data = await getFromStorage(files[i].key);
+        if (!data) continue;
+        
+        const bytes = toArrayBuffer(data);
+        await writer.addEntry(files[i].path, await seal(bytes));
+        written.push({ ...files[i], size: bytes.byteLength });
+    }
+    
+    // The manifest goes last so it only lists entries that were actually written
+    const manifest = {
+        format: ARCHIVE_FORMAT,
+        archiveVersion: ARCHIVE_VERSION,
+        version: SCHEMA_VERSION,
+        timestamp: new Date().toISOString(),
+        workspace: currentWorkspaceName,
+        customFields: customFields,
+        topics: topics,
+        files: written
+    };
+    onProgress('Writing manifest...', files.length, files.length);
+    await writer.addEntry('manifest.json', await seal(new TextEncoder().encode(JSON.stringify(manifest))));
+    await writer.finish();
+    return written;
+}
+
+// Workspaces - one tree, set of documents and backup file per company. The list of workspaces is a
+// setting they all share; the open one is remembered for this tab and for tabs opened later.
+const WORKSPACE_KEY = 'asturi_workspace';
+const DEFAULT_WORKSPACE_NAME = 'Main Workspace';
+let currentWorkspaceId = DEFAULT_WORKSPACE_ID;
+let currentWorkspaceName = DEFAULT_WORKSPACE_NAME; // Kept up to date by renderWorkspaceSwitcher
+
+async function getWorkspaces() {
+    const workspaces = await getSetting('workspaces', []);
+    return workspaces.length > 0 ? workspaces : [{ id: DEFAULT_WORKSPACE_ID, name: DEFAULT_WORKSPACE_NAME, createdDate: null }];
+}
+
+// The workspace this tab had open, else the one last opened in this browser, else the first
+async function resolveWorkspaceId(adapter) {
+    let workspaceId = null;
+    try {
+        workspaceId = sessionStorage.getItem(WORKSPACE_KEY) || localStorage.getItem(WORKSPACE_KEY);
+    } catch (error) {
+        // Storage is blocked; the first workspace opens
+    }
+    
+    const workspaces = (await adapter.getSetting('workspaces')) || [];
+    return workspaces.some(workspace => workspace.id === workspaceId) ? workspaceId : DEFAULT_WORKSPACE_ID;
+}
+
+// A name as used in file names, e.g. "Asturi Sdn. Bhd." becomes "asturi-sdn-bhd"
+function toFileLabel(name, fallback) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || fallback;
+}
+
+// The open workspace's name as used in backup file names
+function getWorkspaceFileLabel() {
+    return toFileLabel(currentWorkspaceName, 'workspace');
+}
+
+async function renderWorkspaceSwitcher() {
+    const select = document.getElementById('workspace-select');
+    const workspaces = await getWorkspaces();
+    
+    select.innerHTML = '';
+    workspaces.forEach(workspace => {
+        select.add(new Option(workspace.name, workspace.id, false, workspace.id === currentWorkspaceId));
+        if (workspace.id === currentWorkspaceId) {
+            currentWorkspaceName = workspace.name;
+        }
+    });
+    document.title = `${currentWorkspaceName} - ASTURI Report Accounting System`;
+}
+
+// Opening another workspace swaps the storage adapter, so the app reloads
+function switchWorkspace(workspaceId) {
+    if (workspaceId === currentWorkspaceId) return;
+    
+    try {
+        sessionStorage.setItem(WORKSPACE_KEY, workspaceId);
+        localStorage.setItem(WORKSPACE_KEY, workspaceId);
+    } catch (error) {
+        alert('❌ The workspace could not be opened: ' + error.message);
+        renderWorkspaceSwitcher();
+        return;
+    }
+    location.reload();
+}
+
+async function showNewWorkspaceModal() {
+    document.getElementById('workspace-name').value = '';
+    const template = document.getElementById('workspace-template');
+    template.innerHTML = '';
+    (await getTemplates()).forEach(entry => template.add(new Option(`Template: ${entry.name}`, entry.id)));
+    template.add(new Option(`Folders of ${currentWorkspaceName} (without documents)`, 'current'));
+    template.add(new Option('Empty', 'empty'));
+    document.getElementById('workspace-modal').style.display = 'block';
+    document.getElementById('workspace-name').focus();
+}
+
+function closeWorkspaceModal() {
+    document.getElementById('workspace-modal').style.display = 'none';
+}
+
+// The open workspace's folders and reports, without their documents
+function copyFolderStructure(tree) {
+    const now = new Date().toISOString();
+    const copy = JSON.parse(JSON.stringify(tree));
+    getAllTopicsFlat(copy).forEach(item => {
+        item.createdDate = now;
+        delete item.lastModified;
+        if (item.folderType === 'pdf-folder') {
+            item.documents = [];
+        }
+    });
+    return copy;
+}
+
+async function createWorkspace() {
+    const name = document.getElementById('workspace-name').value.trim();
+    const template = document.getElementById('workspace-template').value;
+    const workspaces = await getWorkspaces();
+    
+    if (!name) {
+        alert('Please enter a name for the workspace.');
+        return;
+    }
+    if (workspaces.some(workspace => workspace.name.toLowerCase() === name.toLowerCase())) {
+        alert(`A workspace named "${name}" already exists.`);
+        return;
+    }
+    
+    const workspace = {
+        id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        name: name,
+        createdDate: new Date().toISOString()
+    };
+    let tree = [];
+    if (template === 'current') {
+        tree = copyFolderStructure(topics);
+    } else if (template !== 'empty') {
+        const chosen = await findTemplate(template);
+        tree = chosen ? createTreeFromTemplate(chosen.items, Boolean(chosen.builtIn)) : [];
+    }
+    
+    try {
+        // The tree is written before the workspace is listed, so it never opens empty by mistake
+        const target = openLocalWorkspace(workspace.id, atRestEncryption ? atRestEncryption.key : null);
+        await target.writeTopics(() => ({
+            data: tree,
+            timestamp: workspace.createdDate,
+            version: SCHEMA_VERSION,
+            revision: 1,
+            tabId: TAB_ID
+        }));
+        await saveSetting('workspaces', [...workspaces, workspace]);
+    } catch (error) {
+        console.error('Workspace error:', error);
+        alert('❌ Error creating workspace: ' + error.message);
+        return;
+    }
+    
+    console.log(`🏢 Created workspace ${name}`);
+    closeWorkspaceModal();
+    switchWorkspace(workspace.id);
+}
+
+function initiateWorkspaceRename() {
+    renameTargetId = currentWorkspaceId;
+    renameTargetType = 'workspace';
+    document.getElementById('rename-input').value = currentWorkspaceName;
+    document.getElementById('rename-modal').style.display = 'block';
+    document.getElementById('rename-input').focus();
+    document.getElementById('rename-input').select();
+}
+
+async function renameWorkspace(workspaceId, newName) {
+    const workspaces = await getWorkspaces();
+    if (workspaces.some(workspace => workspace.id !== workspaceId && workspace.name.toLowerCase() === newName.toLowerCase())) {
+        alert(`A workspace named "${newName}" already exists.`);
+        return;
+    }
+    
+    await saveSetting('workspaces', workspaces.map(workspace => workspace.id === workspaceId ? { ...workspace, name: newName } : workspace));
+    await renderWorkspaceSwitcher();
+}
+
+// Export options dialog
+function showExportOptions() {
+    document.getElementById('export-encrypt').checked = false;
+    document.getElementById('export-modal').style.display = 'block';
+}
+
+function closeExportModal() {
+    document.getElementById('export-modal').style.display = 'none';
+}
+
+// Export writes a .asturi archive entry by entry, so only one file is held in memory at a time
+async function exportAllData() {
+    const fileName = `asturi_backup_${getWorkspaceFileLabel()}_${new Date().toISOString().split('T')[0]}.asturi`;
+    const encrypt = document.getElementById('export-encrypt').checked;
+    let sink;
+    
+    closeExportModal();
+    
+    try {
+        sink = await createArchiveSink(fileName);
+    } catch (error) {
+        // The user closed the save dialog
+        if (error.name === 'AbortError') return;
+        console.error('Export error:', error);
+        alert('❌ Error exporting data: ' + error.message);
+        return;
+    }
+    
+    // Asked after the save dialog, which browsers only open straight from a click
+    let encryption = null;
+    if (encrypt) {
+        encryption = await askPassphrase({
+            title: 'Encrypt Backup',
+            message: 'Choose a passphrase for this backup. It is needed to import the backup and cannot be recovered if lost.',
+            repeat: true,
+            unlock: passphrase => createEncryption(passphrase)
+        });
+        if (!encryption) {
+            if (sink.abort) {
+                await sink.abort();
+            }
+            return;
+        }
+    }
+    
+    showLoading();
+    
+    try {
+        const written = await writeBackupArchive(sink, updateLoadingProgress, encryption);
+        
+        hideLoading();
+        alert(`✅ Data exported successfully! ${written.length} files saved to ${fileName}${encryption ? ' (encrypted)' : ''}. Keep the .asturi file to preserve your data.`);
+        
+    } catch (error) {
+        console.error('Export error:', error);
+        if (sink.abort) {
+            await sink.abort();
+        }
+        hideLoading();
+        alert('❌ Error exporting data: ' + error.message);
+    }
+}
+
+function importData() {
+    document.getElementById('import-modal').style.display = 'block';
+    updateRadioSelection('import-mode');
+}
+
+function closeImportModal() {
+    document.getElementById('import-modal').style.display = 'none';
+    document.getElementById('import-input').value = '';
+}
+
+// Read the chosen backup and show what the import will change before anything is written
+async function performImport() {
+    const fileInput = document.getElementById('import-input');
+    const file = fileInput.files[0];
+    const mode = document.querySelector('input[name="import-mode"]:checked').value;
+    
+    if (!file) {
+        alert('Please select a file to import.');
+        return;
+    }
+    
+    showLoading();
+    
+    try {
+        updateLoadingProgress('Reading backup...');
+        const source = await openImportSource(file, async header => {
+            hideLoading();
+            const encryption = await askPassphrase({
+                title: 'Encrypted Backup',
+                message: `${file.name} is encrypted. Enter the passphrase it was exported with.`,
+                unlock: passphrase => unlockEncryption(passphrase, header)
+            });
+            showLoading();
+            return encryption;
+        });
+        const fileMap = new Map(source.files.map(entry => [entry.key, entry]));
+        
+        // Bring the backup up to the current schema before comparing it with local data
+        const migration = await migrateTopicsTree(source.topics, source.version, key => fileMap.has(key) ? fileMap.get(key).read() : null);
+        cleanImportedMetadata(source.topics);
+        
+        updateLoadingProgress('Comparing with current data...');
+        pendingImport = {
+            source: source,
+            fileMap: fileMap,
+            migration: migration,
+            plan: mode === 'merge' ? planMergeImport(source.topics) : planReplaceImport(source.topics)
+        };
+        
+        hideLoading();
+        closeImportModal();
+        showImportReview();
+        
+    } catch (error) {
+        hideLoading();
+        // The passphrase dialog was cancelled
+        if (error.name === 'AbortError') return;
+        console.error('Import error:', error);
+        alert('❌ Error importing data: ' + error.message);
+    }
+}
+
+function countDocuments(tree) {
+    return getAllTopicsFlat(tree).reduce((sum, item) => sum + getFolderDocuments(item).length, 0);
+}
+
+function planReplaceImport(incomingTopics) {
+    return {
+        mode: 'replace',
+        topics: incomingTopics,
+        localItems: getAllTopicsFlat().length,
+        localDocuments: countDocuments(topics),
+        incomingItems: getAllTopicsFlat(incomingTopics).length,
+        incomingDocuments: countDocuments(incomingTopics)
+    };
+}
+
+// Walk the incoming tree alongside the local one. Items are matched by ID, then by name within the
+// same parent; unmatched items are added, and documents present on both sides become conflicts.
+function planMergeImport(incomingTopics) {
+    const plan = {
+        mode: 'merge',
+        additions: [],
+        documentAdditions: [],
+        conflicts: [],
+        metadata: [],
+        identical: 0
+    };
+    
+    const localById = new Map(getAllTopicsFlat().map(item => [item.id, item]));
+    
+    function mergeLevel(incomingItems, localItems, localParent, parentPath) {
+        for (const incoming of incomingItems) {
+            const folderType = incoming.folderType || 'folder';
+            const path = parentPath ? `${parentPath} / ${incoming.name}` : incoming.name;
+            
+            let local = localById.get(incoming.id);
+            if (!local || (local.folderType || 'folder') !== folderType) {
+                local = localItems.find(item =>
+                    item.name.toLowerCase() === incoming.name.toLowerCase() && (item.folderType || 'folder') === folderType);
+            }
+            
+            if (!local) {
+                plan.additions.push({ parent: localParent, item: incoming, path: path });
+                continue;
+            }
+            
+            const metadata = getMissingMetadata(incoming, local);
+            if (metadata) {
+                plan.metadata.push({ item: local, path: path, ...metadata });
+            }
+            if (folderType === 'pdf-folder') {
+                mergeDocuments(incoming, local, path);
+            } else if (incoming.subtopics) {
+                mergeLevel(incoming.subtopics, local.subtopics || [], local, path);
+            }
+        }
+    }
+    
+    function mergeDocuments(incomingFolder, localFolder, path) {
+        for (const incoming of getFolderDocuments(incomingFolder)) {
+            const local = getFolderDocuments(localFolder).find(doc =>
+                doc.id === incoming.id || doc.fileName.toLowerCase() === incoming.fileName.toLowerCase());
+            
+            if (!local) {
+                plan.documentAdditions.push({ folder: localFolder, doc: incoming, path: path });
+            } else if (local.size === incoming.size && local.uploadDate === incoming.uploadDate && local.currentVersion === incoming.currentVersion) {
+                plan.identical++;
+            } else {
+                plan.conflicts.push({ folder: localFolder, path: path, local: local, incoming: incoming, resolution: 'local' });
+            }
+        }
+    }
+    
+    mergeLevel(incomingTopics, topics, null, '');
+    return plan;
+}
+
+// Give an incoming document an ID and storage keys that cannot collide with local data.
+// Returns the copies { from, to } needed to bring its files in from the backup.
+function rekeyIncomingDocument(doc, folderId, usedDocumentIds, forceNewId) {
+    if (forceNewId || usedDocumentIds.has(doc.id)) {
+        doc.id = generateId();
+    }
+    usedDocumentIds.add(doc.id);
+    
+    const copies = [];
+    for (const version of doc.versions || []) {
+        const key = getDocumentStorageKey(folderId, doc.id, version.version);
+        copies.push({ from: version.storageKey, to: key });
+        version.storageKey = key;
+    }
+    if (doc.excelKey) {
+        const key = `excel_${folderId}_${doc.id}`;
+        copies.push({ from: doc.excelKey, to: key });
+        doc.excelKey = key;
+    }
+    
+    const current = getCurrentVersion(doc);
+    if (current) {
+        doc.storageKey = current.storageKey;
+    }
+    return copies;
+}
+
+// Fresh IDs for an incoming subtree wherever they clash with local items
+function rekeyIncomingSubtree(item, usedItemIds, usedDocumentIds) {
+    if (usedItemIds.has(item.id)) {
+        item.id = generateId();
+    }
+    usedItemIds.add(item.id);
+    
+    let copies = [];
+    for (const doc of getFolderDocuments(item)) {
+        copies = copies.concat(rekeyIncomingDocument(doc, item.id, usedDocumentIds, false));
+    }
+    for (const child of item.subtopics || []) {
+        copies = copies.concat(rekeyIncomingSubtree(child, usedItemIds, usedDocumentIds));
+    }
+    return copies;
+}
+
+function getImportedFileName(fileName) {
+    return fileName.replace(/(\.pdf)?$/i, ' (imported)$1');
+}
+
+// Import review dialog
+function showImportReview() {
+    const { plan, migration, source } = pendingImport;
+    const summary = document.getElementById('import-review-summary');
+    const conflicts = document.getElementById('import-review-conflicts');
+    
+    const migrationInfo = `
+        ${source.workspace && source.workspace !== currentWorkspaceName ? `
+            <div class="storage-stat storage-warning">
+                <span class="storage-stat-label">Backup of another workspace</span>
+                <span class="storage-stat-value">${escapeHtml(source.workspace)} → ${escapeHtml(currentWorkspaceName)}</span>
+            </div>
+        ` : ''}
+        ${migration.applied.length > 0 ? `
+            <div class="storage-stat">
+                <span class="storage-stat-label">Backup schema</span>
+                <span class="storage-stat-value">v${migration.fromVersion} → v${migration.toVersion}</span>
+            </div>
+        ` : ''}
+        ${migration.failures.length > 0 ? `
+            <div class="storage-stat storage-warning">
+                <span class="storage-stat-label">Records that could not be upgraded</span>
+                <span class="storage-stat-value">${migration.failures.length}</span>
+            </div>
+            <ul class="import-change-list import-failure-list">
+                ${migration.failures.map(failure => `<li><i class="fas fa-exclamation-triangle"></i> ${escapeHtml(failure.path)}: ${escapeHtml(failure.reason)}</li>`).join('')}
+            </ul>
+        ` : ''}
+    `;
+    
+    if (plan.mode === 'replace') {
+        summary.innerHTML = `
+            <div class="storage-stat storage-warning">
+                <span class="storage-stat-label">Current data to be replaced</span>
+                <span class="storage-stat-value">${plan.localItems} items, ${plan.localDocuments} documents</span>
+            </div>
+            <div class="storage-stat">
+                <span class="storage-stat-label">Data from backup</span>
+                <span class="storage-stat-value">${plan.incomingItems} items, ${plan.incomingDocuments} documents</span>
+            </div>
+            ${migrationInfo}
+        `;
+        conflicts.innerHTML = '';
+    } else {
+        const addedItems = plan.additions.reduce((sum, addition) => sum + countAllItems(addition.item), 0);
+        const addedDocuments = plan.additions.reduce((sum, addition) => sum + countDocuments([addition.item]), 0) + plan.documentAdditions.length;
+        
+        summary.innerHTML = `
+            <div class="storage-stat">
+                <span class="storage-stat-label">New folders and reports</span>
+                <span class="storage-stat-value">${addedItems}</span>
+            </div>
+            <div class="storage-stat">
+                <span class="storage-stat-label">New documents</span>
+                <span class="storage-stat-value">${addedDocuments}</span>
+            </div>
+            <div class="storage-stat">
+                <span class="storage-stat-label">Items gaining tags or fields</span>
+                <span class="storage-stat-value">${plan.metadata.length}</span>
+            </div>
+            <div class="storage-stat">
+                <span class="storage-stat-label">Identical documents (skipped)</span>
+                <span class="storage-stat-value">${plan.identical}</span>
+            </div>
+            <div class="storage-stat ${plan.conflicts.length > 0 ? 'storage-warning' : ''}">
+                <span class="storage-stat-label">Conflicts</span>
+                <span class="storage-stat-value">${plan.conflicts.length}</span>
+            </div>
+            ${migrationInfo}
+            ${plan.additions.length + plan.documentAdditions.length + plan.metadata.length > 0 ? `
+                <ul class="import-change-list">
+                    ${plan.additions.map(addition => `<li><i class="fas fa-plus"></i> ${escapeHtml(addition.path)}</li>`).join('')}
+                    ${plan.documentAdditions.map(addition => `<li><i class="fas fa-file-pdf"></i> ${escapeHtml(addition.path)} / ${escapeHtml(addition.doc.fileName)}</li>`).join('')}
+                    ${plan.metadata.map(change => `<li><i class="fas fa-tags"></i> ${escapeHtml(change.path)}</li>`).join('')}
+                </ul>
+            ` : ''}
+        `;
+        
+        conflicts.innerHTML = plan.conflicts.length === 0 ? '' : `
+            <div class="import-conflicts-header">
+                <span>Resolve conflicts</span>
+                <span>
+                    All:
+                    <button data-action="keep-local">Keep local</button>
+                    <button data-action="keep-incoming">Keep incoming</button>
+                    <button data-action="keep-both">Keep both</button>
+                </span>
+            </div>
+            ${plan.conflicts.map((conflict, index) => `
+                <div class="import-conflict" data-id="${index}">
+                    <div class="import-conflict-path">${escapeHtml(conflict.path)}</div>
+                    <div class="import-conflict-sides">
+                        ${renderConflictSide('Local', conflict.local)}
+                        ${renderConflictSide('Incoming', conflict.incoming)}
+                    </div>
+                    <div class="import-conflict-choices">
+                        ${[['local', 'Keep local'], ['incoming', 'Keep incoming'], ['both', 'Keep both']].map(([value, label]) => `
+                            <label>
+                                <input type="radio" name="conflict-${index}" value="${value}" ${conflict.resolution === value ? 'checked' : ''}>
+                                ${label}
+                            </label>
+                        `).join('')}
+                    </div>
+                </div>
+            `).join('')}
+        `;
+    }
+    
+    document.getElementById('import-review-modal').style.display = 'block';
+}
+
+function renderConflictSide(label, doc) {
+    return `
+        <div class="import-conflict-side">
+            <strong>${label}</strong>
+            <span>${escapeHtml(doc.fileName)}</span>
+            <small>${formatDate(doc.uploadDate)}</small>
+            <small>${formatBytes(doc.size || 0)}${doc.versions && doc.versions.length > 1 ? ` · v${doc.currentVersion}` : ''}</small>
+        </div>
+    `;
+}
+
+function setImportResolution(index, resolution) {
+    pendingImport.plan.conflicts[index].resolution = resolution;
+}
+
+function setAllImportResolutions(resolution) {
+    pendingImport.plan.conflicts.forEach(conflict => { conflict.resolution = resolution; });
+    showImportReview();
+}
+
+function closeImportReview() {
+    document.getElementById('import-review-modal').style.display = 'none';
+    pendingImport = null;
+}
+
+// Write the reviewed import
+async function confirmImport() {
+    if (!pendingImport) return;
+    const { source, fileMap, plan } = pendingImport;
+    
+    document.getElementById('import-review-modal').style.display = 'none';
+    showLoading();
+    
+    // Imported PDFs are checked against the checksums in the backup's tree; merging rekeys
+    // versions in place, so they are indexed by their keys in the backup first
+    const incomingVersions = indexVersionsByStorageKey(source.topics);
+    const mismatched = [];
+    const importFile = async (fromKey, toKey, entry) => {
+        const data = await entry.read();
+        const version = incomingVersions.get(fromKey);
+        if (data && (await verifyVersionIntegrity(version, data)).status === 'mismatch') {
+            mismatched.push(toKey);
+        }
+        await saveToStorage(toKey, data);
+    };
+    
+    try {
+        if (plan.mode === 'replace') {
+            // Import PDFs one entry at a time, before the tree, so a damaged backup leaves the current tree alone
+            for (let i = 0; i < source.files.length; i++) {
+                const entry = source.files[i];
+                updateLoadingProgress(`Importing file ${i + 1} of ${source.files.length}...`, i, source.files.length);
+                await importFile(entry.key, entry.key, entry);
+            }
+            
+            // Import topics
+            topics = plan.topics;
+        } else {
+            await applyMergeImport(plan, fileMap, importFile);
+        }
+        
+        await saveData();
+        await clearHistory();
+        await importCustomFields(source.customFields);
+        
+        // Re-render everything
+        renderTopics();
+        resetMainContent();
+        
+        hideLoading();
+        pendingImport = null;
+        if (mismatched.length > 0) {
+            alert(`⚠️ Data imported, but ${mismatched.length} file${mismatched.length === 1 ? '' : 's'} did not match the checksums in the backup and ${mismatched.length === 1 ? 'has' : 'have'} been flagged. The backup may be damaged.`);
+        } else {
+            alert('✅ Data imported successfully!');
+        }
+        
+    } catch (error) {
+        console.error('Import error:', error);
+        hideLoading();
+        pendingImport = null;
+        alert('❌ Error importing data: ' + error.message);
+    }
+}
+
+// importFile(fromKey, toKey, entry) writes one file from the backup
+async function applyMergeImport(plan, fileMap, importFile) {
+    const usedItemIds = new Set(getAllTopicsFlat().map(item => item.id));
+    const usedDocumentIds = new Set(getAllTopicsFlat().flatMap(item => getFolderDocuments(item).map(doc => doc.id)));
+    const now = new Date().toISOString();
+    let copies = [];
+    const treeChanges = [];
+    const replacedKeys = [];
+    
+    for (const addition of plan.additions) {
+        copies = copies.concat(rekeyIncomingSubtree(addition.item, usedItemIds, usedDocumentIds));
+        treeChanges.push(() => {
+            const siblings = addition.parent ? (addition.parent.subtopics = addition.parent.subtopics || []) : topics;
+            siblings.push(addition.item);
+        });
+    }
+    
+    for (const addition of plan.documentAdditions) {
+        copies = copies.concat(rekeyIncomingDocument(addition.doc, addition.folder.id, usedDocumentIds, false));
+        treeChanges.push(() => addition.folder.documents.push(addition.doc));
+    }
+    
+    for (const change of plan.metadata) {
+        treeChanges.push(() => {
+            if (change.tags.length > 0) {
+                change.item.tags = getItemTags(change.item).concat(change.tags);
+            }
+            if (Object.keys(change.fields).length > 0) {
+                change.item.fields = { ...change.item.fields, ...change.fields };
+            }
+            change.item.lastModified = now;
+        });
+    }
+    
+    for (const conflict of plan.conflicts) {
+        if (conflict.resolution === 'local') continue;
+        
+        copies = copies.concat(rekeyIncomingDocument(conflict.incoming, conflict.folder.id, usedDocumentIds, true));
+        if (conflict.resolution === 'both') {
+            conflict.incoming.fileName = getImportedFileName(conflict.incoming.fileName);
+            treeChanges.push(() => conflict.folder.documents.push(conflict.incoming));
+        } else {
+            replacedKeys.push(...getDocumentStorageKeys(conflict.local));
+            treeChanges.push(() => {
+                const index = conflict.folder.documents.indexOf(conflict.local);
+                conflict.folder.documents.splice(index, 1, conflict.incoming);
+            });
+        }
+    }
+    
+    // Files first, so a damaged backup leaves the current tree alone
+    for (let i = 0; i < copies.length; i++) {
+        updateLoadingProgress(`Importing file ${i + 1} of ${copies.length}...`, i, copies.length);
+        const entry = fileMap.get(copies[i].from);
+        if (entry) {
+            await importFile(copies[i].from, copies[i].to, entry);
+        }
+    }
+    
+    treeChanges.forEach(change => change());
+    
+    plan.documentAdditions.concat(plan.conflicts.filter(conflict => conflict.resolution !== 'local')).forEach(change => {
+        change.folder.lastModified = now;
+    });
+    
+    for (const key of replacedKeys) {
+        await removeFromStorage(key);
+    }
+}
+
+// Open a backup file as { topics, files: [{ key, read() }] }, for both .asturi archives and old JSON backups.
+// requestEncryption(header) resolves { header, key } for an encrypted archive, or null to cancel.
+async function openImportSource(file, requestEncryption) {
+    const signature = new Uint8Array(await file.slice(0, 4).arrayBuffer());
+    const isArchive = signature[0] === 0x50 && signature[1] === 0x4b && signature[2] === 0x03 && signature[3] === 0x04;
+    
+    if (isArchive) {
+        const archive = await openArchive(file);
+        const manifestEntry = archive.entries.get('manifest.json');
+        if (!manifestEntry) {
+            throw new Error('Invalid data format: the archive has no manifest');
+        }
+        
+        // The passphrase is checked against encryption.json before anything else is read
+        let encryption = null;
+        const encryptionEntry = archive.entries.get(ARCHIVE_ENCRYPTION_ENTRY);
+        if (encryptionEntry) {
+            const header = JSON.parse(new TextDecoder().decode(await archive.readEntry(encryptionEntry)));
+            if (!isSupportedEncryption(header)) {
+                throw new Error('The backup is encrypted in a way this version of the app does not support');
+            }
+            
+            encryption = await requestEncryption(header);
+            if (!encryption) {
+                const error = new Error('Import cancelled');
+                error.name = 'AbortError';
+                throw error;
+            }
+        }
+        
+        const readEntry = async entry => {
+            const data = await archive.readEntry(entry);
+            if (!encryption) return data;
+            try {
+                return await decryptBytes(encryption.key, data);
+            } catch (error) {
+                throw new Error(`${entry.name} could not be decrypted; the backup is damaged`);
+            }
+        };
+        
+        const manifest = JSON.parse(new TextDecoder().decode(await readEntry(manifestEntry)));
+        if (manifest.format !== ARCHIVE_FORMAT || !Array.isArray(manifest.topics)) {
+            throw new Error('Invalid data format');
+        }
+        
+        return {
+            topics: manifest.topics,
+            version: manifest.version,
+            workspace: manifest.workspace || null,
+            customFields: manifest.customFields || [],
+            files: (manifest.files || []).map(item => {
+                const entry = archive.entries.get(item.path);
+                if (!entry) {
+                    throw new Error(`The archive is missing ${item.path}`);
+                }
+                return { key: item.key, size: item.size, read: () => readEntry(entry) };
+            })
+        };
+    }
+    
+    // Backups made before the archive format are a single JSON document with base64 PDFs
+    const importData = JSON.parse(await readFileAsText(file));
+    
+    // Validate import data
+    if (!importData.topics || !Array.isArray(importData.topics)) {
+        throw new Error('Invalid data format');
+    }
+    
+    return {
+        topics: importData.topics,
+        version: importData.version,
+        files: Object.entries(importData.pdfs || {}).map(([key, value]) => ({
+            key: key.startsWith('pdf_') || key.startsWith('excel_') ? key : `pdf_${key}`,
+            read: async () => value ? base64ToArrayBuffer(value) : null
+        }))
+    };
+}
+
+function readFileAsText(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = e => resolve(e.target.result);
+        reader.onerror = e => reject(e);
+        reader.readAsText(file);
+    });
+}
+
+function readFileAsArrayBuffer(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = e => resolve(e.target.result);
+        reader.onerror = e => reject(e);
+        reader.readAsArrayBuffer(file);
+    });
+}
+
+function getAllTopicsFlat(topicsList = topics) {
+    let flatList = [];
+    for (let topic of topicsList) {
+        flatList.push(topic);
+        if (topic.subtopics) {
+            flatList = flatList.concat(getAllTopicsFlat(topic.subtopics));
+        }
+    }
+    return flatList;
+}
+
+// .asturi archive - a ZIP container (stored, uncompressed) with manifest.json and one entry per file
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Where archive bytes go: straight to disk through the File System Access API, or into a Blob download
+async function createArchiveSink(fileName) {
+    if (window.showSaveFilePicker) {
+        const handle = await window.showSaveFilePicker({
+            suggestedName: fileName,
+            types: [{ description: 'ASTURI backup', accept: { 'application/octet-stream': ['.asturi'] } }]
+        });
+        return await createFileHandleSink(handle);
+    }
+    
+    return createDownloadSink(fileName);
+}
+
+async function createFileHandleSink(handle) {
+    const writable = await handle.createWritable();
+    return {
+        write: chunk => writable.write(chunk),
+        close: () => writable.close(),
+        abort: () => writable.abort()
+    };
+}
+
+function createDownloadSink(fileName) {
+    const parts = [];
+    return {
+        write: async chunk => { parts.push(chunk); },
+        close: async () => {
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(new Blob(parts, { type: 'application/octet-stream' }));
+            link.download = fileName;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(link.href);
+        }
+    };
+}
+
+function createArchiveWriter(sink) {
+    const centralDirectory = [];
+    let offset = 0;
+    
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    
+    return {
+        async addEntry(path, data) {
+            const bytes = new Uint8Array(data);
+            const name = new TextEncoder().encode(path);
+            const checksum = crc32(bytes);
+            
+            if (offset + 30 + name.length + bytes.length > 0xFFFFFFFF) {
+                throw new Error('Backup is larger than 4 GB; archive fewer documents per export');
+            }
+            
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034b50, true);
+            header.setUint16(4, 20, true);
+            header.setUint16(6, 0x0800, true); // UTF-8 file names
+            header.setUint16(8, 0, true); // stored
+            header.setUint16(10, dosTime, true);
+            header.setUint16(12, dosDate, true);
+            header.setUint32(14, checksum, true);
+            header.setUint32(18, bytes.length, true);
+            header.setUint32(22, bytes.length, true);
+            header.setUint16(26, name.length, true);
+            header.setUint16(28, 0, true);
+            
+            await sink.write(header.buffer);
+            await sink.write(name);
+            await sink.write(bytes);
+            
+            centralDirectory.push({ name, checksum, size: bytes.length, offset });
+            offset += 30 + name.length + bytes.length;
+        },
+        
+        async finish() {
+            const directoryOffset = offset;
+            let directorySize = 0;
+            
+            for (const entry of centralDirectory) {
+                const record = new DataView(new ArrayBuffer(46));
+                record.setUint32(0, 0x02014b50, true);
+                record.setUint16(4, 20, true);
+                record.setUint16(6, 20, true);
+                record.setUint16(8, 0x0800, true);
+                record.setUint16(10, 0, true);
+                record.setUint16(12, dosTime, true);
+                record.setUint16(14, dosDate, true);
+                record.setUint32(16, entry.checksum, true);
+                record.setUint32(20, entry.size, true);
+                record.setUint32(24, entry.size, true);
+                record.setUint16(28, entry.name.length, true);
+                record.setUint32(42, entry.offset, true);
+                
+                await sink.write(record.buffer);
+                await sink.write(entry.name);
+                directorySize += 46 + entry.name.length;
+            }
+            
+            const end = new DataView(new ArrayBuffer(22));
+            end.setUint32(0, 0x06054b50, true);
+            end.setUint16(8, centralDirectory.length, true);
+            end.setUint16(10, centralDirectory.length, true);
+            end.setUint32(12, directorySize, true);
+            end.setUint32(16, directoryOffset, true);
+            
+            await sink.write(end.buffer);
+            await sink.close();
+        }
+    };
+}
+
+// Read the central directory only; entries are sliced out of the file on demand
+async function openArchive(file) {
+    const tailSize = Math.min(file.size, 22 + 0xFFFF);
+    const tail = new DataView(await file.slice(file.size - tailSize).arrayBuffer());
+    
+    let endOffset = -1;
+    for (let i = tailSize - 22; i >= 0; i--) {
+        if (tail.getUint32(i, true) === 0x06054b50) {
+            endOffset = i;
+            break;
+        }
+    }
+    if (endOffset < 0) {
+        throw new Error('Invalid data format: the archive is damaged');
+    }
+    
+    const entryCount = tail.getUint16(endOffset + 10, true);
+    const directorySize = tail.getUint32(endOffset + 12, true);
+    const directoryOffset = tail.getUint32(endOffset + 16, true);
+    const directory = new DataView(await file.slice(directoryOffset, directoryOffset + directorySize).arrayBuffer());
+    
+    const entries = new Map();
+    let position = 0;
+    for (let i = 0; i < entryCount; i++) {
+        if (directory.getUint32(position, true) !== 0x02014b50) {
+            throw new Error('Invalid data format: the archive is damaged');
+        }
+        
+        const nameLength = directory.getUint16(position + 28, true);
+        const extraLength = directory.getUint16(position + 30, true);
+        const commentLength = directory.getUint16(position + 32, true);
+        const name = new TextDecoder().decode(new Uint8Array(directory.buffer, position + 46, nameLength));
+        
+        entries.set(name, {
+            name: name,
+            method: directory.getUint16(position + 10, true),
+            checksum: directory.getUint32(position + 16, true),
+            size: directory.getUint32(position + 20, true),
+            offset: directory.getUint32(position + 42, true)
+        });
+        position += 46 + nameLength + extraLength + commentLength;
+    }
+    
+    return {
+        entries: entries,
+        async readEntry(entry) {
+            if (entry.method !== 0) {
+                throw new Error(`${entry.name} is compressed; only archives written by this app can be imported`);
+            }
+            
+            const header = new DataView(await file.slice(entry.offset, entry.offset + 30).arrayBuffer());
+            const dataStart = entry.offset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+            const data = await file.slice(dataStart, dataStart + entry.size).arrayBuffer();
+            
+            if (crc32(new Uint8Array(data)) !== entry.checksum) {
+                throw new Error(`${entry.name} is corrupted in the archive`);
+            }
+            return data;
+        }
+    };
+}
+
+// Automatic backups - dated .asturi snapshots on a schedule or after a number of edits, written to a
+// folder picked through the File System Access API, or downloaded where that API is missing
+const AUTO_BACKUP_PREFIX = 'asturi_autobackup_';
+const AUTO_BACKUP_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}\.asturi$/;
+const AUTO_BACKUP_CHECK_INTERVAL = 60 * 60 * 1000;
+const DEFAULT_AUTO_BACKUP = {
+    enabled: false,
+    schedule: 'daily', // 'daily', 'weekly' or 'changes'
+    changeCount: 20,
+    retention: 10,
+    lastBackup: null,
+    changesSinceBackup: 0
+};
+let backupDirectoryHandle = null; // Kept for the session; only IndexedDB can store it across reloads
+let backupNeedsPermission = false;
+
+async function getAutoBackupSettings() {
+    return { ...DEFAULT_AUTO_BACKUP, ...(await getSetting('autoBackup', {})) };
+}
+
+function setupAutoBackup() {
+    checkAutoBackup();
+    setInterval(checkAutoBackup, AUTO_BACKUP_CHECK_INTERVAL);
+}
+
+function isAutoBackupDue(settings) {
+    if (!settings.enabled) return false;
+    if (settings.schedule === 'changes') {
+        return settings.changesSinceBackup >= settings.changeCount;
+    }
+
+    const interval = (settings.schedule === 'weekly' ? 7 : 1) * 24 * 60 * 60 * 1000;
+    return !settings.lastBackup || Date.now() - new Date(settings.lastBackup).getTime() >= interval;
+}
+
+async function checkAutoBackup() {
+    if (isAutoBackupDue(await getAutoBackupSettings())) {
+        await runAutoBackup();
+    }
+}
+
+// Count edits for the "after a number of changes" schedule; called by recordHistory
+async function noteChangeForBackup() {
+    const settings = await getAutoBackupSettings();
+    if (!settings.enabled) return;
+
+    settings.changesSinceBackup++;
+    await saveSetting('autoBackup', settings);
+    if (isAutoBackupDue(settings)) {
+        // Give the edit being recorded time to reach storage
+        setTimeout(checkAutoBackup, 2000);
+    }
+}
+
+// The chosen backup folder, or null when backups are downloaded. Browsers ask again for folder
+// access in a new session, and can only ask from a click (interactive).
+async function getBackupDirectory(interactive) {
+    if (!backupDirectoryHandle) {
+        const stored = await getSetting('autoBackupDirectory');
+        backupDirectoryHandle = stored && typeof stored.queryPermission === 'function' ? stored : null;
+    }
+    if (!backupDirectoryHandle) return null;
+
+    const options = { mode: 'readwrite' };
+    if (await backupDirectoryHandle.queryPermission(options) === 'granted') {
+        return backupDirectoryHandle;
+    }
+    if (interactive && await backupDirectoryHandle.requestPermission(options) === 'granted') {
+        return backupDirectoryHandle;
+    }
+
+    const error = new Error('Access to the backup folder has to be allowed again');
+    error.name = 'NotAllowedError';
+    throw error;
+}
+
+// interactive is true when started from a click; scheduled runs never open dialogs
+async function runAutoBackup(interactive = false) {
+    // Only one open tab writes a scheduled backup
+    if (navigator.locks && !interactive) {
+        return navigator.locks.request(`asturi-auto-backup-${currentWorkspaceId}`, { ifAvailable: true }, async lock => {
+            if (lock && isAutoBackupDue(await getAutoBackupSettings())) {
+                await writeAutoBackup(false);
+            }
+        });
+    }
+    return writeAutoBackup(interactive);
+}
+
+async function writeAutoBackup(interactive) {
+    const fileName = `${getAutoBackupPrefix()}${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.asturi`;
+    let sink = null;
+
+    if (interactive) {
+        showLoading();
+    }
+
+    try {
+        const settings = await getAutoBackupSettings();
+        const directory = await getBackupDirectory(interactive);
+        if (!directory && window.showDirectoryPicker) {
+            throw new Error('Choose a backup folder in the Auto Backup settings first');
+        }
+
+        sink = directory ?
+            await createFileHandleSink(await directory.getFileHandle(fileName, { create: true })) :
+            createDownloadSink(fileName);
+        // With encryption at rest on, backups are encrypted with the same passphrase
+        await writeBackupArchive(sink, interactive ? updateLoadingProgress : undefined, atRestEncryption);
+        sink = null;
+
+        if (directory) {
+            await rotateBackups(directory, settings.retention);
+        }
+
+        await saveSetting('autoBackup', { ...(await getAutoBackupSettings()), lastBackup: new Date().toISOString(), changesSinceBackup: 0 });
+        backupNeedsPermission = false;
+        console.log(`🗄️ Auto-backup written: ${fileName}`);
+
+        if (interactive) {
+            hideLoading();
+            alert(`✅ Backup saved as ${fileName}`);
+        }
+    } catch (error) {
+        console.error('Auto-backup error:', error);
+        if (sink && sink.abort) {
+            await sink.abort();
+        }
+        backupNeedsPermission = error.name === 'NotAllowedError';
+        if (interactive) {
+            hideLoading();
+            alert('❌ Error writing backup: ' + error.message);
+        }
+    }
+
+    await updateBackupStatus();
+}
+
+// Snapshots of the first workspace keep the names used before workspaces existed
+function getAutoBackupPrefix() {
+    return currentWorkspaceId === DEFAULT_WORKSPACE_ID ? AUTO_BACKUP_PREFIX : `${AUTO_BACKUP_PREFIX}${getWorkspaceFileLabel()}_`;
+}
+
+// Keep the newest snapshots of this workspace; the timestamp in the file name sorts them by date
+async function rotateBackups(directory, retention) {
+    const prefix = getAutoBackupPrefix();
+    const names = [];
+    for await (const [name, handle] of directory.entries()) {
+        if (handle.kind === 'file' && name.startsWith(prefix) && AUTO_BACKUP_TIMESTAMP.test(name.slice(prefix.length))) {
+            names.push(name);
+        }
+    }
+
+    names.sort();
+    for (const name of names.slice(0, Math.max(0, names.length - retention))) {
+        await directory.removeEntry(name);
+        console.log(`🗑️ Removed old backup ${name}`);
+    }
+}
+
+async function updateBackupStatus() {
+    const status = document.getElementById('backup-status');
+    const settings = await getAutoBackupSettings();
+
+    if (backupNeedsPermission) {
+        status.innerHTML = '<button type="button" data-action="allow-access">⚠️ Backups paused - click to allow folder access</button>';
+    } else if (!settings.enabled) {
+        status.textContent = 'Auto backup is off';
+    } else {
+        status.textContent = `Last backup: ${settings.lastBackup ? formatDate(settings.lastBackup) : 'Never'}`;
+    }
+}
+
+// Auto backup settings dialog
+async function showBackupSettings() {
+    const settings = await getAutoBackupSettings();
+    document.getElementById('backup-enabled').checked = settings.enabled;
+    document.getElementById('backup-schedule').value = settings.schedule;
+    document.getElementById('backup-change-count').value = settings.changeCount;
+    document.getElementById('backup-retention').value = settings.retention;
+    document.getElementById('backup-last').textContent = `Last backup: ${settings.lastBackup ? formatDate(settings.lastBackup) : 'Never'}`;
+
+    try {
+        await getBackupDirectory(false);
+    } catch (error) {
+        // The folder is still shown; access is asked for on the next click
+    }
+    updateBackupScheduleFields();
+    updateBackupFolderName();
+    document.getElementById('backup-modal').style.display = 'block';
+}
+
+function closeBackupModal() {
+    document.getElementById('backup-modal').style.display = 'none';
+}
+
+function updateBackupScheduleFields() {
+    const schedule = document.getElementById('backup-schedule').value;
+    document.getElementById('backup-change-count-field').style.display = schedule === 'changes' ? 'block' : 'none';
+}
+
+function updateBackupFolderName() {
+    const name = document.getElementById('backup-folder-name');
+    if (!window.showDirectoryPicker) {
+        name.textContent = 'Downloads folder - this browser cannot write to a chosen folder, so old backups are not removed';
+        document.getElementById('backup-folder-btn').style.display = 'none';
+    } else {
+        name.textContent = backupDirectoryHandle ? backupDirectoryHandle.name : 'No folder chosen';
+    }
+}
+
+async function chooseBackupFolder() {
+    try {
+        backupDirectoryHandle = await window.showDirectoryPicker({ id: 'asturi-backups', mode: 'readwrite' });
+        await saveSetting('autoBackupDirectory', backupDirectoryHandle);
+        backupNeedsPermission = false;
+        updateBackupFolderName();
+    } catch (error) {
+        // The user closed the folder dialog
+        if (error.name !== 'AbortError') {
+            console.error('Backup folder error:', error);
+            alert('❌ Error choosing backup folder: ' + error.message);
+        }
+    }
+}
+
+async function saveAutoBackupSettings() {
+    const settings = await getAutoBackupSettings();
+    const changeCount = parseInt(document.getElementById('backup-change-count').value, 10);
+    const retention = parseInt(document.getElementById('backup-retention').value, 10);
+
+    if (!changeCount || changeCount < 1 || !retention || retention < 1) {
+        alert('Please enter numbers of 1 or more for changes and backups to keep.');
+        return;
+    }
+
+    settings.enabled = document.getElementById('backup-enabled').checked;
+    settings.schedule = document.getElementById('backup-schedule').value;
+    settings.changeCount = changeCount;
+    settings.retention = retention;
+
+    if (settings.enabled && window.showDirectoryPicker && !backupDirectoryHandle) {
+        alert('Please choose a folder for the backups.');
+        return;
+    }
+
+    await saveSetting('autoBackup', settings);
+    closeBackupModal();
+    await updateBackupStatus();
+    await checkAutoBackup();
+}
+
+// Storage quota - persistent storage stops the browser from clearing stored PDFs when space runs
+// low, and usage is tracked so an upload that would fill the quota is caught before it is stored
+const STORAGE_USAGE_INTERVAL = 60000;
+const DEFAULT_QUOTA_WARNING_PERCENT = 80;
+const LARGEST_DOCUMENTS_SHOWN = 5;
+let storagePersisted = null; // true or false once asked; null where the browser cannot tell
+let storageEstimate = null; // Latest { usage, quota } from the active adapter
+let storageUsageTimer = null;
+
+async function requestPersistentStorage() {
+    if (!navigator.storage || !navigator.storage.persist) {
+        console.log('⚠️ Persistent storage is not supported by this browser');
+        return;
+    }
+    
+    try {
+        storagePersisted = await navigator.storage.persisted() || await navigator.storage.persist();
+        console.log(storagePersisted ? '📌 Persistent storage granted' : '⚠️ Persistent storage not granted - the browser may clear stored PDFs when space runs low');
+    } catch (error) {
+        console.error('Persistent storage error:', error);
+    }
+}
+
+function setupStorageMonitor() {
+    updateStorageUsage();
+    setInterval(updateStorageUsage, STORAGE_USAGE_INTERVAL);
+}
+
+// Called after every file write or removal; bursts of changes refresh the usage once
+function scheduleStorageUsageUpdate() {
+    clearTimeout(storageUsageTimer);
+    storageUsageTimer = setTimeout(updateStorageUsage, 1000);
+}
+
+async function getQuotaWarningPercent() {
+    return await getSetting('quotaWarningPercent', DEFAULT_QUOTA_WARNING_PERCENT);
+}
+
+// Refresh the usage line in the sidebar
+async function updateStorageUsage() {
+    try {
+        storageEstimate = storage.estimate ? await storage.estimate() : null;
+    } catch (error) {
+        console.error('Storage estimate error:', error);
+        storageEstimate = null;
+    }
+    
+    const usage = document.getElementById('storage-usage');
+    const parts = [];
+    if (storageEstimate && storageEstimate.quota) {
+        const percent = (storageEstimate.usage / storageEstimate.quota) * 100;
+        parts.push(`${formatBytes(storageEstimate.usage)} of ${formatBytes(storageEstimate.quota)} used (${percent.toFixed(1)}%)`);
+        usage.classList.toggle('storage-usage-warning', percent >= await getQuotaWarningPercent());
+    }
+    if (storagePersisted !== null) {
+        parts.push(storagePersisted ? '📌 Persistent' : '⚠️ Not persistent');
+    }
+    usage.textContent = parts.join(' · ');
+}
+
+// Documents by the space all of their versions take, largest first
+function getLargestDocuments(limit) {
+    const documents = [];
+    for (const folder of getAllTopicsFlat()) {
+        for (const doc of getFolderDocuments(folder)) {
+            documents.push({
+                path: [getItemPath(folder.id), folder.name].filter(Boolean).join(' / '),
+                doc: doc,
+                size: (doc.versions || []).reduce((sum, version) => sum + (version.size || 0), 0)
+            });
+        }
+    }
+    return documents.sort((a, b) => b.size - a.size).slice(0, limit);
+}
+
+// Ask before storing `bytes` more when that would take usage past the warning share of the quota.
+// Resolves true when the upload should go ahead.
+async function confirmStorageForUpload(bytes) {
+    await updateStorageUsage();
+    if (!storageEstimate || !storageEstimate.quota) return true;
+    
+    const threshold = await getQuotaWarningPercent();
+    const percent = ((storageEstimate.usage + bytes) / storageEstimate.quota) * 100;
+    if (percent < threshold) return true;
+    
+    const largest = getLargestDocuments(LARGEST_DOCUMENTS_SHOWN).map(entry => {
+        const versions = (entry.doc.versions || []).length;
+        return `• ${entry.path} / ${entry.doc.fileName} — ${formatBytes(entry.size)}${versions > 1 ? ` (${versions} versions)` : ''}`;
+    });
+    
+    return confirm(`⚠️ This upload would use ${percent.toFixed(1)}% of the storage available to the app (the warning is set at ${threshold}%). ` +
+        `${formatBytes(Math.max(0, storageEstimate.quota - storageEstimate.usage))} is left.\n\n` +
+        (largest.length > 0 ? `Largest documents:\n${largest.join('\n')}\n\nExport and delete documents you no longer need here to free space.\n\n` : '') +
+        'Upload anyway?');
+}
+
+async function updateQuotaWarningPercent() {
+    const input = document.getElementById('quota-warning-percent');
+    const percent = parseInt(input.value, 10);
+    
+    if (!percent || percent < 10 || percent > 100) {
+        alert('Please enter a percentage between 10 and 100.');
+        input.value = await getQuotaWarningPercent();
+        return;
+    }
+    
+    await saveSetting('quotaWarningPercent', percent);
+    await updateStorageUsage();
+}
+
+// Enhanced storage information
+async function getStorageInfo() {
+    const info = {
+        type: storageType,
+        pdfCount: 0,
+        totalSize: 0,
+        avgSize: 0,
+        topicCount: countAllItems({ subtopics: topics }) - 1,
+        documentCount: getAllTopicsFlat().reduce((sum, topic) => sum + getFolderDocuments(topic).length, 0),
+        lastModified: null,
+        quota: null,
+        usage: null,
+        lastBackup: null,
+        encrypted: false,
+        persisted: storagePersisted,
+        warningPercent: DEFAULT_QUOTA_WARNING_PERCENT
+    };
+
+    try {
+        // Failed loads used to leave empty records behind; those are not PDFs
+        const allPDFs = (await storage.getFileStats()).filter(file => file.key.startsWith('pdf_') && !file.empty);
+        
+        info.pdfCount = allPDFs.length;
+        info.totalSize = allPDFs.reduce((sum, pdf) => sum + (pdf.size || 0), 0);
+        info.avgSize = info.pdfCount > 0 ? info.totalSize / info.pdfCount : 0;
+        
+        const timestamps = allPDFs.filter(pdf => pdf.timestamp).map(pdf => new Date(pdf.timestamp).getTime());
+        if (timestamps.length > 0) {
+            info.lastModified = Math.max(...timestamps);
+        }
+        
+        // Get storage quota if available
+        const estimate = storage.estimate ? await storage.estimate() : null;
+        if (estimate) {
+            info.quota = estimate.quota;
+            info.usage = estimate.usage;
+        }
+        
+        if (storage.getSyncStatus) {
+            info.sync = await storage.getSyncStatus();
+        }
+        
+        info.lastBackup = (await getAutoBackupSettings()).lastBackup;
+        info.encrypted = Boolean(atRestEncryption);
+        info.warningPercent = await getQuotaWarningPercent();
+    } catch (error) {
+        console.error('Error getting storage info:', error);
+    }
+
+    return info;
+}
+
+// Update storage type display
+function updateStorageTypeDisplay(type) {
+    const storageTypeEl = document.getElementById('storage-type');
+    if (storageTypeEl) {
+        storageTypeEl.textContent = type;
+    }
+}
+
+// Show enhanced system status
+async function showEnhancedSystemStatus() {
+    console.log('🚀 ASTURI Enhanced System Active:');
+    console.log(`💾 Storage: ${storageType}`);
+    console.log('📁 File export/import available');
+    console.log('🔄 Auto-save enabled');
+    
+    const info = await getStorageInfo();
+    if (info.topicCount > 0 || info.pdfCount > 0) {
+        console.log(`📊 Current data: ${info.topicCount} items, ${info.pdfCount} PDFs saved`);
+        if (info.totalSize > 0) {
+            console.log(`💽 Total size: ${formatBytes(info.totalSize)}`);
+        }
+    }
+    
+    if (info.quota) {
+        const usagePercent = ((info.usage / info.quota) * 100).toFixed(1);
+        console.log(`🗄️ Storage usage: ${usagePercent}% (${formatBytes(info.usage)} / ${formatBytes(info.quota)})`);
+    }
+}
+
+// Show storage information modal
+async function showStorageInfo() {
+    const info = await getStorageInfo();
+    const modal = document.getElementById('storage-modal');
+    const details = document.getElementById('storage-details');
+    
+    let quotaInfo = '';
+    if (info.quota) {
+        const usagePercent = ((info.usage / info.quota) * 100).toFixed(1);
+        const usageClass = usagePercent >= info.warningPercent ? 'storage-warning' : 'storage-success';
+        quotaInfo = `
+            <div class="storage-stat ${usageClass}">
+                <span class="storage-stat-label">Storage Usage</span>
+                <span class="storage-stat-value">${usagePercent}%</span>
+            </div>
+            <div class="storage-stat">
+                <span class="storage-stat-label">Available Space</span>
+                <span class="storage-stat-value">${formatBytes(info.quota - info.usage)}</span>
+            </div>
+        `;
+    }
+    
+    details.innerHTML = `
+        <div class="storage-stat">
+            <span class="storage-stat-label">Storage Type</span>
+            <span class="storage-stat-value">${escapeHtml(info.type)}</span>
+        </div>
+        <div class="storage-stat">
+            <span class="storage-stat-label">Total Topics</span>
+            <span class="storage-stat-value">${info.topicCount}</span>
+        </div>
+        <div class="storage-stat">
+            <span class="storage-stat-label">Documents in Folders</span>
+            <span class="storage-stat-value">${info.documentCount}</span>
+        </div>
+        <div class="storage-stat">
+            <span class="storage-stat-label">Uploaded PDFs</span>
+            <span class="storage-stat-value">${info.pdfCount}</span>
+        </div>
+        <div class="storage-stat">
+            <span class="storage-stat-label">Total PDF Size</span>
+            <span class="storage-stat-value">${formatBytes(info.totalSize)}</span>
+        </div>
+        ${info.pdfCount > 0 ? `
+        <div class="storage-stat">
+            <span class="storage-stat-label">Average PDF Size</span>
+            <span class="storage-stat-value">${formatBytes(info.avgSize)}</span>
+        </div>
+        ` : ''}
+        ${quotaInfo}
+        ${info.lastModified ? `
+        <div class="storage-stat">
+            <span class="storage-stat-label">Last PDF Upload</span>
+            <span class="storage-stat-value">${formatDate(new Date(info.lastModified).toISOString())}</span>
+        </div>
+        ` : ''}
+        ${info.persisted !== null ? `
+        <div class="storage-stat ${info.persisted ? 'storage-success' : 'storage-warning'}">
+            <span class="storage-stat-label">Persistent Storage</span>
+            <span class="storage-stat-value">${info.persisted ? '📌 Granted' : '⚠️ Not granted'}</span>
+        </div>
+        ` : ''}
+        <div class="storage-stat">
+            <span class="storage-stat-label">Export Available</span>
+            <span class="storage-stat-value">✅ Yes</span>
+        </div>
+        <div class="storage-stat">
+            <span class="storage-stat-label">Last Backup</span>
+            <span class="storage-stat-value">${info.lastBackup ? formatDate(info.lastBackup) : 'Never'}</span>
+        </div>
+        <div class="storage-stat">
+            <span class="storage-stat-label">Encrypted at Rest</span>
+            <span class="storage-stat-value">${info.encrypted ? '🔒 Yes' : 'No'}</span>
+        </div>
+        ${info.sync ? `
+        <div class="storage-stat ${info.sync.online ? 'storage-success' : 'storage-warning'}">
+            <span class="storage-stat-label">Sync Server</span>
+            <span class="storage-stat-value">${info.sync.online ? '🟢 Online' : '🔴 Offline'}</span>
+        </div>
+        <div class="storage-stat">
+            <span class="storage-stat-label">Changes Waiting to Sync</span>
+            <span class="storage-stat-value">${info.sync.pending}</span>
+        </div>
+        <div class="storage-stat">
+            <span class="storage-stat-label">Last Sync</span>
+            <span class="storage-stat-value">${info.sync.lastSync ? formatDate(info.sync.lastSync) : 'Never'}</span>
+        </div>
+        ` : ''}
+    `;
+    
+    document.getElementById('sync-server-url').value = getSyncServerUrl();
+    document.getElementById('quota-warning-percent').value = info.warningPercent;
+    document.getElementById('encryption-btn').textContent = info.encrypted ? 'Turn Off Encryption' : 'Turn On Encryption';
+    modal.style.display = 'block';
+}
+
+// Connecting or disconnecting a sync server swaps the storage adapter, so the app reloads
+function connectSyncServer() {
+    const url = document.getElementById('sync-server-url').value.trim();
+    if (url === getSyncServerUrl()) return;
+    
+    if (url && !/^https?:\/\//i.test(url)) {
+        alert('Please enter the server address starting with http:// or https://');
+        return;
+    }
+    
+    const message = url ?
+        `Connect to the sync server at ${url}?\n\nReports stored in this browser will be uploaded to it. The app will reload.` :
+        'Disconnect from the sync server? Reports stay available in this browser. The app will reload.';
+    if (!confirm(message)) return;
+    
+    try {
+        if (url) {
+            localStorage.setItem(SYNC_SERVER_KEY, url);
+        } else {
+            localStorage.removeItem(SYNC_SERVER_KEY);
+        }
+    } catch (error) {
+        alert('❌ The sync server address could not be saved: ' + error.message);
+        return;
+    }
+    location.reload();
+}
+
+function closeStorageModal() {
+    document.getElementById('storage-modal').style.display = 'none';
+}
+
+// Encryption at rest - turning it on or off rewrites everything stored in this browser, then reloads
+async function toggleAtRestEncryption() {
+    if (atRestEncryption) {
+        await disableAtRestEncryption();
+    } else {
+        await enableAtRestEncryption();
+    }
+}
+
+async function enableAtRestEncryption() {
+    const encryption = await askPassphrase({
+        title: 'Encrypt Stored Reports',
+        message: 'Choose a passphrase. The app asks for it once each time it is opened. If the passphrase is lost, the reports stored in this browser cannot be recovered.',
+        repeat: true,
+        unlock: passphrase => createEncryption(passphrase)
+    });
+    if (!encryption) return;
+    
+    showLoading();
+    try {
+        // The header is saved first, so an interrupted run leaves data the passphrase can still open
+        await deviceStorage.putSetting('atRestEncryption', encryption.header);
+        await rewriteStoredData(null, encryption.key);
+        console.log('🔒 Stored data encrypted');
+    } catch (error) {
+        console.error('Encryption error:', error);
+        hideLoading();
+        alert('❌ Error encrypting stored data: ' + error.message + '\n\nThe app will reload; enter the new passphrase to open it.');
+    }
+    
+    broadcastSync({ type: 'encryption-changed' });
+    location.reload();
+}
+
+async function disableAtRestEncryption() {
+    const unlocked = await askPassphrase({
+        title: 'Turn Off Encryption',
+        message: 'Enter the passphrase to store reports in this browser unencrypted again.',
+        unlock: passphrase => unlockEncryption(passphrase, atRestEncryption.header)
+    });
+    if (!unlocked) return;
+    
+    showLoading();
+    try {
+        await rewriteStoredData(unlocked.key, null);
+        await deviceStorage.putSetting('atRestEncryption', null);
+        console.log('🔓 Stored data decrypted');
+    } catch (error) {
+        console.error('Decryption error:', error);
+        hideLoading();
+        alert('❌ Error decrypting stored data: ' + error.message + '\n\nEncryption stays on.');
+        return;
+    }
+    
+    broadcastSync({ type: 'encryption-changed' });
+    location.reload();
+}
+
+// Copy every workspace's files, tree and encrypted settings from this browser's storage read with
+// sourceKey to the same storage written with targetKey (null for unencrypted)
+async function rewriteStoredData(sourceKey, targetKey) {
+    // Settings shared by all workspaces are copied once, by the first
+    const workspaces = await getWorkspaces();
+    for (const workspace of workspaces) {
+        const source = openLocalWorkspace(workspace.id, sourceKey);
+        const target = openLocalWorkspace(workspace.id, targetKey);
+        const settings = ENCRYPTED_SETTINGS.filter(key => WORKSPACE_SETTINGS.includes(key) || workspace === workspaces[0]);
+        
+        const keys = await source.listFileKeys();
+        for (let i = 0; i < keys.length; i++) {
+            updateLoadingProgress(`Rewriting ${workspace.name}: file ${i + 1} of ${keys.length}...`, i, keys.length);
+            const data = await source.getFile(keys[i]);
+            if (data) {
+                await target.putFile(keys[i], data);
+            }
+        }
+        
+        for (const key of settings) {
+            const value = await source.getSetting(key);
+            if (value !== undefined) {
+                await target.putSetting(key, value);
+            }
+        }
+        
+        const record = await source.readTopics();
+        if (record) {
+            await target.writeTopics(() => record);
+        }
+    }
+}
+
+// Passphrase dialog - unlock(passphrase) resolves a result, or null when the passphrase is wrong
+// and the dialog should ask again. askPassphrase resolves that result, or null when cancelled.
+let passphraseRequest = null;
+
+function askPassphrase({ title, message, repeat = false, cancellable = true, unlock }) {
+    document.getElementById('passphrase-title').textContent = title;
+    document.getElementById('passphrase-message').textContent = message;
+    document.getElementById('passphrase-input').value = '';
+    document.getElementById('passphrase-repeat').value = '';
+    document.getElementById('passphrase-repeat').style.display = repeat ? 'block' : 'none';
+    document.getElementById('passphrase-cancel').style.display = cancellable ? '' : 'none';
+    document.getElementById('passphrase-error').textContent = '';
+    document.getElementById('passphrase-modal').style.display = 'block';
+    document.getElementById('passphrase-input').focus();
+    
+    return new Promise(resolve => {
+        passphraseRequest = { repeat, cancellable, unlock, resolve, checking: false };
+    });
+}
+
+async function submitPassphrase() {
+    const request = passphraseRequest;
+    if (!request || request.checking) return;
+    
+    const input = document.getElementById('passphrase-input');
+    const error = document.getElementById('passphrase-error');
+    const passphrase = input.value;
+    
+    if (!passphrase) {
+        error.textContent = 'Please enter the passphrase.';
+        return;
+    }
+    if (request.repeat && passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        error.textContent = `Please use at least ${MIN_PASSPHRASE_LENGTH} characters.`;
+        return;
+    }
+    if (request.repeat && passphrase !== document.getElementById('passphrase-repeat').value) {
+        error.textContent = 'The passphrases do not match.';
+        return;
+    }
+    
+    request.checking = true;
+    error.textContent = 'Checking...';
+    let result;
+    try {
+        result = await request.unlock(passphrase);
+    } catch (unlockError) {
+        console.error('Passphrase error:', unlockError);
+        error.textContent = unlockError.message;
+        return;
+    } finally {
+        request.checking = false;
+    }
+    
+    if (!result) {
+        error.textContent = 'Wrong passphrase. Please try again.';
+        input.select();
+        return;
+    }
+    
+    passphraseRequest = null;
+    document.getElementById('passphrase-modal').style.display = 'none';
+    request.resolve(result);
+}
+
+function cancelPassphrase() {
+    const request = passphraseRequest;
+    if (!request || !request.cancellable) return;
+    
+    passphraseRequest = null;
+    document.getElementById('passphrase-modal').style.display = 'none';
+    request.resolve(null);
+}
+
+// Storage check & repair - reconciles stored files against the topics tree
+let storageCheckReport = null;
+
+// Checks the "%PDF-" signature; strings are base64 from localStorage or unmigrated records
+function isPDFData(data) {
+    if (!data || data === 'null') return false;
+    
+    let header;
+    try {
+        if (typeof data === 'string') {
+            const base64 = data.startsWith('data:') ? data.split(',')[1] : data;
+            header = atob(base64.slice(0, 8)).slice(0, 5);
+        } else {
+            header = String.fromCharCode.apply(null, new Uint8Array(toArrayBuffer(data), 0, 5));
+        }
+    } catch (error) {
+        return false;
+    }
+    return header === '%PDF-';
+}
+
+async function checkStorage() {
+    const report = {
+        orphans: [],
+        brokenReferences: [],
+        duplicateIds: []
+    };
+    
+    // Files in the Trash or the undo history still belong to restorable items
+    const trash = await getTrash();
+    const liveItems = getAllTopicsFlat();
+    const knownItems = liveItems.concat(getAllTopicsFlat(trash.map(entry => entry.item)));
+    const referencedKeys = await getHistoryReferencedKeys();
+    const knownItemIds = new Set(knownItems.map(item => String(item.id)));
+    
+    const storedKeys = await storage.listFileKeys();
+    const storedKeySet = new Set(storedKeys);
+    
+    for (const key of storedKeys) {
+        const isReferenced = key.startsWith('dateRange_') ?
+            knownItemIds.has(key.slice('dateRange_'.length)) :
+            referencedKeys.has(key);
+        if (!isReferenced) {
+            report.orphans.push({ key: key, size: getStoredValueSize(await getFromStorage(key)) });
+        }
+    }
+    
+    // Read referenced PDFs one at a time so large stores are never held in memory together
+    for (const folder of liveItems) {
+        const path = getItemPath(folder.id) ? `${getItemPath(folder.id)} / ${folder.name}` : folder.name;
+        
+        for (const doc of getFolderDocuments(folder)) {
+            for (const version of doc.versions || []) {
+                let problem = null;
+                let size = 0;
+                if (!storedKeySet.has(version.storageKey)) {
+                    problem = 'missing';
+                } else {
+                    const data = await getFromStorage(version.storageKey);
+                    if (!isPDFData(data)) {
+                        problem = data && data !== 'null' ? 'corrupt' : 'empty';
+                        size = getStoredValueSize(data);
+                    }
+                }
+                
+                if (problem) {
+                    report.brokenReferences.push({
+                        folderId: folder.id,
+                        documentId: doc.id,
+                        version: version.version,
+                        storageKey: version.storageKey,
+                        path: `${path} / ${doc.fileName} (v${version.version})`,
+                        problem: problem,
+                        size: size
+                    });
+                }
+            }
+            
+            if (doc.excelKey && !storedKeySet.has(doc.excelKey)) {
+                report.brokenReferences.push({
+                    folderId: folder.id,
+                    documentId: doc.id,
+                    excelKey: doc.excelKey,
+                    path: `${path} / ${doc.fileName} (Excel)`,
+                    problem: 'missing',
+                    size: 0
+                });
+            }
+        }
+    }
+    
+    const seenIds = new Set();
+    liveItems.forEach(item => {
+        if (seenIds.has(item.id)) {
+            report.duplicateIds.push({ id: item.id, name: item.name });
+        }
+        seenIds.add(item.id);
+    });
+    
+    return report;
+}
+
+async function showStorageCheck() {
+    showLoading();
+    updateLoadingProgress('Checking stored files...');
+    
+    try {
+        storageCheckReport = await checkStorage();
+        hideLoading();
+        renderStorageCheck();
+        document.getElementById('storage-check-modal').style.display = 'block';
+    } catch (error) {
+        console.error('Storage check error:', error);
+        hideLoading();
+        alert('❌ Error checking storage: ' + error.message);
+    }
+}
+
+function closeStorageCheck() {
+    document.getElementById('storage-check-modal').style.display = 'none';
+    storageCheckReport = null;
+}
+
+function renderStorageCheck() {
+    const { orphans, brokenReferences, duplicateIds } = storageCheckReport;
+    const orphanBytes = orphans.reduce((sum, orphan) => sum + orphan.size, 0);
+    const brokenBytes = brokenReferences.reduce((sum, broken) => sum + broken.size, 0);
+    
+    const section = (title, category, entries, detail) => `
+        <div class="import-conflicts-header" data-id="${category}">
+            <span>${title} (${entries.length})</span>
+            ${entries.length > 0 ? `<button data-action="repair">${detail}</button>` : ''}
+        </div>
+        ${entries.length > 0 ? `
+            <ul class="import-change-list storage-check-list">
+                ${entries.map(entry => `<li>${entry}</li>`).join('')}
+            </ul>
+        ` : '<p class="storage-check-ok"><i class="fas fa-check"></i> No problems found</p>'}
+    `;
+    
+    document.getElementById('storage-check-results').innerHTML = `
+        <div class="storage-stat ${orphanBytes + brokenBytes > 0 ? 'storage-warning' : 'storage-success'}">
+            <span class="storage-stat-label">Space that can be freed</span>
+            <span class="storage-stat-value">${formatBytes(orphanBytes + brokenBytes)}</span>
+        </div>
+    ` +
+        section('Orphaned files', 'orphans', orphans.map(orphan =>
+            `<i class="fas fa-file"></i> ${escapeHtml(orphan.key)} <small>${formatBytes(orphan.size)}</small>`),
+            `Delete all (frees ${formatBytes(orphanBytes)})`) +
+        section('Missing or corrupt PDFs', 'brokenReferences', brokenReferences.map(broken =>
+            `<i class="fas fa-exclamation-triangle"></i> ${escapeHtml(broken.path)} <small>${broken.problem}</small>`),
+            `Remove broken versions (frees ${formatBytes(brokenBytes)})`) +
+        section('Duplicate IDs', 'duplicateIds', duplicateIds.map(duplicate =>
+            `<i class="fas fa-clone"></i> ${escapeHtml(duplicate.name)} <small>ID ${escapeHtml(duplicate.id)}</small>`),
+            'Assign new IDs');
+}
+
+async function repairStorage(category) {
+    const report = storageCheckReport;
+    if (!report) return;
+    
+    if (category === 'orphans') {
+        if (!confirm(`Delete ${report.orphans.length} orphaned files? This cannot be undone.`)) return;
+        for (const orphan of report.orphans) {
+            await removeFromStorage(orphan.key);
+        }
+        await dropSnapshotsReferencing(report.orphans.map(orphan => orphan.key));
+    } else if (category === 'brokenReferences') {
+        if (!confirm(`Remove ${report.brokenReferences.length} broken references? Documents with no readable version left will be removed.`)) return;
+        await dropSnapshotsReferencing(await repairBrokenReferences(report.brokenReferences));
+    } else if (category === 'duplicateIds') {
+        await recordHistory('Assign new IDs to duplicates');
+        // The first occurrence keeps its ID (and its date range); later ones get new IDs
+        const seenIds = new Set();
+        getAllTopicsFlat().forEach(item => {
+            if (seenIds.has(item.id)) {
+                item.id = generateId();
+            }
+            seenIds.add(item.id);
+        });
+        await saveData();
+        renderTopics();
+    }
+    
+    console.log(`🧹 Repaired storage: ${category}`);
+    await showStorageCheck();
+}
+
+// Returns the keys of the files it removed
+async function repairBrokenReferences(brokenReferences) {
+    const removedKeys = [];
+    for (const broken of brokenReferences) {
+        const folder = findTopicById(broken.folderId);
+        const doc = findDocumentById(folder, broken.documentId);
+        if (!doc) continue;
+        
+        if (broken.excelKey) {
+            delete doc.excelKey;
+            continue;
+        }
+        
+        doc.versions = doc.versions.filter(version => version.version !== broken.version);
+        if (broken.problem !== 'missing') {
+            await removeFromStorage(broken.storageKey);
+            removedKeys.push(broken.storageKey);
+        }
+        
+        if (doc.versions.length === 0) {
+            if (doc.excelKey) {
+                await removeFromStorage(doc.excelKey);
+                removedKeys.push(doc.excelKey);
+            }
+            folder.documents = folder.documents.filter(d => d.id !== doc.id);
+        } else if (!getCurrentVersion(doc)) {
+            // Fall back to the newest readable version
+            applyCurrentVersion(doc, doc.versions[doc.versions.length - 1]);
+        }
+    }
+    
+    await saveData();
+    if (currentSubtopicId) {
+        const folder = findTopicById(currentSubtopicId);
+        if (folder && folder.folderType === 'pdf-folder') {
+            selectSubtopic(currentSubtopicId, currentTopicId);
+        }
+    }
+    return removedKeys;
+}
+
+// Names, paths, tags and other text that comes from the tree, an import or the sync server
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+// Utility function to format bytes
+function formatBytes(bytes) {
+    if (bytes === 0) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+// Setup context menu for rename functionality
+function setupContextMenu() {
+    document.addEventListener('contextmenu', function(e) {
+        // Check if right-clicked on a topic or subtopic
+        const topicHeader = e.target.closest('.topic-header');
+        const subtopic = e.target.closest('.subtopic');
+        
+        if (topicHeader || subtopic) {
+            e.preventDefault();
+            showContextMenu(e, topicHeader, subtopic);
+        }
+    });
+    
+    // Hide context menu when clicking elsewhere
+    document.addEventListener('click', function() {
+        hideContextMenu();
+    });
+}
+
+function showContextMenu(e, topicHeader, subtopic) {
+    hideContextMenu(); // Hide any existing context menu
+    
+    const contextMenu = document.createElement('div');
+    contextMenu.className = 'context-menu';
+    contextMenu.innerHTML = `
+        <div class="context-menu-item" onclick="initiateRename(event)">
+            <i class="fas fa-edit"></i> Rename
+        </div>
+        <div class="context-menu-item" onclick="initiateMove(event)">
+            <i class="fas fa-folder-open"></i> Move to…
+        </div>
+        <div class="context-menu-item" onclick="initiateDuplicate(event)">
+            <i class="fas fa-clone"></i> Duplicate…
+        </div>
+        <div class="context-menu-item" onclick="initiateSaveTemplate(event)">
+            <i class="fas fa-layer-group"></i> Save as Template…
+        </div>
+        <div class="context-menu-item" onclick="initiateEditMetadata(event)">
+            <i class="fas fa-tags"></i> Tags & Fields…
+        </div>
+    `;
+    
+    // Store the target for renaming
+    if (topicHeader) {
+        renameTargetId = topicHeader.dataset.id;
+        renameTargetType = 'topic';
+    } else if (subtopic) {
+        renameTargetId = subtopic.dataset.id;
+        renameTargetType = 'subtopic';
+    }
+    
+    // Position the context menu
+    contextMenu.style.left = e.pageX + 'px';
+    contextMenu.style.top = e.pageY + 'px';
+    
+    document.body.appendChild(contextMenu);
+}
+
+function hideContextMenu() {
+    const existingMenu = document.querySelector('.context-menu');
+    if (existingMenu) {
+        existingMenu.remove();
+    }
+}
+
+function initiateRename(e) {
+    e.stopPropagation();
+    hideContextMenu();
+    
+    if (renameTargetId && renameTargetType) {
+        const target = findTopicById(renameTargetId);
+        if (target) {
+            document.getElementById('rename-input').value = target.name;
+            document.getElementById('rename-modal').style.display = 'block';
+            document.getElementById('rename-input').focus();
+            document.getElementById('rename-input').select();
+        }
+    }
+}
+
+function closeRenameModal() {
+    document.getElementById('rename-modal').style.display = 'none';
+    renameTargetId = null;
+    renameTargetType = null;
+}
+
+async function confirmRename() {
+    const newName = document.getElementById('rename-input').value.trim();
+    if (newName && renameTargetId && renameTargetType === 'document') {
+        await renameDocument(renameTargetId, newName);
+    } else if (newName && renameTargetId && renameTargetType === 'workspace') {
+        await renameWorkspace(renameTargetId, newName);
+    } else if (newName && renameTargetId && renameTargetType) {
+        const target = findTopicById(renameTargetId);
+        if (target) {
+            await recordHistory(`Rename "${target.name}" to "${newName}"`);
+            target.name = newName;
+            target.lastModified = new Date().toISOString();
+            await saveData();
+            renderTopics();
+            
+            // Update main content if currently selected
+            if (currentSubtopicId === renameTargetId) {
+                document.getElementById('content-title').textContent = newName;
+                document.getElementById('report-title').textContent = newName;
+            }
+        }
+    }
+    closeRenameModal();
+}
+
+// Setup modal radio button handlers
+function setupModalHandlers() {
+    // Topic modal radio buttons
+    const topicRadios = document.querySelectorAll('input[name="topic-type"]');
+    topicRadios.forEach(radio => {
+        radio.addEventListener('change', function() {
+            updateRadioSelection('topic-type');
+        });
+    });
+    
+    // Import modal radio buttons
+    const importRadios = document.querySelectorAll('input[name="import-mode"]');
+    importRadios.forEach(radio => {
+        radio.addEventListener('change', function() {
+            updateRadioSelection('import-mode');
+        });
+    });
+    
+    // Subtopic modal radio buttons
+    const subtopicRadios = document.querySelectorAll('input[name="subtopic-type"]');
+    subtopicRadios.forEach(radio => {
+        radio.addEventListener('change', function() {
+            updateRadioSelection('subtopic-type');
+        });
+    });
+}
+
+// Update radio button visual selection
+function updateRadioSelection(radioName) {
+    const radios = document.querySelectorAll(`input[name="${radioName}"]`);
+    radios.forEach(radio => {
+        const option = radio.closest('.radio-option');
+        if (radio.checked) {
+            option.classList.add('checked');
+        } else {
+            option.classList.remove('checked');
+        }
+    });
+}
+
+// Format date for display
+function formatDate(dateString) {
+    if (!dateString) return '';
+    const date = new Date(dateString);
+    return date.toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+// Load default data (specific to ASTURI business requirements)
+function loadDefaultData() {
+    topics = createTreeFromTemplate(BUILT_IN_TEMPLATES[0].items, true);
+}
+
+// Folder templates - named folder structures that can start a tree or be added under any folder.
+// A template item holds a name, folderType, optional description and, for folders, subtopics;
+// IDs and dates are given when the template is applied. User templates are a shared setting,
+// so every workspace sees the same library.
+//
+// The built-in template's items carry the IDs the default folders always had. A tree it starts keeps
+// them, so two browsers that began with the defaults merge into one tree through the sync server.
+const TEMPLATE_FORMAT = 'asturi-template';
+const TEMPLATE_VERSION = 1;
+
+const BUILT_IN_TEMPLATES = [
+    {
+        id: 'asturi-standard',
+        name: 'ASTURI Standard Format',
+        builtIn: true,
+        items: [
+            {
+                id: legacyIdToUuid(1),
+                name: "STANDARD FORMAT FOR FINANCE",
+                expanded: true,
+                folderType: "folder",
+                subtopics: [
+                    {
+                        id: legacyIdToUuid(11),
+                        name: "PROFIT & LOSS STATEMENT",
+                        description: "Comprehensive profit and loss financial statement",
+                        folderType: "pdf-folder"
+                    },
+                    {
+                        id: legacyIdToUuid(12),
+                        name: "BALANCE SHEET",
+                        description: "Complete balance sheet report",
+                        folderType: "pdf-folder"
+                    }
+                ]
+            },
+            {
+                id: legacyIdToUuid(2),
+                name: "REPORT FOR REVENUE",
+                folderType: "folder",
+                subtopics: [
+                    {
+                        id: legacyIdToUuid(21),
+                        name: "Summary of Property Rental",
+                        description: "Comprehensive property rental revenue summary",
+                        folderType: "pdf-folder"
+                    }
+                ]
+            },
+            {
+                id: legacyIdToUuid(3),
+                name: "REPORT FOR INVOICE & PAYMENT RECEIVED",
+                folderType: "folder",
+                subtopics: [
+                    {
+                        id: legacyIdToUuid(31),
+                        name: "Rental Lot 74-A, Gebeng",
+                        description: "Invoice and payment tracking for Lot 74-A, Gebeng",
+                        folderType: "pdf-folder"
+                    },
+                    {
+                        id: legacyIdToUuid(32),
+                        name: "Rental Lot 3/129, Gebeng",
+                        description: "Invoice and payment tracking for Lot 3/129, Gebeng",
+                        folderType: "pdf-folder"
+                    },
+                    {
+                        id: legacyIdToUuid(33),
+                        name: "Rental Land, Gebeng",
+                        description: "Invoice and payment tracking for Land, Gebeng",
+                        folderType: "pdf-folder"
+                    },
+                    {
+                        id: legacyIdToUuid(34),
+                        name: "Rental Bangi",
+                        description: "Invoice and payment tracking for Bangi property",
+                        folderType: "pdf-folder"
+                    },
+                    {
+                        id: legacyIdToUuid(35),
+                        name: "Rental Jalan Kuching - Blok 3",
+                        description: "Invoice and payment tracking for Jalan Kuching Blok 3",
+                        folderType: "pdf-folder"
+                    },
+                    {
+                        id: legacyIdToUuid(36),
+                        name: "Rental Jalan Kuching - Blok 3A",
+                        description: "Invoice and payment tracking for Jalan Kuching Blok 3A",
+                        folderType: "pdf-folder"
+                    },
+                    {
+                        id: legacyIdToUuid(37),
+                        name: "Rental Short Term Rental",
+                        description: "Invoice and payment tracking for short term rentals",
+                        folderType: "pdf-folder"
+                    },
+                    {
+                        id: legacyIdToUuid(38),
+                        name: "Rental of Equipment",
+                        description: "Invoice and payment tracking for equipment rental",
+                        folderType: "pdf-folder"
+                    },
+                    {
+                        id: legacyIdToUuid(39),
+                        name: "Rental Others",
+                        description: "Invoice and payment tracking for other rental services",
+                        folderType: "pdf-folder"
+                    }
+                ]
+            },
+            {
+                id: legacyIdToUuid(4),
+                name: "REPORT FOR COST OF SALES",
+                folderType: "folder",
+                subtopics: [
+                    {
+                        id: legacyIdToUuid(41),
+                        name: "Rental Lot 74-A, Gebeng",
+                        description: "Cost of sales for Lot 74-A, Gebeng rental",
+                        folderType: "pdf-folder"
+                    },
+                    {
+                        id: legacyIdToUuid(42),
+                        name: "Rental Lot 3/129, Gebeng",
+                        description: "Cost of sales for Lot 3/129, Gebeng rental",
+                        folderType: "pdf-folder"
+                    },
+                    {
+                        id: legacyIdToUuid(43),
+                        name: "Rental Land, Gebeng",
+                        description: "Cost of sales for Land, Gebeng rental",
+                        folderType: "pdf-folder"
+                    },
+                    {
+                        id: legacyIdToUuid(44),
+                        name: "Rental Bangi",
+                        description: "Cost of sales for Bangi rental",
+                        folderType: "pdf-folder"
+                    },
+                    {
+                        id: legacyIdToUuid(45),
+                        name: "Rental Jalan Kuching - Blok 3",
+                        description: "Cost of sales for Jalan Kuching Blok 3 rental",
+                        folderType: "pdf-folder"
+                    },
+                    {
+                        id: legacyIdToUuid(46),
+                        name: "Rental Jalan Kuching - Blok 3A",
+                        description: "Cost of sales for Jalan Kuching Blok 3A rental",
+                        folderType: "pdf-folder"
+                    },
+                    {
+                        id: legacyIdToUuid(47),
+                        name: "Rental Short Term Rental",
+                        description: "Cost of sales for short term rentals",
+                        folderType: "pdf-folder"
+                    },
+                    {
+                        id: legacyIdToUuid(48),
+                        name: "Rental of Equipment",
+                        description: "Cost of sales for equipment rental",
+                        folderType: "pdf-folder"
+                    },
+                    {
+                        id: legacyIdToUuid(49),
+                        name: "Rental Others",
+                        description: "Cost of sales for other rental services",
+                        folderType: "pdf-folder"
+                    }
+                ]
+            },
+            {
+                id: legacyIdToUuid(5),
+                name: "REPORT FOR EXPENSES",
+                folderType: "folder",
+                subtopics: [
+                    {
+                        id: legacyIdToUuid(51),
+                        name: "Salary & Expenses",
+                        description: "Salary and expense management folder",
+                        folderType: "folder",
+                        subtopics: [
+                            {
+                                id: legacyIdToUuid(511),
+                                name: "Summary Salary & Salary Expenses",
+                                description: "Summary of all salary and salary-related expenses",
+                                folderType: "pdf-folder"
+                            },
+                            {
+                                id: legacyIdToUuid(512),
+                                name: "Details - Salary",
+                                description: "Detailed salary breakdown",
+                                folderType: "pdf-folder"
+                            },
+                            {
+                                id: legacyIdToUuid(513),
+                                name: "Details - Salary Expenses",
+                                description: "Detailed salary-related expenses",
+                                folderType: "pdf-folder"
+                            }
+                        ]
+                    },
+                    {
+                        id: legacyIdToUuid(52),
+                        name: "Utilities & Maintenance",
+                        description: "Utilities and maintenance expenses folder",
+                        folderType: "folder",
+                        subtopics: [
+                            {
+                                id: legacyIdToUuid(521),
+                                name: "Details - Utilities",
+                                description: "Detailed utilities expenses breakdown",
+                                folderType: "pdf-folder"
+                            },
+                            {
+                                id: legacyIdToUuid(522),
+                                name: "Details - Maintenance and Purchase Order",
+                                description: "Detailed maintenance and purchase order expenses",
+                                folderType: "pdf-folder"
+                            },
+                            {
+                                id: legacyIdToUuid(523),
+                                name: "Maintenance and Purchase Order (Buildings)",
+                                description: "Building maintenance: Lot 74-A Office + Factory 1-13, Lot 3/129, Lot 55/129 (Kilang 8), Boulevard Business Park Jalan Kuching, Plaza Paragon Point Bangi",
+                                folderType: "pdf-folder"
+                            }
+                        ]
+                    },
+                    {
+                        id: legacyIdToUuid(53),
+                        name: "Taxes & Legal",
+                        description: "Tax and legal expenses folder",
+                        folderType: "folder",
+                        subtopics: [
+                            {
+                                id: legacyIdToUuid(531),
+                                name: "Details - Cukai Tanah & Cukai Taksiran",
+                                description: "Land tax and assessment tax details",
+                                folderType: "pdf-folder"
+                            },
+                            {
+                                id: legacyIdToUuid(532),
+                                name: "Cukai Tanah (Land Tax)",
+                                description: "Land tax for: Lot 74-A Office + Factory 1-13, Lot 3/129, Lot 55/129 (Kilang 8)",
+                                folderType: "pdf-folder"
+                            },
+                            {
+                                id: legacyIdToUuid(533),
+                                name: "Cukai Taksiran (Assessment Tax)",
+                                description: "Assessment tax for: Boulevard Business Park Jalan Kuching, Plaza Paragon Point Bangi, Lot 55/129 (Kilang 8)",
+                                folderType: "pdf-folder"
+                            },
+                            {
+                                id: legacyIdToUuid(534),
+                                name: "Details - Legal & Consultancy",
+                                description: "Legal and consultancy fee expenses",
+                                folderType: "pdf-folder"
+                            }
+                        ]
+                    }
+                ]
+            },
+            {
+                id: legacyIdToUuid(6),
+                name: "FORMAT ADDITIONAL FORMS",
+                folderType: "folder",
+                subtopics: [
+                    {
+                        id: legacyIdToUuid(61),
+                        name: "Payment Forms",
+                        description: "Payment related forms and templates",
+                        folderType: "folder",
+                        subtopics: [
+                            {
+                                id: legacyIdToUuid(611),
+                                name: "PROPOSED PAYMENT FOR APPROVAL - GENERAL",
+                                description: "General payment approval form",
+                                folderType: "pdf-folder"
+                            },
+                            {
+                                id: legacyIdToUuid(612),
+                                name: "PROPOSED PAYMENT FOR APPROVAL - SALARY",
+                                description: "Salary payment approval form",
+                                folderType: "pdf-folder"
+                            },
+                            {
+                                id: legacyIdToUuid(613),
+                                name: "PROPOSED PAYMENT FOR APPROVAL - UTILITY",
+                                description: "Utility payment approval form",
+                                folderType: "pdf-folder"
+                            },
+                            {
+                                id: legacyIdToUuid(614),
+                                name: "PAYMENT REQUEST",
+                                description: "Payment request form template",
+                                folderType: "pdf-folder"
+                            }
+                        ]
+                    },
+                    {
+                        id: legacyIdToUuid(62),
+                        name: "Invoice & Receipt Forms",
+                        description: "Invoice and receipt templates",
+                        folderType: "folder",
+                        subtopics: [
+                            {
+                                id: legacyIdToUuid(621),
+                                name: "INVOICE",
+                                description: "Invoice template form",
+                                folderType: "pdf-folder"
+                            },
+                            {
+                                id: legacyIdToUuid(622),
+                                name: "OFFICIAL RECEIPT",
+                                description: "Official receipt template form",
+                                folderType: "pdf-folder"
+                            },
+                            {
+                                id: legacyIdToUuid(623),
+                                name: "SUMMARY INVOICE LISTING",
+                                description: "Summary of all invoice listings",
+                                folderType: "pdf-folder"
+                            },
+                            {
+                                id: legacyIdToUuid(624),
+                                name: "SUMMARY OFFICIAL RECEIPT",
+                                description: "Summary of all official receipts",
+                                folderType: "pdf-folder"
+                            }
+                        ]
+                    }
+                ]
+            },
+            {
+                id: legacyIdToUuid(7),
+                name: "ASSETS",
+                folderType: "folder",
+                subtopics: [
+                    {
+                        id: legacyIdToUuid(71),
+                        name: "LIST OF ASSETS",
+                        description: "Complete list of 19 company assets",
+                        folderType: "pdf-folder"
+                    },
+                    {
+                        id: legacyIdToUuid(72),
+                        name: "ASSET LISTING",
+                        description: "Detailed asset listing (19 items - to be filled by Asturi staff)",
+                        folderType: "pdf-folder"
+                    }
+                ]
+            },
+            {
+                id: legacyIdToUuid(8),
+                name: "VEHICLE MANAGEMENT",
+                folderType: "folder",
+                subtopics: [
+                    {
+                        id: legacyIdToUuid(81),
+                        name: "Vehicle Maintenance & Servicing",
+                        description: "Vehicle maintenance and servicing records",
+                        folderType: "folder",
+                        subtopics: [
+                            {
+                                id: legacyIdToUuid(811),
+                                name: "ASTURI RESOURCES - Maintenance & Servicing",
+                                description: "Vehicle maintenance and servicing expenses for Asturi Resources",
+                                folderType: "pdf-folder"
+                            },
+                            {
+                                id: legacyIdToUuid(812),
+                                name: "ASTURI TRUCK & CRANE - Maintenance & Servicing",
+                                description: "Vehicle maintenance and servicing expenses for Asturi Truck & Crane",
+                                folderType: "pdf-folder"
+                            },
+                            {
+                                id: legacyIdToUuid(813),
+                                name: "PERSONAL VEHICLES - Maintenance & Servicing",
+                                description: "Personal vehicle maintenance and servicing expenses",
+                                folderType: "pdf-folder"
+                            }
+                        ]
+                    },
+                    {
+                        id: legacyIdToUuid(82),
+                        name: "Vehicle Road Tax & Insurance",
+                        description: "Vehicle road tax and insurance records",
+                        folderType: "folder",
+                        subtopics: [
+                            {
+                                id: legacyIdToUuid(821),
+                                name: "ASTURI RESOURCES - Road Tax & Insurance",
+                                description: "Vehicle road tax and insurance expenses for Asturi Resources",
+                                folderType: "pdf-folder"
+                            },
+                            {
+                                id: legacyIdToUuid(822),
+                                name: "ASTURI TRUCK & CRANE - Road Tax & Insurance",
+                                description: "Vehicle road tax and insurance expenses for Asturi Truck & Crane",
+                                folderType: "pdf-folder"
+                            },
+                            {
+                                id: legacyIdToUuid(823),
+                                name: "PERSONAL VEHICLES - Road Tax & Insurance",
+                                description: "Personal vehicle road tax and insurance expenses",
+                                folderType: "pdf-folder"
+                            }
+                        ]
+                    }
+                ]
+            }
+        ]
+    }
+];
+
+async function getTemplates() {
+    return BUILT_IN_TEMPLATES.concat(await getSetting('templates', []));
+}
+
+async function findTemplate(templateId) {
+    return (await getTemplates()).find(template => template.id === templateId) || null;
+}
+
+// New tree items for template items, each with a fresh ID. keepIds takes the IDs of the built-in
+// template instead, for a tree it starts; items added to an existing tree always get fresh ones.
+function createTreeFromTemplate(templateItems, keepIds = false) {
+    const now = new Date().toISOString();
+    return templateItems.map(node => {
+        const item = {
+            id: keepIds && node.id ? node.id : generateId(),
+            name: node.name,
+            folderType: node.folderType,
+            expanded: Boolean(node.expanded),
+            createdDate: now
+        };
+        if (node.description) {
+            item.description = node.description;
+        }
+        if (node.folderType === 'folder') {
+            item.subtopics = createTreeFromTemplate(node.subtopics || [], keepIds);
+        } else {
+            item.documents = [];
+        }
+        return item;
+    });
+}
+
+// Template items for tree items - names, types and descriptions, without documents
+function createTemplateItems(items) {
+    return items.map(item => {
+        const node = { name: item.name, folderType: item.folderType };
+        if (item.description) {
+            node.description = item.description;
+        }
+        if (item.folderType === 'folder') {
+            node.subtopics = createTemplateItems(item.subtopics || []);
+        }
+        return node;
+    });
+}
+
+// Template items read from a file, keeping only the fields templates use.
+// Throws on anything that is not a folder structure.
+function readTemplateItems(items, parentPath = '') {
+    if (!Array.isArray(items)) {
+        throw new Error('Invalid template: the folder list is missing');
+    }
+
+    return items.map((node, index) => {
+        if (!node || typeof node.name !== 'string' || !node.name.trim()) {
+            throw new Error(`Invalid template: ${parentPath || 'top level'} #${index + 1} has no name`);
+        }
+        const path = parentPath ? `${parentPath} / ${node.name}` : node.name;
+        if (node.folderType !== 'folder' && node.folderType !== 'pdf-folder') {
+            throw new Error(`Invalid template: "${path}" is neither a folder nor a PDF folder`);
+        }
+
+        const item = { name: node.name.trim(), folderType: node.folderType };
+        if (typeof node.description === 'string' && node.description) {
+            item.description = node.description;
+        }
+        if (node.expanded === true) {
+            item.expanded = true;
+        }
+        if (node.folderType === 'folder') {
+            item.subtopics = readTemplateItems(node.subtopics || [], path);
+        }
+        return item;
+    });
+}
+
+// Template library dialog
+async function showTemplates() {
+    await renderTemplates();
+    document.getElementById('templates-modal').style.display = 'block';
+}
+
+function closeTemplatesModal() {
+    document.getElementById('templates-modal').style.display = 'none';
+}
+
+async function renderTemplates() {
+    const templates = await getTemplates();
+    document.getElementById('templates-list').innerHTML = templates.map(template => {
+        const items = getAllTopicsFlat(template.items);
+        const folderCount = items.filter(item => item.folderType === 'folder').length;
+        const reportCount = items.length - folderCount;
+
+        return `
+            <div class="document-item" data-id="${escapeHtml(template.id)}">
+                <span class="folder-emoji">📋</span>
+                <div class="document-item-info">
+                    <span class="document-item-name">${escapeHtml(template.name)}${template.builtIn ? ' <span class="version-badge">Built-in</span>' : ''}</span>
+                    <span class="document-item-meta">
+                        ${folderCount} folder${folderCount === 1 ? '' : 's'} · ${reportCount} PDF folder${reportCount === 1 ? '' : 's'}${template.createdDate ? ` · Saved ${formatDate(template.createdDate)}` : ''}
+                    </span>
+                </div>
+                <div class="document-item-controls">
+                    <button class="control-btn" data-action="apply" title="Add to…"><i class="fas fa-folder-plus"></i></button>
+                    <button class="control-btn" data-action="export" title="Export"><i class="fas fa-download"></i></button>
+                    ${template.builtIn ? '' : '<button class="control-btn" data-action="delete" title="Delete"><i class="fas fa-trash"></i></button>'}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+async function initiateApplyTemplate(templateId) {
+    const template = await findTemplate(templateId);
+    if (template) {
+        openFolderPicker(`Add "${template.name}" to`, null, parentId => applyTemplate(templateId, parentId));
+    }
+}
+
+// Add a template's folders under parentId (null for top level)
+async function applyTemplate(templateId, parentId) {
+    const template = await findTemplate(templateId);
+    const parent = parentId === null ? null : findTopicById(parentId);
+    if (!template) return;
+    if (parentId !== null && !parent) {
+        alert('The folder no longer exists.');
+        return;
+    }
+
+    await recordHistory(parent ? `Add template "${template.name}" to "${parent.name}"` : `Add template "${template.name}"`);
+    const siblings = parent ? (parent.subtopics = parent.subtopics || []) : topics;
+    siblings.push(...createTreeFromTemplate(template.items));
+    if (parent) {
+        parent.expanded = true;
+    }
+
+    await saveData();
+    renderTopics();
+    closeTemplatesModal();
+}
+
+async function deleteTemplate(templateId) {
+    const templates = await getSetting('templates', []);
+    const template = templates.find(t => t.id === templateId);
+    if (!template || !confirm(`Delete the template "${template.name}"? Folders created from it are not affected.`)) return;
+
+    await saveSetting('templates', templates.filter(t => t.id !== templateId));
+    await renderTemplates();
+}
+
+// Saving templates - from an item and everything in it (context menu), or from the whole tree
+let templateSourceId = null; // null saves the whole tree
+
+function initiateSaveTemplate(e) {
+    e.stopPropagation();
+    hideContextMenu();
+
+    const item = findTopicById(renameTargetId);
+    renameTargetId = null;
+    renameTargetType = null;
+    if (item) {
+        showSaveTemplateModal(item.id, item.name, `Saves "${item.name}" and everything in it, without documents.`);
+    }
+}
+
+function saveTreeAsTemplate() {
+    if (topics.length === 0) {
+        alert('There are no folders to save as a template.');
+        return;
+    }
+    showSaveTemplateModal(null, currentWorkspaceName, 'Saves all folders of this workspace, without documents.');
+}
+
+function showSaveTemplateModal(sourceId, name, note) {
+    templateSourceId = sourceId;
+    document.getElementById('template-save-note').textContent = note;
+    document.getElementById('template-name').value = name;
+    document.getElementById('template-save-modal').style.display = 'block';
+    document.getElementById('template-name').focus();
+    document.getElementById('template-name').select();
+}
+
+function closeSaveTemplateModal() {
+    document.getElementById('template-save-modal').style.display = 'none';
+    templateSourceId = null;
+}
+
+async function confirmSaveTemplate() {
+    const name = document.getElementById('template-name').value.trim();
+    if (!name) {
+        alert('Please enter a name for the template.');
+        return;
+    }
+
+    const templates = await getTemplates();
+    if (templates.some(template => template.name.toLowerCase() === name.toLowerCase())) {
+        alert(`A template named "${name}" already exists.`);
+        return;
+    }
+
+    const source = templateSourceId === null ? topics : [findTopicById(templateSourceId)];
+    if (!source[0]) {
+        alert('The item no longer exists.');
+        closeSaveTemplateModal();
+        return;
+    }
+
+    const template = {
+        id: generateId(),
+        name: name,
+        createdDate: new Date().toISOString(),
+        items: createTemplateItems(source)
+    };
+    await saveSetting('templates', templates.filter(t => !t.builtIn).concat(template));
+    closeSaveTemplateModal();
+    console.log(`📋 Saved template ${name}`);
+
+    if (document.getElementById('templates-modal').style.display === 'block') {
+        await renderTemplates();
+    } else {
+        alert(`✅ Saved the template "${name}". Find it under Templates.`);
+    }
+}
+
+// Template files - one template as JSON, to share folder structures between installations
+async function exportTemplate(templateId) {
+    const template = await findTemplate(templateId);
+    if (!template) return;
+
+    const file = {
+        format: TEMPLATE_FORMAT,
+        version: TEMPLATE_VERSION,
+        name: template.name,
+        exportedDate: new Date().toISOString(),
+        items: readTemplateItems(template.items) // Without the built-in template's IDs
+    };
+    const data = new TextEncoder().encode(JSON.stringify(file, null, 2));
+    downloadBinaryFile(data, `asturi_template_${toFileLabel(template.name, 'template')}.json`, 'application/json');
+}
+
+function importTemplate() {
+    document.getElementById('template-input').click();
+}
+
+async function handleTemplateFile(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+        const data = JSON.parse(new TextDecoder().decode(await file.arrayBuffer()));
+        if (!data || data.format !== TEMPLATE_FORMAT) {
+            throw new Error('This is not an ASTURI template file');
+        }
+        if (data.version > TEMPLATE_VERSION) {
+            throw new Error('This template was saved by a newer version of the app');
+        }
+
+        const items = readTemplateItems(data.items);
+        const templates = await getTemplates();
+        let name = typeof data.name === 'string' && data.name.trim() ? data.name.trim() : file.name.replace(/\.json$/i, '');
+        if (templates.some(template => template.name.toLowerCase() === name.toLowerCase())) {
+            name = `${name} (imported)`;
+        }
+
+        const template = { id: generateId(), name: name, createdDate: new Date().toISOString(), items: items };
+        await saveSetting('templates', templates.filter(t => !t.builtIn).concat(template));
+        await renderTemplates();
+        alert(`✅ Imported the template "${name}".`);
+    } catch (error) {
+        console.error('Template import error:', error);
+        alert('❌ Error importing template: ' + error.message);
+    }
+}
+
+// Tags and custom fields - any item can carry tags (item.tags, a list of names) and values for
+// custom fields (item.fields, field ID -> value). The field definitions { id, name, type, options }
+// are a shared setting, so every workspace offers the same fields; backups carry them in the manifest.
+const FIELD_TYPES = { text: 'Text', number: 'Number', date: 'Date', choice: 'Choice list' };
+let customFields = [];
+
+async function loadCustomFields() {
+    customFields = await getSetting('customFields', []);
+}
+
+// Tags, field names and values are kept as typed, on one line; they are escaped where they go into the page
+function cleanLabel(value) {
+    return String(value || '').replace(/\s+/g, ' ').trim();
+}
+
+// Comma separated choices, without duplicates
+function parseFieldOptions(value) {
+    const options = new Map();
+    value.split(',').map(cleanLabel).filter(Boolean).forEach(option => {
+        if (!options.has(option.toLowerCase())) {
+            options.set(option.toLowerCase(), option);
+        }
+    });
+    return [...options.values()];
+}
+
+function getItemTags(item) {
+    return Array.isArray(item.tags) ? item.tags : [];
+}
+
+// An item's value for a field, or '' when it has none
+function getFieldValue(item, field) {
+    const value = item.fields ? item.fields[field.id] : undefined;
+    return value === undefined || value === null ? '' : value;
+}
+
+function formatFieldValue(field, value) {
+    if (field.type === 'date' && isValidDateKey(value)) return formatDateKey(value);
+    if (field.type === 'number' && typeof value === 'number') return value.toLocaleString();
+    return String(value);
+}
+
+// Every tag used in the tree, for the suggestions of the tag inputs
+function getAllTags() {
+    const tags = new Map();
+    getAllTopicsFlat().forEach(item => getItemTags(item).forEach(tag => tags.set(tag.toLowerCase(), tag)));
+    return [...tags.values()].sort((a, b) => a.localeCompare(b));
+}
+
+// Tag and field chips of a tree row
+function createItemChips(item) {
+    const chips = getItemTags(item).map(tag => `<span class="tag-chip">${escapeHtml(tag)}</span>`).concat(
+        customFields.filter(field => getFieldValue(item, field) !== '').map(field =>
+            `<span class="field-chip" title="${escapeHtml(field.name)}">${escapeHtml(field.name)}: ${escapeHtml(formatFieldValue(field, getFieldValue(item, field)))}</span>`)
+    );
+    return chips.length > 0 ? `<div class="item-chips">${chips.join('')}</div>` : '';
+}
+
+// Tags and field values of an item - in the report header for PDF folders, and in a dialog from the context menu
+function renderMetadataEditor(container, item) {
+    container.dataset.id = item.id;
+    container.innerHTML = `
+        <div class="metadata-tags">
+            <i class="fas fa-tags" title="Tags"></i>
+            ${getItemTags(item).map((tag, index) => `
+                <span class="tag-chip">${escapeHtml(tag)}<button class="chip-remove" data-action="remove-tag" data-index="${index}" title="Remove tag">×</button></span>
+            `).join('')}
+            <input type="text" class="tag-input" list="tag-suggestions" placeholder="Add tag…">
+        </div>
+        <div class="metadata-fields">
+            ${customFields.map(field => `
+                <label class="metadata-field">
+                    <span>${escapeHtml(field.name)}</span>
+                    ${createFieldInput(field, getFieldValue(item, field))}
+                </label>
+            `).join('')}
+            <button class="pdf-btn" data-action="manage-fields" title="Custom fields"><i class="fas fa-sliders-h"></i> Fields…</button>
+        </div>
+    `;
+    
+    // Values are set as properties so quotes in them cannot break the markup
+    container.querySelectorAll('[data-field]').forEach(input => {
+        input.value = getFieldValue(item, customFields.find(field => field.id === input.dataset.field));
+    });
+    document.getElementById('tag-suggestions').innerHTML = getAllTags().map(tag => `<option value="${escapeHtml(tag)}">`).join('');
+}
+
+function createFieldInput(field, value) {
+    if (field.type === 'choice') {
+        // A value whose choice was removed since stays selectable
+        const options = value !== '' && !field.options.includes(value) ? field.options.concat(value) : field.options;
+        return `<select data-field="${escapeHtml(field.id)}"><option value="">—</option>${options.map(option => `<option value="${escapeHtml(option)}">${escapeHtml(option)}</option>`).join('')}</select>`;
+    }
+    return `<input type="${field.type}" data-field="${escapeHtml(field.id)}"${field.type === 'number' ? ' step="any"' : ''}>`;
+}
+
+// Both editors share these handlers; the item edited is the editor's data-id
+function setupMetadataEditor(container) {
+    container.addEventListener('change', event => {
+        const input = event.target;
+        if (input.dataset.field) {
+            setItemField(container.dataset.id, input.dataset.field, input.value);
+        } else if (input.classList.contains('tag-input')) {
+            addItemTag(container.dataset.id, input.value);
+        }
+    });
+    
+    container.addEventListener('click', event => {
+        const control = event.target.closest('[data-action]');
+        if (!control) return;
+        
+        if (control.dataset.action === 'remove-tag') {
+            removeItemTag(container.dataset.id, Number(control.dataset.index));
+        } else if (control.dataset.action === 'manage-fields') {
+            showFieldsModal();
+        }
+    });
+}
+
+// Show edited tags, values or field definitions in the tree and in the open editors
+function refreshMetadata() {
+    renderTopics();
+    ['report-metadata', 'metadata-editor'].forEach(id => {
+        const container = document.getElementById(id);
+        const item = container.dataset.id ? findTopicById(container.dataset.id) : null;
+        if (!item) return;
+        
+        // Typing the next tag carries on after one was added with Enter
+        const typing = container.contains(document.activeElement) && document.activeElement.classList.contains('tag-input');
+        renderMetadataEditor(container, item);
+        if (typing) {
+            container.querySelector('.tag-input').focus();
+        }
+    });
+}
+
+async function addItemTag(itemId, value) {
+    const item = findTopicById(itemId);
+    const tag = cleanLabel(value);
+    if (!item) return;
+    if (!tag || getItemTags(item).some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+        refreshMetadata();
+        return;
+    }
+    
+    await recordHistory(`Tag "${item.name}" with "${tag}"`);
+    item.tags = getItemTags(item).concat(tag);
+    item.lastModified = new Date().toISOString();
+    await saveData();
+    refreshMetadata();
+}
+
+async function removeItemTag(itemId, index) {
+    const item = findTopicById(itemId);
+    const tag = item ? getItemTags(item)[index] : undefined;
+    if (tag === undefined) return;
+    
+    await recordHistory(`Remove the tag "${tag}" from "${item.name}"`);
+    item.tags = getItemTags(item).filter((existing, i) => i !== index);
+    if (item.tags.length === 0) {
+        delete item.tags;
+    }
+    item.lastModified = new Date().toISOString();
+    await saveData();
+    refreshMetadata();
+}
+
+async function setItemField(itemId, fieldId, input) {
+    const item = findTopicById(itemId);
+    const field = customFields.find(f => f.id === fieldId);
+    if (!item || !field) return;
+    
+    let value = field.type === 'text' ? cleanLabel(input) : input;
+    if (value !== '' && field.type === 'number') {
+        value = Number(input);
+        if (!Number.isFinite(value)) {
+            alert(`${field.name} must be a number.`);
+            refreshMetadata();
+            return;
+        }
+    }
+    if (value !== '' && field.type === 'date' && !isValidDateKey(value)) {
+        alert(`Please enter a valid date for ${field.name}.`);
+        refreshMetadata();
+        return;
+    }
+    if (value === getFieldValue(item, field)) return;
+    
+    await recordHistory(value === '' ? `Clear ${field.name} of "${item.name}"` : `Set ${field.name} of "${item.name}"`);
+    item.fields = { ...item.fields };
+    if (value === '') {
+        delete item.fields[field.id];
+    } else {
+        item.fields[field.id] = value;
+    }
+    if (Object.keys(item.fields).length === 0) {
+        delete item.fields;
+    }
+    item.lastModified = new Date().toISOString();
+    await saveData();
+    refreshMetadata();
+}
+
+// Tags & Fields dialog, for folders and any other item from the context menu
+function initiateEditMetadata(e) {
+    e.stopPropagation();
+    hideContextMenu();
+    
+    const item = findTopicById(renameTargetId);
+    renameTargetId = null;
+    renameTargetType = null;
+    if (!item) return;
+    
+    document.getElementById('metadata-item-name').textContent = item.name;
+    renderMetadataEditor(document.getElementById('metadata-editor'), item);
+    document.getElementById('metadata-modal').style.display = 'block';
+}
+
+function closeMetadataModal() {
+    document.getElementById('metadata-modal').style.display = 'none';
+    delete document.getElementById('metadata-editor').dataset.id;
+}
+
+// Custom fields dialog - values entered for a field stay on the items when it is deleted, but are no longer shown
+function showFieldsModal() {
+    renderFieldDefinitions();
+    document.getElementById('field-name').value = '';
+    document.getElementById('field-type').value = 'text';
+    document.getElementById('field-options').value = '';
+    updateFieldOptionsInput();
+    document.getElementById('fields-modal').style.display = 'block';
+    document.getElementById('field-name').focus();
+}
+
+function closeFieldsModal() {
+    document.getElementById('fields-modal').style.display = 'none';
+}
+
+function renderFieldDefinitions() {
+    const list = document.getElementById('fields-list');
+    if (customFields.length === 0) {
+        list.innerHTML = '<p class="period-note">No custom fields yet, e.g. Lot number, Vendor or Vehicle plate.</p>';
+        return;
+    }
+    
+    list.innerHTML = customFields.map(field => `
+        <div class="document-item" data-id="${escapeHtml(field.id)}">
+            <span class="folder-emoji">🏷️</span>
+            <div class="document-item-info">
+                <span class="document-item-name">${escapeHtml(field.name)}</span>
+                <span class="document-item-meta">${FIELD_TYPES[field.type]}${field.type === 'choice' ? `: ${escapeHtml(field.options.join(', '))}` : ''}</span>
+            </div>
+            <div class="document-item-controls">
+                ${field.type === 'choice' ? '<button class="control-btn" data-action="choices" title="Edit Choices"><i class="fas fa-list"></i></button>' : ''}
+                <button class="control-btn" data-action="rename" title="Rename"><i class="fas fa-edit"></i></button>
+                <button class="control-btn" data-action="delete" title="Delete"><i class="fas fa-trash"></i></button>
+            </div>
+        </div>
+    `).join('');
+}
+
+function updateFieldOptionsInput() {
+    document.getElementById('field-options').style.display = document.getElementById('field-type').value === 'choice' ? 'block' : 'none';
+}
+
+function isFieldNameTaken(name, exceptId = null) {
+    return customFields.some(field => field.id !== exceptId && field.name.toLowerCase() === name.toLowerCase());
+}
+
+async function saveCustomFields(fields) {
+    customFields = fields;
+    await saveSetting('customFields', fields);
+    renderFieldDefinitions();
+    refreshMetadata();
+}
+
+async function addCustomField() {
+    const name = cleanLabel(document.getElementById('field-name').value);
+    const type = document.getElementById('field-type').value;
+    const options = type === 'choice' ? parseFieldOptions(document.getElementById('field-options').value) : [];
+    if (!name) {
+        alert('Please enter a name for the field.');
+        return;
+    }
+    if (isFieldNameTaken(name)) {
+        alert(`A field named "${name}" already exists.`);
+        return;
+    }
+    if (type === 'choice' && options.length === 0) {
+        alert('Please enter the choices, separated by commas.');
+        return;
+    }
+    
+    await saveCustomFields(customFields.concat({ id: generateId(), name: name, type: type, options: options }));
+    document.getElementById('field-name').value = '';
+    document.getElementById('field-options').value = '';
+    console.log(`🏷️ Added the field ${name}`);
+}
+
+async function renameCustomField(fieldId) {
+    const field = customFields.find(f => f.id === fieldId);
+    const name = field ? cleanLabel(prompt(`Rename the field "${field.name}" to:`, field.name)) : '';
+    if (!name || name === field.name) return;
+    if (isFieldNameTaken(name, fieldId)) {
+        alert(`A field named "${name}" already exists.`);
+        return;
+    }
+    await saveCustomFields(customFields.map(f => f.id === fieldId ? { ...f, name: name } : f));
+}
+
+async function editFieldChoices(fieldId) {
+    const field = customFields.find(f => f.id === fieldId);
+    const input = field ? prompt(`Choices for "${field.name}", separated by commas:`, field.options.join(', ')) : null;
+    if (input === null) return;
+    
+    const options = parseFieldOptions(input);
+    if (options.length === 0) {
+        alert('A choice list needs at least one choice.');
+        return;
+    }
+    await saveCustomFields(customFields.map(f => f.id === fieldId ? { ...f, options: options } : f));
+}
+
+async function deleteCustomField(fieldId) {
+    const field = customFields.find(f => f.id === fieldId);
+    if (!field || !confirm(`Delete the field "${field.name}"? Values entered for it are no longer shown in any workspace.`)) return;
+    await saveCustomFields(customFields.filter(f => f.id !== fieldId));
+}
+
+// Tags and field values from a backup are cleaned like those entered here, as they go into the page as they are
+function cleanImportedMetadata(items) {
+    getAllTopicsFlat(items).forEach(item => {
+        if ('tags' in item) {
+            const tags = new Map();
+            (Array.isArray(item.tags) ? item.tags : []).map(cleanLabel).filter(Boolean).forEach(tag => {
+                if (!tags.has(tag.toLowerCase())) {
+                    tags.set(tag.toLowerCase(), tag);
+                }
+            });
+            item.tags = [...tags.values()];
+            if (item.tags.length === 0) {
+                delete item.tags;
+            }
+        }
+        
+        if ('fields' in item) {
+            const fields = {};
+            Object.entries(item.fields && typeof item.fields === 'object' ? item.fields : {}).forEach(([fieldId, value]) => {
+                if (typeof value === 'number' && Number.isFinite(value)) {
+                    fields[fieldId] = value;
+                } else if (typeof value === 'string' && cleanLabel(value)) {
+                    fields[fieldId] = cleanLabel(value);
+                }
+            });
+            item.fields = fields;
+            if (Object.keys(fields).length === 0) {
+                delete item.fields;
+            }
+        }
+    });
+}
+
+// Tags and field values of an item from a backup that the matching local item lacks, or null.
+// Merging an import adds them; values the local item already has are kept.
+function getMissingMetadata(incoming, local) {
+    const tags = getItemTags(incoming).filter(tag => !getItemTags(local).some(existing => existing.toLowerCase() === tag.toLowerCase()));
+    const fields = Object.fromEntries(Object.entries(incoming.fields || {}).filter(([fieldId]) => !local.fields || !(fieldId in local.fields)));
+    return tags.length > 0 || Object.keys(fields).length > 0 ? { tags: tags, fields: fields } : null;
+}
+
+// Field definitions from a backup: unknown fields are added, and known choice lists gain the backup's choices
+async function importCustomFields(incoming) {
+    let fields = customFields.slice();
+    for (const field of Array.isArray(incoming) ? incoming : []) {
+        if (!field || !/^[A-Za-z0-9-]+$/.test(field.id) || !FIELD_TYPES[field.type]) continue;
+        
+        const options = field.type === 'choice' && Array.isArray(field.options) ? parseFieldOptions(field.options.join(',')) : [];
+        const known = fields.find(f => f.id === field.id);
+        if (!known) {
+            const name = cleanLabel(field.name) || 'Field';
+            const taken = fields.some(f => f.name.toLowerCase() === name.toLowerCase());
+            fields.push({ id: field.id, name: taken ? `${name} (imported)` : name, type: field.type, options: options });
+        } else if (known.type === 'choice') {
+            fields = fields.map(f => f === known ? { ...f, options: parseFieldOptions(f.options.concat(options).join(',')) } : f);
+        }
+    }
+    
+    if (JSON.stringify(fields) !== JSON.stringify(customFields)) {
+        await saveCustomFields(fields);
+        console.log('🏷️ Imported custom fields from the backup');
+    }
+}
+
+// Sidebar search - shows the items whose name, description, tags, field values and document names
+// hold every word of the query, together with the folders above them and everything inside them.
+// Words may also match a folder above the item, so "Gebeng rental" finds the rental reports of a
+// folder tagged Gebeng. A phrase in quotes is matched as a whole.
+let searchQuery = '';
+let searchMatches = null; // IDs of the items shown for searchQuery, null when not searching
+
+function parseSearchQuery(query) {
+    return [...query.toLowerCase().matchAll(/"([^"]*)"|(\S+)/g)].map(match => (match[1] ?? match[2]).trim()).filter(Boolean);
+}
+
+// Everything about an item that search looks at, in lower case
+function getSearchText(item) {
+    const fields = customFields.filter(field => getFieldValue(item, field) !== '').map(field => {
+        const value = getFieldValue(item, field);
+        return `${field.name}: ${formatFieldValue(field, value)} ${value}`;
+    });
+    // A report's date range limits the documents search finds, as it does for export
+    const documents = getRangeDocuments(item).filter(isInCurrentPeriod).map(doc => doc.fileName);
+    return [item.name, item.description || '', ...getItemTags(item), ...fields, ...documents].join('\n').toLowerCase();
+}
+
+function findSearchMatches(terms) {
+    const shown = new Set();
+    
+    function walk(items, ancestors, ancestorText) {
+        for (const item of items) {
+            const text = `${ancestorText}\n${getSearchText(item)}`;
+            if (terms.every(term => text.includes(term))) {
+                ancestors.forEach(ancestor => shown.add(ancestor.id));
+                getAllTopicsFlat([item]).forEach(node => shown.add(node.id));
+            } else {
+                walk(item.subtopics || [], ancestors.concat(item), text);
+            }
+        }
+    }
+    
+    walk(topics, [], '');
+    return shown;
+}
+
+// Whether the sidebar shows an item for the selected period and the search
+function isItemShown(item) {
+    return isItemInCurrentPeriod(item) && (!searchMatches || searchMatches.has(item.id));
+}
+
+// While the tree is filtered its folders stay open
+function isTreeFiltered() {
+    return Boolean(currentPeriod || searchMatches);
+}
+
+function setSearchQuery(query) {
+    searchQuery = query.trim();
+    renderTopics();
+}
+
+// Generate unique ID - items, documents and Trash entries are identified by UUID strings
+function generateId() {
+    if (crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    
+    // randomUUID is only available in secure contexts
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// Older versions used numbers like 11 or 1722400000000.123 as IDs. The UUID is spelled out from
+// the digits, so every tab, device and backup migrates the same item to the same ID.
+function legacyIdToUuid(id) {
+    const digits = String(id).replace('.', 'a').padStart(30, '0');
+    const hex = `${digits.slice(0, 12)}4${digits.slice(12, 15)}8${digits.slice(15)}`;
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// Give items and their documents in a list of subtrees UUID string IDs in place
+function migrateItemIds(items) {
+    items.forEach(item => {
+        // Records an earlier migration could not fix are left as they are
+        if (!item || typeof item !== 'object') return;
+        
+        if (typeof item.id === 'number') {
+            item.id = legacyIdToUuid(item.id);
+        }
+        if (Array.isArray(item.documents)) {
+            item.documents.forEach(doc => {
+                if (doc && typeof doc.id === 'number') {
+                    doc.id = legacyIdToUuid(doc.id);
+                }
+            });
+        }
+        if (Array.isArray(item.subtopics)) {
+            migrateItemIds(item.subtopics);
+        }
+    });
+}
+
+// Render all topics
+function renderTopics() {
+    const container = document.getElementById('topics-container');
+    container.innerHTML = '';
+    
+    if (topics.length === 0) {
+        container.innerHTML = `
+            <div class="empty-topics">
+                <i class="fas fa-folder-open"></i>
+                <p>No topics yet. Click "Add Topic" to create your first folder or report.</p>
+            </div>
+        `;
+        return;
+    }
+    
+    const terms = parseSearchQuery(searchQuery);
+    searchMatches = terms.length > 0 ? findSearchMatches(terms) : null;
+    
+    const visibleTopics = topics.filter(isItemShown);
+    if (visibleTopics.length === 0) {
+        const period = currentPeriod ? formatPeriod(currentPeriod) : '';
+        container.innerHTML = `
+            <div class="empty-topics">
+                <i class="fas ${searchMatches ? 'fa-search' : 'fa-calendar-alt'}"></i>
+                <p>${searchMatches ? `Nothing matches the search${period ? ` in ${period}` : ''}.` : `No reports have documents for ${period}.`}</p>
+            </div>
+        `;
+        return;
+    }
+    
+    visibleTopics.forEach(topic => {
+        const topicElement = createTopicElement(topic, 0);
+        container.appendChild(topicElement);
+    });
+    
+    // A rename or move changes the path in the URL
+    updateRoute(false);
+}
+
+// Create topic element with enhanced folder type support and date tracking
+function createTopicElement(topic, level = 0) {
+    const topicDiv = document.createElement('div');
+    topicDiv.className = `topic ${level > 0 ? `nested-topic level-${level}` : ''}`;
+    
+    // While a period is selected or a search is entered only the matching items show, with their folders open
+    const visibleSubtopics = (topic.subtopics || []).filter(isItemShown);
+    const hasSubtopics = visibleSubtopics.length > 0;
+    const canExpand = hasSubtopics && !isTreeFiltered();
+    const isExpanded = topic.expanded || isTreeFiltered();
+    const folderType = topic.folderType || 'folder';
+    const isClickable = folderType === 'pdf-folder';
+    const rowAction = isClickable ? 'select' : isTreeFiltered() ? null : 'toggle';
+    
+    // Determine emoji based on folder type
+    let emoji = '📁';
+    if (folderType === 'pdf-folder') {
+        emoji = '📄';
+    }
+    
+    // Format dates
+    const createdDate = topic.createdDate ? formatDate(topic.createdDate) : '';
+    const uploadDate = topic.uploadDate ? formatDate(topic.uploadDate) : '';
+    
+    topicDiv.innerHTML = `
+        <div class="topic-header ${folderType === 'folder' ? 'folder' : ''}" data-id="${escapeHtml(topic.id)}"
+             ${rowAction ? `data-action="${rowAction}"` : ''} draggable="true">
+            <div class="topic-title">
+                ${canExpand ? `<span class="expand-icon ${topic.expanded ? 'expanded' : ''}" data-action="toggle">▼</span>` : '<span style="width: 16px;"></span>'}
+                <span class="folder-emoji">${emoji}</span>
+                <div class="topic-info">
+                    <span class="topic-name">${escapeHtml(topic.name)}</span>
+                    <div class="topic-dates">
+                        ${createdDate ? `<div class="created-info"><i class="fas fa-plus"></i> ${createdDate}</div>` : ''}
+                        ${uploadDate ? `<div class="upload-info"><i class="fas fa-upload"></i> ${uploadDate}</div>` : ''}
+                    </div>
+                    ${createItemChips(topic)}
+                </div>
+            </div>
+            <div class="topic-controls">
+                <button class="control-btn" data-action="add" title="Add Item">+</button>
+                <button class="control-btn" data-action="delete" title="Delete">×</button>
+            </div>
+        </div>
+        <div class="subtopics ${isExpanded ? 'expanded' : ''}" id="subtopics-${escapeHtml(topic.id)}">
+            ${hasSubtopics ? visibleSubtopics.map(subtopic => createSubtopicElement(subtopic, topic.id, level + 1)).join('') : ''}
+        </div>
+    `;
+    
+    return topicDiv;
+}
+
+// Create subtopic element with enhanced nesting, folder type support and date tracking
+function createSubtopicElement(subtopic, parentId, level = 1) {
+    const visibleSubtopics = (subtopic.subtopics || []).filter(isItemShown);
+    const hasSubtopics = visibleSubtopics.length > 0;
+    const canExpand = hasSubtopics && !isTreeFiltered();
+    const isExpanded = subtopic.expanded || isTreeFiltered();
+    const indentLevel = Math.min(level * 20, 100); // Cap at 100px for deep nesting
+    const folderType = subtopic.folderType || 'pdf-folder';
+    const isClickable = folderType === 'pdf-folder';
+    
+    // Determine emoji based on folder type
+    let emoji = '📄';
+    if (folderType === 'folder') {
+        emoji = '📁';
+    }
+    
+    // Format dates
+    const createdDate = subtopic.createdDate ? formatDate(subtopic.createdDate) : '';
+    const uploadDate = subtopic.uploadDate ? formatDate(subtopic.uploadDate) : '';
+    
+    return `
+        <div class="subtopic-container" style="margin-left: ${indentLevel}px;">
+            <div class="subtopic ${currentSubtopicId === subtopic.id ? 'active' : ''}" data-id="${escapeHtml(subtopic.id)}" data-parent-id="${escapeHtml(parentId)}"
+                 ${isClickable ? 'data-action="select"' : ''} draggable="true">
+                <div class="subtopic-info">
+                    <div class="subtopic-header">
+                        ${canExpand ? `<span class="expand-icon ${subtopic.expanded ? 'expanded' : ''}" data-action="toggle">▼</span>` : '<span style="width: 14px;"></span>'}
+                        <span class="subtopic-icon">${emoji}</span>
+                        <span class="subtopic-title">${escapeHtml(subtopic.name)}</span>
+                    </div>
+                    ${subtopic.description ? `<div class="subtopic-desc">${escapeHtml(subtopic.description)}</div>` : ''}
+                    <div class="subtopic-dates">
+                        ${createdDate ? `<div class="created-info"><i class="fas fa-plus"></i> ${createdDate}</div>` : ''}
+                        ${uploadDate ? `<div class="upload-info"><i class="fas fa-upload"></i> ${uploadDate}</div>` : ''}
+                    </div>
+                    ${createItemChips(subtopic)}
+                </div>
+                <div class="subtopic-controls">
+                    ${folderType === 'folder' ? '<button class="control-btn" data-action="add" title="Add Sub-item">+</button>' : ''}
+                    <button class="control-btn" data-action="delete" title="Delete">×</button>
+                </div>
+            </div>
+            ${hasSubtopics ? `
+                <div class="nested-subtopics ${isExpanded ? 'expanded' : ''}" id="subtopics-${escapeHtml(subtopic.id)}">
+                    ${visibleSubtopics.map(nestedSub => createSubtopicElement(nestedSub, subtopic.id, level + 1)).join('')}
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+// Tree rows carry their item ID in data-id, and the parts of a row that do something a data-action.
+// The listeners sit on the container, so they survive every re-render of the tree.
+function setupTreeHandlers() {
+    const container = document.getElementById('topics-container');
+    container.addEventListener('click', handleTreeClick);
+    container.addEventListener('dragstart', event => startItemDrag(event, getTreeRow(event.target)));
+    container.addEventListener('dragend', endItemDrag);
+    container.addEventListener('dragover', event => dragOverItem(event, getTreeRow(event.target)));
+    container.addEventListener('dragleave', event => dragLeaveItem(event, getTreeRow(event.target)));
+    container.addEventListener('drop', event => dropOnItem(event, getTreeRow(event.target)));
+}
+
+// The topic header or subtopic row an event happened in, or null
+function getTreeRow(element) {
+    return element.closest('.topic-header, .subtopic');
+}
+
+function handleTreeClick(event) {
+    const row = getTreeRow(event.target);
+    const control = event.target.closest('[data-action]');
+    if (!row || !control || !row.contains(control)) return;
+    
+    const itemId = row.dataset.id;
+    const isTopic = row.classList.contains('topic-header');
+    switch (control.dataset.action) {
+        case 'select':
+            selectSubtopic(itemId, isTopic ? itemId : row.dataset.parentId);
+            break;
+        case 'toggle':
+            isTopic ? toggleTopic(itemId) : toggleSubtopic(itemId);
+            break;
+        case 'add':
+            addSubtopic(itemId);
+            break;
+        case 'delete':
+            isTopic ? deleteTopic(itemId) : deleteSubtopic(itemId);
+            break;
+    }
+}
+
+// Toggle topic expansion
+async function toggleTopic(topicId) {
+    const topic = findTopicById(topicId);
+    if (topic && (topic.subtopics && topic.subtopics.length > 0)) {
+        topic.expanded = !topic.expanded;
+        await saveData();
+        renderTopics();
+    }
+}
+
+// Toggle subtopic expansion
+async function toggleSubtopic(subtopicId) {
+    const subtopic = findTopicById(subtopicId);
+    if (subtopic && subtopic.subtopics && subtopic.subtopics.length > 0) {
+        subtopic.expanded = !subtopic.expanded;
+        await saveData();
+        renderTopics();
+    }
+}
+
+// Find topic by ID (recursive search)
+function findTopicById(id, topicsList = topics) {
+    for (let topic of topicsList) {
+        if (topic.id === id) {
+            return topic;
+        }
+        if (topic.subtopics) {
+            const found = findTopicById(id, topic.subtopics);
+            if (found) return found;
+        }
+    }
+    return null;
+}
+
+// Find parent topic of a subtopic
+function findParentTopic(subtopicId, topicsList = topics) {
+    for (let topic of topicsList) {
+        if (topic.subtopics) {
+            for (let subtopic of topic.subtopics) {
+                if (subtopic.id === subtopicId) {
+                    return topic;
+                }
+                if (subtopic.subtopics) {
+                    const found = findParentTopic(subtopicId, topic.subtopics);
+                    if (found) return found;
+                }
+            }
+        }
+    }
+    return null;
+}
+
+// Select subtopic (only for PDF folders)
+async function selectSubtopic(subtopicId, topicId) {
+    const subtopic = findTopicById(subtopicId);
+    if (!subtopic || subtopic.folderType !== 'pdf-folder') {
+        console.log('Only PDF folders can be selected for viewing');
+        return;
+    }
+    
+    const isNewReport = currentSubtopicId !== subtopicId;
+    currentSubtopicId = subtopicId;
+    currentTopicId = topicId;
+    pageNum = 1;
+    
+    // Update header
+    document.getElementById('content-title').textContent = subtopic.name;
+    document.getElementById('content-subtitle').textContent = subtopic.description || 'PDF document folder';
+    
+    // Show report view
+    document.getElementById('content-body').style.display = 'none';
+    const reportView = document.getElementById('report-view');
+    reportView.style.display = 'block';
+    
+    // Update report view content
+    document.getElementById('report-title').textContent = subtopic.name;
+    document.getElementById('report-description').textContent = subtopic.description || 'PDF document folder';
+    
+    // Update dates in report meta
+    const reportMeta = document.getElementById('report-meta');
+    const createdDateEl = document.getElementById('created-date');
+    const uploadDateEl = document.getElementById('upload-date');
+    
+    if (subtopic.createdDate) {
+        createdDateEl.innerHTML = `<i class="fas fa-plus"></i> Created: ${formatDate(subtopic.createdDate)}`;
+        createdDateEl.style.display = 'flex';
+    } else {
+        createdDateEl.style.display = 'none';
+    }
+    
+    if (subtopic.uploadDate) {
+        uploadDateEl.innerHTML = `<i class="fas fa-upload"></i> PDF Uploaded: ${formatDate(subtopic.uploadDate)}`;
+        uploadDateEl.style.display = 'flex';
+    } else {
+        uploadDateEl.style.display = 'none';
+    }
+    renderMetadataEditor(document.getElementById('report-metadata'), subtopic);
+    
+    // Open the document a route asks for, otherwise the most recently uploaded one of the period
+    const documents = getPeriodDocuments(subtopic);
+    const routedDocument = pendingRoute && documents.find(doc => doc.fileName === pendingRoute.document);
+    currentDocumentId = routedDocument ? routedDocument.id : documents.length > 0 ? documents[documents.length - 1].id : null;
+    previewVersionNumber = null;
+    renderDocumentList(subtopic);
+    updateRoute(isNewReport);
+    
+    const currentDoc = findDocumentById(subtopic, currentDocumentId);
+    const savedPDF = currentDoc ? await getFromStorage(currentDoc.storageKey) : null;
+    if (savedPDF) {
+        loadSavedPDF(savedPDF, currentDoc.storageKey);
+        // Hide the report icon when PDF is loaded
+        document.getElementById('report-icon').classList.add('pdf-uploaded');
+    } else {
+        // Reset PDF viewer
+        pendingRoute = null;
+        document.getElementById('pdf-viewer').style.display = 'none';
+        document.getElementById('upload-section').style.display = 'block';
+        document.getElementById('excel-btn').style.display = 'none';
+        // Show the report icon when no PDF
+        document.getElementById('report-icon').classList.remove('pdf-uploaded');
+    }
+    
+    // Re-render to update active state
+    renderTopics();
+}
+
+// Add topic
+function addTopic() {
+    document.getElementById('topic-modal').style.display = 'block';
+    document.getElementById('topic-name').value = '';
+    
+    // Reset radio buttons to default (folder)
+    document.getElementById('type-folder').checked = true;
+    document.getElementById('type-pdf-folder').checked = false;
+    updateRadioSelection('topic-type');
+    
+    document.getElementById('topic-name').focus();
+}
+
+// Create topic with enhanced folder type support and date tracking
+async function createTopic() {
+    const name = document.getElementById('topic-name').value.trim();
+    const folderType = document.querySelector('input[name="topic-type"]:checked').value;
+    
+    if (name) {
+        const newId = generateId();
+        const now = new Date().toISOString();
+        const newTopic = {
+            id: newId,
+            name: name.toUpperCase(),
+            expanded: false,
+            folderType: folderType,
+            createdDate: now
+        };
+        
+        // Folders hold sub-items, PDF folders hold documents
+        if (folderType === 'folder') {
+            newTopic.subtopics = [];
+        } else {
+            newTopic.documents = [];
+        }
+        
+        await recordHistory(`Create "${newTopic.name}"`);
+        topics.push(newTopic);
+        await saveData();
+        renderTopics();
+        closeModal();
+    }
+}
+
+// Add subtopic
+function addSubtopic(topicId) {
+    const parentTopic = findTopicById(topicId);
+    if (!parentTopic) return;
+    
+    // Check if parent can contain subtopics
+    if (parentTopic.folderType === 'pdf-folder') {
+        alert('PDF folders cannot contain sub-items. Only regular folders can contain other items.');
+        return;
+    }
+    
+    currentTopicId = topicId;
+    document.getElementById('subtopic-modal').style.display = 'block';
+    document.getElementById('subtopic-name').value = '';
+    document.getElementById('subtopic-description').value = '';
+    
+    // Reset radio buttons to default (folder)
+    document.getElementById('subtype-folder').checked = true;
+    document.getElementById('subtype-pdf-folder').checked = false;
+    updateRadioSelection('subtopic-type');
+    
+    document.getElementById('subtopic-name').focus();
+}
+
+// Create subtopic with enhanced folder type support and date tracking
+async function createSubtopic() {
+    const name = document.getElementById('subtopic-name').value.trim();
+    const description = document.getElementById('subtopic-description').value.trim() || 'No description provided';
+    const folderType = document.querySelector('input[name="subtopic-type"]:checked').value;
+    
+    if (name && currentTopicId) {
+        const parentTopic = findTopicById(currentTopicId);
+        if (parentTopic) {
+            // Initialize subtopics array if it doesn't exist
+            if (!parentTopic.subtopics) {
+                parentTopic.subtopics = [];
+            }
+            
+            const newId = generateId();
+            const now = new Date().toISOString();
+            const newSubtopic = {
+                id: newId,
+                name: name,
+                description: description,
+                folderType: folderType,
+                expanded: false,
+                createdDate: now
+            };
+            
+            // Folders hold sub-items, PDF folders hold documents
+            if (folderType === 'folder') {
+                newSubtopic.subtopics = [];
+            } else {
+                newSubtopic.documents = [];
+            }
+            
+            await recordHistory(`Create "${name}" in "${parentTopic.name}"`);
+            parentTopic.subtopics.push(newSubtopic);
+            await saveData();
+            renderTopics();
+            closeSubtopicModal();
+        }
+    }
+}
+
+// Delete topic - moves it to the Trash
+async function deleteTopic(topicId) {
+    await moveToTrash(topicId);
+}
+
+// Delete subtopic - moves it to the Trash
+async function deleteSubtopic(subtopicId) {
+    await moveToTrash(subtopicId);
+}
+
+// Locate an item in the tree: its parent (null at top level), sibling array and index
+function findItemLocation(id, items = topics, parent = null) {
+    for (let i = 0; i < items.length; i++) {
+        if (items[i].id === id) {
+            return { parent: parent, siblings: items, index: i };
+        }
+        if (items[i].subtopics) {
+            const found = findItemLocation(id, items[i].subtopics, items[i]);
+            if (found) return found;
+        }
+    }
+    return null;
+}
+
+// The folders above an item, from the top level down
+function getItemAncestors(id) {
+    const ancestors = [];
+    let location = findItemLocation(id);
+    while (location && location.parent) {
+        ancestors.unshift(location.parent);
+        location = findItemLocation(location.parent.id);
+    }
+    return ancestors;
+}
+
+function getItemPath(id) {
+    return getItemAncestors(id).map(item => item.name).join(' / ');
+}
+
+// All stored files owned by a subtree
+function getSubtreeStorageKeys(item) {
+    return getAllTopicsFlat([item]).flatMap(node => getFolderDocuments(node).flatMap(getDocumentStorageKeys));
+}
+
+// Recycle bin - deleted subtrees keep their documents until they are purged
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+async function getTrash() {
+    return await getSetting('trash', []);
+}
+
+async function moveToTrash(itemId) {
+    const item = findTopicById(itemId);
+    if (!item) return;
+    
+    const itemCount = countAllItems(item);
+    const confirmMessage = itemCount > 1 ?
+        `Move this item and all ${itemCount - 1} sub-items to the Trash?` :
+        'Move this item to the Trash?';
+    
+    if (!confirm(confirmMessage)) return;
+    
+    await recordHistory(`Delete "${item.name}"`);
+    const location = findItemLocation(itemId);
+    const trash = await getTrash();
+    trash.push({
+        id: generateId(),
+        item: item,
+        parentId: location.parent ? location.parent.id : null,
+        parentPath: getItemPath(itemId),
+        index: location.index,
+        deletedDate: new Date().toISOString()
+    });
+    
+    location.siblings.splice(location.index, 1);
+    
+    const selected = findTopicById(currentSubtopicId);
+    if (currentTopicId === itemId || currentSubtopicId === itemId || (currentSubtopicId && !selected)) {
+        resetMainContent();
+    }
+    
+    await saveSetting('trash', trash);
+    await saveData();
+    renderTopics();
+    updateTrashButton(trash);
+}
+
+// Put a trashed subtree back under parentId (null for top level), at index when given
+async function restoreFromTrash(entryId, parentId, index) {
+    const trash = await getTrash();
+    const entry = trash.find(e => e.id === entryId);
+    if (!entry) return;
+    
+    const parent = parentId === null ? null : findTopicById(parentId);
+    if (parentId !== null && (!parent || parent.folderType === 'pdf-folder')) {
+        alert('The original folder no longer exists. Choose another folder with "Restore to…".');
+        return;
+    }
+    
+    // Items created since the delete (or brought back by an import) may have taken some of these IDs.
+    // Their documents move to keys of the new ID, as the old keys may now hold the live item's files.
+    const usedIds = new Set(getAllTopicsFlat().map(item => item.id));
+    const usedDocumentIds = new Set(getAllTopicsFlat().flatMap(item => getFolderDocuments(item).map(doc => doc.id)));
+    let rekeyed = false;
+    let copies = [];
+    getAllTopicsFlat([entry.item]).forEach(item => {
+        if (usedIds.has(item.id)) {
+            item.id = generateId();
+            rekeyed = true;
+            getFolderDocuments(item).forEach(doc => {
+                copies = copies.concat(rekeyIncomingDocument(doc, item.id, usedDocumentIds, false));
+            });
+        }
+        usedIds.add(item.id);
+    });
+    
+    // The copies go to keys of new IDs that no snapshot refers to. The Trash keeps the rekeyed
+    // entry before the history is recorded, so undoing the restore still refers to the copies.
+    for (const copy of copies) {
+        const data = await getFromStorage(copy.from);
+        if (data) {
+            await saveToStorage(copy.to, data);
+        }
+    }
+    if (rekeyed) {
+        await saveSetting('trash', trash);
+    }
+    await recordHistory(`Restore "${entry.item.name}" from the Trash`);
+    
+    const siblings = parent ? (parent.subtopics = parent.subtopics || []) : topics;
+    const position = index === undefined ? siblings.length : Math.min(index, siblings.length);
+    siblings.splice(position, 0, entry.item);
+    if (parent) {
+        parent.expanded = true;
+    }
+    
+    await saveSetting('trash', trash.filter(e => e.id !== entryId));
+    await saveData();
+    renderTopics();
+    await renderTrash();
+}
+
+async function restoreTrashEntry(entryId) {
+    const entry = (await getTrash()).find(e => e.id === entryId);
+    if (entry) {
+        await restoreFromTrash(entryId, entry.parentId, entry.index);
+    }
+}
+
+function restoreTrashEntryTo(entryId) {
+    openFolderPicker('Restore to Folder', null, parentId => restoreFromTrash(entryId, parentId));
+}
+
+// Files the live tree or another Trash entry still uses are kept, e.g. after an import brought
+// back a deleted folder
+async function purgeTrashEntries(entries) {
+    const remaining = (await getTrash()).filter(entry => !entries.some(purged => purged.id === entry.id));
+    const inUse = new Set(topics.concat(remaining.map(entry => entry.item)).flatMap(getSubtreeStorageKeys));
+    const removed = entries.flatMap(entry => getSubtreeStorageKeys(entry.item)).filter(key => !inUse.has(key));
+    for (const key of removed) {
+        await removeFromStorage(key);
+    }
+    
+    // Undo no longer brings the purged entries back to the Trash; snapshots from before their
+    // delete still show them in the tree and go if their files are gone
+    undoStack.concat(redoStack).forEach(snapshot => {
+        snapshot.trash = JSON.stringify(JSON.parse(snapshot.trash).filter(entry => !entries.some(purged => purged.id === entry.id)));
+    });
+    await dropSnapshotsReferencing(removed);
+}
+
+async function deleteTrashEntry(entryId) {
+    const trash = await getTrash();
+    const entry = trash.find(e => e.id === entryId);
+    if (!entry || !confirm(`Permanently delete "${entry.item.name}" and its documents? This cannot be undone.`)) return;
+    
+    await purgeTrashEntries([entry]);
+    await saveSetting('trash', trash.filter(e => e.id !== entryId));
+    await renderTrash();
+}
+
+async function emptyTrash() {
+    const trash = await getTrash();
+    if (trash.length === 0 || !confirm(`Permanently delete all ${trash.length} items in the Trash? This cannot be undone.`)) return;
+    
+    await purgeTrashEntries(trash);
+    await saveSetting('trash', []);
+    await renderTrash();
+}
+
+// Permanently remove entries older than the retention period
+async function purgeExpiredTrash() {
+    const trash = await getTrash();
+    const retentionDays = await getSetting('trashRetentionDays', DEFAULT_TRASH_RETENTION_DAYS);
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    
+    const expired = trash.filter(entry => new Date(entry.deletedDate).getTime() < cutoff);
+    if (expired.length > 0) {
+        await purgeTrashEntries(expired);
+        await saveSetting('trash', trash.filter(entry => !expired.includes(entry)));
+        console.log(`🗑️ Purged ${expired.length} expired items from the Trash`);
+    }
+    
+    updateTrashButton(trash.filter(entry => !expired.includes(entry)));
+}
+
+function updateTrashButton(trash) {
+    document.getElementById('trash-count').textContent = trash.length > 0 ? `(${trash.length})` : '';
+}
+
+async function showTrash() {
+    document.getElementById('trash-retention').value = await getSetting('trashRetentionDays', DEFAULT_TRASH_RETENTION_DAYS);
+    await renderTrash();
+    document.getElementById('trash-modal').style.display = 'block';
+}
+
+function closeTrashModal() {
+    document.getElementById('trash-modal').style.display = 'none';
+}
+
+async function updateTrashRetention() {
+    const days = parseInt(document.getElementById('trash-retention').value, 10);
+    if (!days || days < 1) {
+        alert('Please enter a number of days of 1 or more.');
+        return;
+    }
+    
+    await saveSetting('trashRetentionDays', days);
+    await purgeExpiredTrash();
+    await renderTrash();
+}
+
+async function renderTrash() {
+    const trash = await getTrash();
+    const retentionDays = await getSetting('trashRetentionDays', DEFAULT_TRASH_RETENTION_DAYS);
+    const list = document.getElementById('trash-list');
+    updateTrashButton(trash);
+    
+    if (trash.length === 0) {
+        list.innerHTML = `
+            <div class="empty-topics">
+                <i class="fas fa-trash"></i>
+                <p>The Trash is empty.</p>
+            </div>
+        `;
+        return;
+    }
+    
+    list.innerHTML = trash.slice().reverse().map(entry => {
+        const itemCount = countAllItems(entry.item);
+        const documentCount = countDocuments([entry.item]);
+        const expiresIn = Math.max(0, Math.ceil((new Date(entry.deletedDate).getTime() + retentionDays * 86400000 - Date.now()) / 86400000));
+        
+        return `
+            <div class="document-item trash-item" data-id="${escapeHtml(entry.id)}">
+                <span class="folder-emoji">${entry.item.folderType === 'pdf-folder' ? '📄' : '📁'}</span>
+                <div class="document-item-info">
+                    <span class="document-item-name">${escapeHtml(entry.item.name)}</span>
+                    <span class="document-item-meta">
+                        From: ${escapeHtml(entry.parentPath || 'Top level')}
+                        ${itemCount > 1 ? ` · ${itemCount - 1} sub-items` : ''}${documentCount > 0 ? ` · ${documentCount} documents` : ''}
+                    </span>
+                    <span class="document-item-meta">Deleted ${formatDate(entry.deletedDate)} · purged in ${expiresIn} day${expiresIn === 1 ? '' : 's'}</span>
+                </div>
+                <div class="document-item-controls">
+                    <button class="control-btn" data-action="restore" title="Restore"><i class="fas fa-undo"></i></button>
+                    <button class="control-btn" data-action="restore-to" title="Restore to…"><i class="fas fa-folder-open"></i></button>
+                    <button class="control-btn" data-action="delete" title="Delete Permanently"><i class="fas fa-times"></i></button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// Document, version, Trash and template lists - rows carry their ID in data-id and buttons a data-action,
+// handled by one listener per list
+function setupListHandlers() {
+    delegateListActions(document.getElementById('document-list'), {
+        'upload': uploadPDF,
+        'open': openDocument,
+        'new-version': uploadNewVersion,
+        'rename': initiateDocumentRename,
+        'period': initiateDocumentPeriod,
+        'download': downloadDocument,
+        'delete': deleteDocument
+    });
+    
+    // Version rows are identified by their version number within the document shown
+    const history = document.getElementById('version-history');
+    delegateListActions(history, {
+        'back': () => openDocument(history.dataset.documentId),
+        'preview': version => previewDocumentVersion(history.dataset.documentId, Number(version)),
+        'download': version => downloadDocumentVersion(history.dataset.documentId, Number(version)),
+        'restore': version => restoreDocumentVersion(history.dataset.documentId, Number(version))
+    });
+    
+    delegateListActions(document.getElementById('trash-list'), {
+        'restore': restoreTrashEntry,
+        'restore-to': restoreTrashEntryTo,
+        'delete': deleteTrashEntry
+    });
+    
+    delegateListActions(document.getElementById('templates-list'), {
+        'apply': initiateApplyTemplate,
+        'export': exportTemplate,
+        'delete': deleteTemplate
+    });
+    
+    delegateListActions(document.getElementById('fields-list'), {
+        'choices': editFieldChoices,
+        'rename': renameCustomField,
+        'delete': deleteCustomField
+    });
+    
+    setupMetadataEditor(document.getElementById('report-metadata'));
+    setupMetadataEditor(document.getElementById('metadata-editor'));
+    
+    delegateListActions(document.getElementById('history-list'), {
+        'undo-to': index => undoTo(Number(index))
+    });
+    
+    delegateListActions(document.getElementById('storage-check-results'), {
+        'repair': repairStorage
+    });
+    
+    delegateListActions(document.getElementById('backup-status'), {
+        'allow-access': () => runAutoBackup(true)
+    });
+    
+    // Conflict rows are identified by their index in the import plan
+    const importConflicts = document.getElementById('import-review-conflicts');
+    delegateListActions(importConflicts, {
+        'keep-local': () => setAllImportResolutions('local'),
+        'keep-incoming': () => setAllImportResolutions('incoming'),
+        'keep-both': () => setAllImportResolutions('both')
+    });
+    importConflicts.addEventListener('change', event => {
+        const row = event.target.closest('[data-id]');
+        if (row && event.target.type === 'radio') {
+            setImportResolution(Number(row.dataset.id), event.target.value);
+        }
+    });
+}
+
+// actions maps data-action values to handlers called with the data-id of the clicked row
+function delegateListActions(list, actions) {
+    list.addEventListener('click', event => {
+        const control = event.target.closest('[data-action]');
+        if (!control || !list.contains(control) || !actions[control.dataset.action]) return;
+        
+        const row = control.closest('[data-id]');
+        actions[control.dataset.action](row ? row.dataset.id : null);
+    });
+}
+
+// Folder picker - lists every folder that can hold items; onPick receives the folder ID or null for top level
+let folderPickerOptions = [];
+let folderPickerCallback = null;
+
+function openFolderPicker(title, excludeId, onPick) {
+    folderPickerOptions = [{ id: null, label: 'Top level' }];
+    
+    function addFolders(items, depth) {
+        for (const item of items) {
+            if (item.folderType !== 'folder' || item.id === excludeId) continue;
+            folderPickerOptions.push({ id: item.id, label: `${'   '.repeat(depth)}📁 ${item.name}` });
+            addFolders(item.subtopics || [], depth + 1);
+        }
+    }
+    addFolders(topics, 1);
+    
+    const select = document.getElementById('folder-picker-select');
+    select.innerHTML = folderPickerOptions.map((option, index) => `<option value="${index}">${escapeHtml(option.label)}</option>`).join('');
+    document.getElementById('folder-picker-title').textContent = title;
+    folderPickerCallback = onPick;
+    document.getElementById('folder-picker-modal').style.display = 'block';
+}
+
+function closeFolderPicker() {
+    document.getElementById('folder-picker-modal').style.display = 'none';
+    folderPickerCallback = null;
+}
+
+async function confirmFolderPicker() {
+    const option = folderPickerOptions[document.getElementById('folder-picker-select').value];
+    const callback = folderPickerCallback;
+    closeFolderPicker();
+    if (option && callback) {
+        await callback(option.id);
+    }
+}
+
+// Moving items - drag and drop in the sidebar tree, or "Move to…" with the folder picker.
+// Like createSubtopic, only regular folders can receive items.
+let draggedItemId = null;
+
+// Why the item cannot go under parentId (null for top level), or null when it can
+function getMoveError(itemId, parentId) {
+    if (parentId === null) return null;
+    
+    const parent = findTopicById(parentId);
+    if (!parent) {
+        return 'The folder no longer exists.';
+    }
+    if (parent.folderType === 'pdf-folder') {
+        return 'PDF folders cannot contain sub-items. Only regular folders can contain other items.';
+    }
+    if (findTopicById(parentId, [findTopicById(itemId)])) {
+        return 'A folder cannot be moved into itself or one of its sub-folders.';
+    }
+    return null;
+}
+
+// Move an item with its sub-items and documents under parentId (null for top level), before the
+// sibling at index, or to the end when no index is given
+async function moveItem(itemId, parentId, index) {
+    const item = findTopicById(itemId);
+    const location = findItemLocation(itemId);
+    if (!item) return;
+    
+    const error = getMoveError(itemId, parentId);
+    if (error) {
+        alert(error);
+        return;
+    }
+    
+    const parent = parentId === null ? null : findTopicById(parentId);
+    const siblings = parent ? (parent.subtopics = parent.subtopics || []) : topics;
+    let position = index === undefined ? siblings.length : index;
+    if (siblings === location.siblings) {
+        // Taking the item out first shifts the later siblings up
+        if (position > location.index) position--;
+        if (position === location.index) return;
+    }
+    
+    await recordHistory(parent ? `Move "${item.name}" to "${parent.name}"` : `Move "${item.name}" to the top level`);
+    location.siblings.splice(location.index, 1);
+    siblings.splice(position, 0, item);
+    if (parent) {
+        parent.expanded = true;
+    }
+    
+    await saveData();
+    renderTopics();
+}
+
+function initiateMove(e) {
+    e.stopPropagation();
+    hideContextMenu();
+    
+    const item = findTopicById(renameTargetId);
+    renameTargetId = null;
+    renameTargetType = null;
+    if (item) {
+        openFolderPicker(`Move "${item.name}" to`, item.id, parentId => moveItem(item.id, parentId));
+    }
+}
+
+function startItemDrag(event, row) {
+    if (!row) return;
+    draggedItemId = row.dataset.id;
+    event.dataTransfer.effectAllowed = 'move';
+    // Firefox only starts a drag that carries data
+    event.dataTransfer.setData('text/plain', draggedItemId);
+    row.classList.add('dragging');
+}
+
+function endItemDrag() {
+    draggedItemId = null;
+    document.querySelectorAll('.dragging, .drop-before, .drop-after, .drop-inside').forEach(element => {
+        element.classList.remove('dragging', 'drop-before', 'drop-after', 'drop-inside');
+    });
+}
+
+// Where a drop over an item's row goes: the top and bottom edges place the dragged item before
+// or after it, the middle of a folder puts it inside. row null is the empty tree area.
+function getDropTarget(event, row) {
+    if (!row) {
+        return { parentId: null, index: undefined, position: null };
+    }
+    
+    const targetId = row.dataset.id;
+    const target = findTopicById(targetId);
+    const location = findItemLocation(targetId);
+    const rect = row.getBoundingClientRect();
+    const offset = rect.height > 0 ? (event.clientY - rect.top) / rect.height : 0.5;
+    
+    let position;
+    if (target.folderType === 'folder') {
+        position = offset < 0.25 ? 'before' : offset > 0.75 ? 'after' : 'inside';
+    } else {
+        position = offset < 0.5 ? 'before' : 'after';
+    }
+    
+    if (position === 'inside') {
+        return { parentId: targetId, index: undefined, position: position };
+    }
+    return {
+        parentId: location.parent ? location.parent.id : null,
+        index: location.index + (position === 'after' ? 1 : 0),
+        position: position
+    };
+}
+
+// Whether the dragged item can be dropped over row (null for the tree area around the rows)
+function canDropOn(event, row) {
+    if (draggedItemId === null) return false;
+    if (!row) {
+        // The tree area only takes drops below the last item, not in the gaps between nested rows
+        return event.target === event.currentTarget;
+    }
+    return row.dataset.id !== draggedItemId && Boolean(findTopicById(row.dataset.id));
+}
+
+function dragOverItem(event, row) {
+    if (!canDropOn(event, row)) return;
+    
+    const drop = getDropTarget(event, row);
+    if (getMoveError(draggedItemId, drop.parentId)) return;
+    
+    // Allowing the drop is what preventDefault means here
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'move';
+    if (row) {
+        row.classList.remove('drop-before', 'drop-after', 'drop-inside');
+        if (drop.position) {
+            row.classList.add(`drop-${drop.position}`);
+        }
+    }
+}
+
+function dragLeaveItem(event, row) {
+    if (row) {
+        row.classList.remove('drop-before', 'drop-after', 'drop-inside');
+    }
+}
+
+async function dropOnItem(event, row) {
+    event.preventDefault();
+    const itemId = draggedItemId;
+    const drop = canDropOn(event, row) ? getDropTarget(event, row) : null;
+    endItemDrag();
+    
+    if (drop) {
+        await moveItem(itemId, drop.parentId, drop.index);
+    }
+}
+
+// Duplicating items - a deep copy of a subtree with fresh IDs, placed right after the original.
+// Names in the copy can be rewritten on the way, e.g. "2025" to "2026" for next year's folders.
+let duplicateTargetId = null;
+
+function initiateDuplicate(e) {
+    e.stopPropagation();
+    hideContextMenu();
+    
+    const item = findTopicById(renameTargetId);
+    renameTargetId = null;
+    renameTargetType = null;
+    if (!item) return;
+    
+    duplicateTargetId = item.id;
+    document.getElementById('duplicate-title').textContent = `Duplicate "${item.name}"`;
+    document.getElementById('duplicate-documents').checked = false;
+    document.getElementById('duplicate-find').value = '';
+    document.getElementById('duplicate-replace').value = '';
+    document.getElementById('duplicate-modal').style.display = 'block';
+    document.getElementById('duplicate-find').focus();
+}
+
+function closeDuplicateModal() {
+    document.getElementById('duplicate-modal').style.display = 'none';
+    duplicateTargetId = null;
+}
+
+async function confirmDuplicate() {
+    const itemId = duplicateTargetId;
+    const options = {
+        copyDocuments: document.getElementById('duplicate-documents').checked,
+        find: document.getElementById('duplicate-find').value,
+        replace: document.getElementById('duplicate-replace').value
+    };
+    closeDuplicateModal();
+    await duplicateItem(itemId, options);
+}
+
+// Without copyDocuments the PDF folders of the copy start empty. A non-empty find is
+// replaced with replace in every name of the copy.
+async function duplicateItem(itemId, { copyDocuments = false, find = '', replace = '' } = {}) {
+    const item = findTopicById(itemId);
+    const location = findItemLocation(itemId);
+    if (!item) return;
+    
+    const now = new Date().toISOString();
+    const copy = JSON.parse(JSON.stringify(item));
+    getAllTopicsFlat([copy]).forEach(node => {
+        const name = find ? node.name.split(find).join(replace) : node.name;
+        if (name.trim()) {
+            node.name = name;
+        }
+        node.createdDate = now;
+        delete node.lastModified;
+        if (node.folderType === 'pdf-folder' && !copyDocuments) {
+            node.documents = [];
+            delete node.uploadDate;
+        }
+    });
+    if (copy.name === item.name) {
+        copy.name = `${item.name} (Copy)`;
+    }
+    
+    // Every ID in the copy clashes with the original, so all of them are replaced
+    const bytes = getAllTopicsFlat([copy]).flatMap(getFolderDocuments).flatMap(doc => doc.versions || []).reduce((total, version) => total + (version.size || 0), 0);
+    const usedItemIds = new Set(getAllTopicsFlat().map(node => node.id));
+    const usedDocumentIds = new Set(getAllTopicsFlat().flatMap(node => getFolderDocuments(node).map(doc => doc.id)));
+    const copies = rekeyIncomingSubtree(copy, usedItemIds, usedDocumentIds);
+    
+    if (copies.length > 0) {
+        if (!await confirmStorageForUpload(bytes)) return;
+        
+        // Files first, so a failed copy leaves the tree alone
+        showLoading();
+        try {
+            for (let i = 0; i < copies.length; i++) {
+                updateLoadingProgress(`Copying file ${i + 1} of ${copies.length}...`, i, copies.length);
+                const data = await getFromStorage(copies[i].from);
+                if (data) {
+                    await saveToStorage(copies[i].to, data);
+                }
+            }
+        } catch (error) {
+            console.error('Error copying files:', error);
+            hideLoading();
+            alert('❌ The documents could not be copied: ' + error.message);
+            return;
+        }
+        hideLoading();
+    }
+    
+    await recordHistory(`Duplicate "${item.name}"`);
+    location.siblings.splice(location.index + 1, 0, copy);
+    await saveData();
+    renderTopics();
+}
+
+// Undo/redo history - each entry is a snapshot of the tree and Trash taken before an edit.
+// Files dropped by an edit stay in storage while a snapshot still refers to them.
+const HISTORY_LIMIT = 50;
+const HISTORY_PANEL_SIZE = 10;
+let undoStack = [];
+let redoStack = [];
+
+async function takeSnapshot(description) {
+    return {
+        description: description,
+        timestamp: new Date().toISOString(),
+        topics: JSON.stringify(topics),
+        trash: JSON.stringify(await getTrash())
+    };
+}
+
+// Call before changing the tree
+async function recordHistory(description) {
+    await noteChangeForBackup();
+    undoStack.push(await takeSnapshot(description));
+    const discarded = redoStack.concat(undoStack.length > HISTORY_LIMIT ? undoStack.shift() : []);
+    redoStack = [];
+    await releaseSnapshotFiles(discarded);
+    renderHistoryPanel();
+}
+
+// An import replaces the tree and starts a fresh history
+async function clearHistory() {
+    const discarded = undoStack.concat(redoStack);
+    undoStack = [];
+    redoStack = [];
+    await releaseSnapshotFiles(discarded);
+    renderHistoryPanel();
+}
+
+// Carry the history over a tree another tab or the sync server saved, so undo and redo only
+// revert this tab's own edits. Each stack stops at the first snapshot that changed the same
+// items as the other side. Files are kept, as the other tab's history may still need them.
+async function rebaseHistory(baseTree, storedTree) {
+    const trash = await getTrash();
+    
+    const rebaseSnapshot = snapshot => {
+        const merge = mergeTopicsTrees(baseTree, JSON.parse(snapshot.topics), storedTree);
+        if (merge.conflicts.length > 0) return null;
+        
+        // Trash entries the other side added stay, unless the snapshot puts their item back
+        const treeIds = new Set(getAllTopicsFlat(merge.tree).map(item => item.id));
+        const snapshotTrash = JSON.parse(snapshot.trash);
+        const added = trash.filter(entry => !snapshotTrash.some(snapshotEntry => snapshotEntry.id === entry.id));
+        return {
+            ...snapshot,
+            topics: JSON.stringify(merge.tree),
+            trash: JSON.stringify(snapshotTrash.concat(added).filter(entry => !treeIds.has(entry.item.id)))
+        };
+    };
+    
+    const rebaseStack = stack => {
+        const rebased = [];
+        for (let i = stack.length - 1; i >= 0; i--) {
+            const snapshot = rebaseSnapshot(stack[i]);
+            if (!snapshot) break;
+            rebased.unshift(snapshot);
         }
-    } catch (error) {
-        console.error('Error getting storage info:', error);
+        return rebased;
+    };
+    
+    const entriesBefore = undoStack.length + redoStack.length;
+    undoStack = rebaseStack(undoStack);
+    redoStack = rebaseStack(redoStack);
+    const dropped = entriesBefore - undoStack.length - redoStack.length;
+    if (dropped > 0) {
+        console.log(`🔄 Dropped ${dropped} history entries that changed the same items as another tab`);
     }
+    renderHistoryPanel();
+}
 
-    return info;
+function getSnapshotStorageKeys(snapshot) {
+    const tree = JSON.parse(snapshot.topics).concat(JSON.parse(snapshot.trash).map(entry => entry.item));
+    return getAllTopicsFlat(tree).flatMap(item => getFolderDocuments(item).flatMap(getDocumentStorageKeys));
 }
 
-// Update storage type display
-function updateStorageTypeDisplay(type) {
-    const storageTypeEl = document.getElementById('storage-type');
-    if (storageTypeEl) {
-        storageTypeEl.textContent = type;
+// Files referenced by the live tree, the Trash or a remaining snapshot
+async function getHistoryReferencedKeys() {
+    const trash = await getTrash();
+    const live = getAllTopicsFlat(topics.concat(trash.map(entry => entry.item)));
+    const keys = new Set(live.flatMap(item => getFolderDocuments(item).flatMap(getDocumentStorageKeys)));
+    undoStack.concat(redoStack).forEach(snapshot => getSnapshotStorageKeys(snapshot).forEach(key => keys.add(key)));
+    return keys;
+}
+
+async function releaseSnapshotFiles(snapshots) {
+    if (snapshots.length === 0) return;
+    
+    const referenced = await getHistoryReferencedKeys();
+    const released = new Set(snapshots.flatMap(getSnapshotStorageKeys).filter(key => !referenced.has(key)));
+    for (const key of released) {
+        await removeFromStorage(key);
     }
 }
 
-// Show enhanced system status
-async function showEnhancedSystemStatus() {
-    console.log('🚀 ASTURI Enhanced System Active:');
-    console.log(`💾 Storage: ${storageType}`);
-    console.log('📁 File export/import available');
-    console.log('🔄 Auto-save enabled');
+// Remove a file now, or leave it for the history to release if it can still be undone
+async function releaseStorageKey(key) {
+    if (!(await getHistoryReferencedKeys()).has(key)) {
+        await removeFromStorage(key);
+    }
+}
+
+// Forget the snapshots that refer to files being removed for good, so undo never brings back a
+// document without its file. The rest of the history stays.
+async function dropSnapshotsReferencing(keys) {
+    const removed = new Set(keys);
+    const dropped = undoStack.concat(redoStack).filter(snapshot => getSnapshotStorageKeys(snapshot).some(key => removed.has(key)));
+    if (dropped.length === 0) return;
     
-    const info = await getStorageInfo();
-    if (info.topicCount > 0 || info.pdfCount > 0) {
-        console.log(`📊 Current data: ${info.topicCount} items, ${info.pdfCount} PDFs saved`);
-        if (info.totalSize > 0) {
-            console.log(`💽 Total size: ${formatBytes(info.totalSize)}`);
+    undoStack = undoStack.filter(snapshot => !dropped.includes(snapshot));
+    redoStack = redoStack.filter(snapshot => !dropped.includes(snapshot));
+    await releaseSnapshotFiles(dropped);
+    renderHistoryPanel();
+}
+
+// The history only lives in memory, so files a closed or reloaded tab kept for undo are left
+// behind. They are released on startup while no other tab of the workspace is open, as its
+// history may still need them. Each tab holds a shared lock for as long as it is open.
+async function releaseClosedTabHistoryFiles() {
+    if (!navigator.locks) return;
+    
+    const lockName = `asturi-tab-${currentWorkspaceId}`;
+    const otherTabOpen = (await navigator.locks.query()).held.some(lock => lock.name === lockName);
+    navigator.locks.request(lockName, { mode: 'shared' }, () => new Promise(() => {}));
+    
+    // Other users of a sync server may still undo, and a tree that did not load refers to nothing
+    if (otherTabOpen || getSyncServerUrl() || saveBlockedReason) return;
+    
+    const referenced = await getHistoryReferencedKeys();
+    const released = (await storage.listFileKeys()).filter(key => !key.startsWith('dateRange_') && !referenced.has(key));
+    for (const key of released) {
+        await removeFromStorage(key);
+    }
+    if (released.length > 0) {
+        console.log(`🧹 Released ${released.length} files kept for the undo history of a closed tab`);
+    }
+}
+
+async function applySnapshot(snapshot) {
+    // Expand/collapse is not an edit, so the current state is kept
+    const expanded = new Map(getAllTopicsFlat().map(item => [item.id, item.expanded]));
+    topics = JSON.parse(snapshot.topics);
+    getAllTopicsFlat().forEach(item => {
+        if (expanded.has(item.id)) {
+            item.expanded = expanded.get(item.id);
+        }
+    });
+    
+    const trash = JSON.parse(snapshot.trash);
+    await saveSetting('trash', trash);
+    await saveData();
+    renderTopics();
+    updateTrashButton(trash);
+    await refreshSelection();
+}
+
+// Re-show the selected folder after the tree was replaced by undo, redo or another tab
+async function refreshSelection() {
+    const selected = findTopicById(currentSubtopicId);
+    if (selected && selected.folderType === 'pdf-folder') {
+        if (!findDocumentById(selected, currentDocumentId)) {
+            currentDocumentId = null;
         }
+        await selectSubtopic(currentSubtopicId, currentTopicId);
+    } else if (currentSubtopicId) {
+        resetMainContent();
     }
+}
+
+async function undo() {
+    const snapshot = undoStack.pop();
+    if (!snapshot) return;
     
-    if (info.quota) {
-        const usagePercent = ((info.usage / info.quota) * 100).toFixed(1);
-        console.log(`🗄️ Storage usage: ${usagePercent}% (${formatBytes(info.usage)} / ${formatBytes(info.quota)})`);
+    redoStack.push(await takeSnapshot(snapshot.description));
+    await applySnapshot(snapshot);
+    renderHistoryPanel();
+    console.log(`↩️ Undo: ${snapshot.description}`);
+}
+
+async function redo() {
+    const snapshot = redoStack.pop();
+    if (!snapshot) return;
+    
+    undoStack.push(await takeSnapshot(snapshot.description));
+    await applySnapshot(snapshot);
+    renderHistoryPanel();
+    console.log(`↪️ Redo: ${snapshot.description}`);
+}
+
+// Undo everything back to and including the given undo stack entry
+async function undoTo(index) {
+    while (undoStack.length > index) {
+        await undo();
     }
 }
 
-// Show storage information modal
-async function showStorageInfo() {
-    const info = await getStorageInfo();
-    const modal = document.getElementById('storage-modal');
-    const details = document.getElementById('storage-details');
+function renderHistoryPanel() {
+    const list = document.getElementById('history-list');
+    if (!list) return;
     
-    let quotaInfo = '';
-    if (info.quota) {
-        const usagePercent = ((info.usage / info.quota) * 100).toFixed(1);
-        const usageClass = usagePercent > 80 ? 'storage-warning' : 'storage-success';
-        quotaInfo = `
-            <div class="storage-stat ${usageClass}">
-                <span class="storage-stat-label">Storage Usage</span>
-                <span class="storage-stat-value">${usagePercent}%</span>
-            </div>
-            <div class="storage-stat">
-                <span class="storage-stat-label">Available Space</span>
-                <span class="storage-stat-value">${formatBytes(info.quota - info.usage)}</span>
-            </div>
-        `;
+    document.getElementById('undo-btn').disabled = undoStack.length === 0;
+    document.getElementById('redo-btn').disabled = redoStack.length === 0;
+    
+    const done = undoStack.map((snapshot, index) => ({ snapshot, index })).slice(-HISTORY_PANEL_SIZE).reverse();
+    const undone = redoStack.slice(-HISTORY_PANEL_SIZE);
+    
+    if (done.length === 0 && undone.length === 0) {
+        list.innerHTML = '<li class="history-empty">No changes yet</li>';
+        return;
     }
     
-    details.innerHTML = `
-        <div class="storage-stat">
-            <span class="storage-stat-label">Storage Type</span>
-            <span class="storage-stat-value">${info.type}</span>
-        </div>
-        <div class="storage-stat">
-            <span class="storage-stat-label">Total Topics</span>
-            <span class="storage-stat-value">${info.topicCount}</span>
-        </div>
-        <div class="storage-stat">
-            <span class="storage-stat-label">Uploaded PDFs</span>
-            <span class="storage-stat-value">${info.pdfCount}</span>
-        </div>
-        <div class="storage-stat">
-            <span class="storage-stat-label">Total PDF Size</span>
-            <span class="storage-stat-value">${formatBytes(info.totalSize)}</span>
-        </div>
-        ${info.pdfCount > 0 ? `
-        <div class="storage-stat">
-            <span class="storage-stat-label">Average PDF Size</span>
-            <span class="storage-stat-value">${formatBytes(info.avgSize)}</span>
-        </div>
-        ` : ''}
-        ${quotaInfo}
-        ${info.lastModified ? `
-        <div class="storage-stat">
-            <span class="storage-stat-label">Last PDF Upload</span>
-            <span class="storage-stat-value">${formatDate(new Date(info.lastModified).toISOString())}</span>
-        </div>
-        ` : ''}
-        <div class="storage-stat">
-            <span class="storage-stat-label">Export Available</span>
-            <span class="storage-stat-value">✅ Yes</span>
-        </div>
-    `;
+    list.innerHTML =
+        undone.map(snapshot => `
+            <li class="history-item undone" title="Undone - press Ctrl+Shift+Z to redo">
+                <i class="fas fa-redo"></i> ${escapeHtml(snapshot.description)}
+            </li>
+        `).join('') +
+        done.map(({ snapshot, index }) => `
+            <li class="history-item" data-id="${index}" data-action="undo-to" title="Undo back to before this change">
+                <i class="fas fa-check"></i> ${escapeHtml(snapshot.description)}
+                <small>${new Date(snapshot.timestamp).toLocaleTimeString()}</small>
+            </li>
+        `).join('');
+}
+
+function toggleHistoryPanel() {
+    document.getElementById('history-panel').classList.toggle('expanded');
+}
+
+// Helper function to count all items in a tree
+function countAllItems(item) {
+    let count = 1; // Count the item itself
+    if (item.subtopics) {
+        for (let subtopic of item.subtopics) {
+            count += countAllItems(subtopic);
+        }
+    }
+    return count;
+}
+
+// Reset main content
+function resetMainContent() {
+    currentTopicId = null;
+    currentSubtopicId = null;
+    currentDocumentId = null;
+    currentPDF = null;
+    document.getElementById('content-title').textContent = 'Select a Report';
+    document.getElementById('content-subtitle').textContent = 'Choose a PDF folder from the sidebar to get started';
+    document.getElementById('content-body').style.display = 'block';
+    document.getElementById('report-view').style.display = 'none';
+    document.getElementById('pdf-viewer').style.display = 'none';
+    document.getElementById('upload-section').style.display = 'block';
+    document.getElementById('document-list').style.display = 'none';
+    document.getElementById('report-icon').classList.remove('pdf-uploaded');
+    updateRoute(false);
+}
+
+// URL routes - #/report/<folder>/<report>?period=month:2025-03&doc=<file>&page=3&zoom=140 opens a
+// report in a period at a page and zoom. Items are found by name so a link also works for colleagues on the same sync server.
+const ROUTE_PREFIX = '#/report/';
+let pendingRoute = null; // Document and page a route opens, until the PDF has loaded
+let routeUpdatesPaused = true; // The URL is left alone while a route is applied, and before the first one
+
+function buildRouteHash() {
+    const item = findTopicById(currentSubtopicId);
+    if (!item) return '';
     
-    modal.style.display = 'block';
+    const path = getItemAncestors(item.id).concat(item).map(node => encodeURIComponent(node.name)).join('/');
+    const params = new URLSearchParams();
+    if (currentWorkspaceId !== DEFAULT_WORKSPACE_ID) {
+        params.set('workspace', currentWorkspaceId);
+    }
+    if (currentPeriod) {
+        params.set('period', currentPeriod);
+    }
+    const doc = findDocumentById(item, currentDocumentId);
+    if (doc && getFolderDocuments(item).length > 1) {
+        params.set('doc', doc.fileName);
+    }
+    if (pageNum > 1) {
+        params.set('page', pageNum);
+    }
+    if (Math.round(scale * 100) !== Math.round(DEFAULT_SCALE * 100)) {
+        params.set('zoom', Math.round(scale * 100));
+    }
+    
+    const query = params.toString();
+    return `${ROUTE_PREFIX}${path}${query ? `?${query}` : ''}`;
 }
 
-function closeStorageModal() {
-    document.getElementById('storage-modal').style.display = 'none';
+function parseRoute(hash) {
+    if (!hash.startsWith(ROUTE_PREFIX)) return null;
+    
+    const [path, query] = hash.slice(ROUTE_PREFIX.length).split('?');
+    const params = new URLSearchParams(query || '');
+    const zoom = parseInt(params.get('zoom'), 10);
+    try {
+        return {
+            names: path.split('/').map(decodeURIComponent),
+            workspace: params.get('workspace') || DEFAULT_WORKSPACE_ID,
+            period: parsePeriod(params.get('period')) ? params.get('period') : null,
+            document: params.get('doc'),
+            page: Math.max(1, parseInt(params.get('page'), 10) || 1),
+            scale: Number.isFinite(zoom) ? Math.min(Math.max(zoom, 20), 500) / 100 : DEFAULT_SCALE
+        };
+    } catch (error) {
+        // A name that is not valid percent-encoding
+        return null;
+    }
 }
 
-// Utility function to format bytes
-function formatBytes(bytes) {
-    if (bytes === 0) return '0 Bytes';
-    const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+// Write the current report, page and zoom to the URL. A new report gets its own history entry
+// so back and forward step between reports; anything else updates the current entry.
+function updateRoute(isNewReport) {
+    if (routeUpdatesPaused) return;
+    
+    const hash = buildRouteHash();
+    if (hash === location.hash) return;
+    
+    const url = location.pathname + location.search + hash;
+    if (isNewReport) {
+        history.pushState(null, '', url);
+    } else {
+        history.replaceState(null, '', url);
+    }
 }
 
-// Setup context menu for rename functionality
-function setupContextMenu() {
-    document.addEventListener('contextmenu', function(e) {
-        // Check if right-clicked on a topic or subtopic
-        const topicHeader = e.target.closest('.topic-header');
-        const subtopic = e.target.closest('.subtopic');
+// Show what the URL points to, expanding the tree down to the report
+async function applyRoute() {
+    if (location.hash === buildRouteHash() && !routeUpdatesPaused) return;
+    
+    const route = parseRoute(location.hash);
+    routeUpdatesPaused = true;
+    try {
+        if (!route) {
+            if (currentSubtopicId) {
+                resetMainContent();
+            }
+            return;
+        }
         
-        if (topicHeader || subtopic) {
-            e.preventDefault();
-            showContextMenu(e, topicHeader, subtopic);
+        // Switching workspaces reloads the app, which opens the route again
+        if (route.workspace !== currentWorkspaceId) {
+            if ((await getWorkspaces()).some(workspace => workspace.id === route.workspace)) {
+                switchWorkspace(route.workspace);
+            } else {
+                alert('⚠️ The link points to a workspace that does not exist here.');
+                routeUpdatesPaused = false;
+                resetMainContent();
+            }
+            return;
         }
-    });
+        
+        let item = null;
+        let items = topics;
+        for (const name of route.names) {
+            item = items.find(node => node.name === name) || null;
+            if (!item) break;
+            items = item.subtopics || [];
+        }
+        if (!item || item.folderType !== 'pdf-folder') {
+            alert(`⚠️ The report "${route.names.join(' / ')}" was not found. It may have been renamed, moved or deleted.`);
+            // Also takes the broken link out of the URL
+            routeUpdatesPaused = false;
+            resetMainContent();
+            return;
+        }
+        
+        const periodChanged = route.period !== currentPeriod;
+        if (periodChanged) {
+            currentPeriod = route.period;
+            renderPeriodNavigators();
+        }
+        
+        const ancestors = getItemAncestors(item.id);
+        const collapsed = ancestors.filter(ancestor => !ancestor.expanded);
+        if (collapsed.length > 0) {
+            collapsed.forEach(ancestor => { ancestor.expanded = true; });
+            await saveData();
+        }
+        
+        scale = route.scale;
+        pendingRoute = { document: route.document, page: route.page };
+        if (item.id === currentSubtopicId && !periodChanged && pdfDoc && findDocumentById(item, currentDocumentId)) {
+            // Same report: only the page or zoom changed
+            const doc = route.document && getFolderDocuments(item).find(d => d.fileName === route.document);
+            if (doc && doc.id !== currentDocumentId) {
+                await openDocument(doc.id);
+            } else {
+                pageNum = Math.min(route.page, pageCount);
+                pendingRoute = null;
+                renderPage(pageNum);
+            }
+        } else {
+            const parent = ancestors[ancestors.length - 1];
+            await selectSubtopic(item.id, parent ? parent.id : item.id);
+        }
+    } finally {
+        routeUpdatesPaused = false;
+    }
+}
+
+// Accounting periods - each document in a PDF folder can be assigned a month, a quarter or a
+// financial year. A period is stored as "<type>:<first month>", e.g. "month:2025-03" or
+// "year:2024-07", so changing the financial year start later leaves assigned documents alone.
+const PERIOD_MONTHS = { month: 1, quarter: 3, year: 12 };
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+let financialYearStart = 1; // Month the financial year starts in, 1-12; a setting of each workspace
+let currentPeriod = null; // Period the sidebar and the report view are filtered to, null for all
+
+// { type, start, months } with start counted in months from year 0, or null if not a period
+function parsePeriod(period) {
+    const match = /^(month|quarter|year):(\d{4})-(\d{2})$/.exec(period || '');
+    const month = match ? Number(match[3]) : 0;
+    if (month < 1 || month > 12) return null;
+    return { type: match[1], start: Number(match[2]) * 12 + month - 1, months: PERIOD_MONTHS[match[1]] };
+}
+
+// "YYYY-MM" for a month counted from year 0
+function formatMonthKey(index) {
+    return `${Math.floor(index / 12)}-${String(index % 12 + 1).padStart(2, '0')}`;
+}
+
+function formatMonthName(index) {
+    return `${MONTH_NAMES[index % 12]} ${Math.floor(index / 12)}`;
+}
+
+function getCurrentMonthKey() {
+    const today = new Date();
+    return formatMonthKey(today.getFullYear() * 12 + today.getMonth());
+}
+
+// The period of a type that contains a month ("YYYY-MM"). Quarters and years follow the financial year.
+function getPeriodContaining(type, monthKey) {
+    const [year, month] = monthKey.split('-').map(Number);
+    const index = year * 12 + month - 1;
+    const length = PERIOD_MONTHS[type];
+    const offset = index - (financialYearStart - 1);
+    return `${type}:${formatMonthKey(index - ((offset % length) + length) % length)}`;
+}
+
+function shiftPeriod(period, steps) {
+    const parsed = parsePeriod(period);
+    return `${parsed.type}:${formatMonthKey(parsed.start + steps * parsed.months)}`;
+}
+
+// Whether a period lies within another, e.g. a month within its quarter
+function isPeriodWithin(inner, outer) {
+    const a = parsePeriod(inner);
+    const b = parsePeriod(outer);
+    return Boolean(a && b) && a.start >= b.start && a.start + a.months <= b.start + b.months;
+}
+
+// "Mar 2025", "Q1 FY 2024/25" or "FY 2024/25". Quarters and years that do not line up with
+// the financial year (it was changed after they were assigned) show their months instead.
+function formatPeriod(period) {
+    const parsed = parsePeriod(period);
+    if (!parsed) return 'No period';
+    if (parsed.type === 'month') return formatMonthName(parsed.start);
     
-    // Hide context menu when clicking elsewhere
-    document.addEventListener('click', function() {
-        hideContextMenu();
-    });
+    const yearStart = parsed.start - ((parsed.start - (financialYearStart - 1)) % 12 + 12) % 12;
+    if ((parsed.start - yearStart) % parsed.months !== 0) return formatPeriodRange(period);
+    
+    const firstYear = Math.floor(yearStart / 12);
+    const lastYear = Math.floor((yearStart + 11) / 12);
+    const yearLabel = `FY ${firstYear}${lastYear !== firstYear ? `/${String(lastYear).slice(2)}` : ''}`;
+    return parsed.type === 'quarter' ? `Q${(parsed.start - yearStart) / 3 + 1} ${yearLabel}` : yearLabel;
 }
 
-function showContextMenu(e, topicHeader, subtopic) {
-    hideContextMenu(); // Hide any existing context menu
+// "Jul 2024 – Sep 2024"
+function formatPeriodRange(period) {
+    const parsed = parsePeriod(period);
+    if (!parsed) return '';
+    return parsed.months === 1 ? formatMonthName(parsed.start) : `${formatMonthName(parsed.start)} – ${formatMonthName(parsed.start + parsed.months - 1)}`;
+}
+
+// The smallest period covering a range set with the old "Set Date Range" prompts, or null
+function getPeriodForDateRange(range) {
+    const toMonthKey = date => typeof date === 'string' && /^\d{4}-\d{2}/.test(date) ? date.slice(0, 7) : null;
+    const first = toMonthKey(range && range.startDate);
+    const last = toMonthKey(range && range.endDate);
+    if (!first || !last || last < first) return null;
     
-    const contextMenu = document.createElement('div');
-    contextMenu.className = 'context-menu';
-    contextMenu.innerHTML = `
-        <div class="context-menu-item" onclick="initiateRename(event)">
-            <i class="fas fa-edit"></i> Rename
-        </div>
-    `;
+    return Object.keys(PERIOD_MONTHS)
+        .map(type => getPeriodContaining(type, first))
+        .find(period => isPeriodWithin(getPeriodContaining('month', last), period)) || null;
+}
+
+// The date range stored for a folder becomes the folder's date range, and its documents without
+// a period take it as their period.
+// Part of the schema 5 -> 6 migration. Returns why the range could not be converted, or null.
+function applyStoredDateRange(folder, value) {
+    let range = null;
+    try {
+        range = JSON.parse(typeof value === 'string' ? value : new TextDecoder().decode(value));
+    } catch (error) {
+        return 'the stored date range could not be read';
+    }
     
-    // Store the target for renaming
-    if (topicHeader) {
-        const topicDiv = topicHeader.closest('.topic');
-        renameTargetId = getTopicIdFromElement(topicHeader);
-        renameTargetType = 'topic';
-    } else if (subtopic) {
-        renameTargetId = getSubtopicIdFromElement(subtopic);
-        renameTargetType = 'subtopic';
+    if (!folder.dateRange && range && !getDateRangeError(range.startDate, range.endDate)) {
+        folder.dateRange = { start: range.startDate, end: range.endDate };
     }
     
-    // Position the context menu
-    contextMenu.style.left = e.pageX + 'px';
-    contextMenu.style.top = e.pageY + 'px';
+    const period = getPeriodForDateRange(range);
+    if (!period) {
+        return 'the date range does not fit one month, quarter or financial year';
+    }
+    getFolderDocuments(folder).forEach(doc => {
+        doc.period = doc.period || period;
+    });
+    return null;
+}
+
+// Date range files left after the tree step: a store older than schema 5 names them after numeric IDs,
+// and folders in the Trash are not part of the tree. A range is only removed once it was converted.
+async function migrateStoredDateRanges(failures) {
+    const trash = await getTrash();
+    let trashChanged = false;
+    
+    for (const key of await storage.listFileKeys()) {
+        if (!key.startsWith('dateRange_')) continue;
+        
+        const folderId = key.slice('dateRange_'.length);
+        const entry = findTopicById(folderId) ? null :
+            trash.find(trashEntry => getAllTopicsFlat([trashEntry.item]).some(item => item.id === folderId));
+        const folder = entry ? getAllTopicsFlat([entry.item]).find(item => item.id === folderId) : findTopicById(folderId);
+        
+        if (!folder || folder.folderType !== 'pdf-folder') {
+            console.log(`📅 Removed the date range of missing folder ${folderId}`);
+            await removeFromStorage(key);
+            continue;
+        }
+        
+        const reason = applyStoredDateRange(folder, await getFromStorage(key));
+        trashChanged = trashChanged || Boolean(entry);
+        if (reason) {
+            const parentPath = entry ? 'Trash' : getItemPath(folderId);
+            const path = parentPath ? `${parentPath} / ${folder.name}` : folder.name;
+            // The tree step reports the folders it could read the range of
+            if (!failures.some(failure => failure.path === path && failure.reason === reason)) {
+                failures.push({ path: path, reason: reason });
+            }
+            continue;
+        }
+        
+        await removeFromStorage(key);
+    }
     
-    document.body.appendChild(contextMenu);
+    if (trashChanged) {
+        await saveSetting('trash', trash);
+    }
 }
 
-function hideContextMenu() {
-    const existingMenu = document.querySelector('.context-menu');
-    if (existingMenu) {
-        existingMenu.remove();
+function isInCurrentPeriod(doc) {
+    return !currentPeriod || isPeriodWithin(doc.period, currentPeriod);
+}
+
+// The documents of a PDF folder in the selected period
+function getPeriodDocuments(folder) {
+    return getFolderDocuments(folder).filter(isInCurrentPeriod);
+}
+
+// While a period is selected the sidebar shows the PDF folders with documents in it, the folders
+// above them, and the open report
+function isItemInCurrentPeriod(item) {
+    if (!currentPeriod) return true;
+    return getAllTopicsFlat([item]).some(node => node.id === currentSubtopicId || getPeriodDocuments(node).length > 0);
+}
+
+async function loadPeriodSettings() {
+    financialYearStart = await getSetting('financialYearStart', 1);
+}
+
+// The period filter in the sidebar and the navigator in the report view show the same period
+function renderPeriodNavigators() {
+    const type = currentPeriod ? parsePeriod(currentPeriod).type : '';
+    document.querySelectorAll('.period-type').forEach(select => {
+        select.value = type;
+    });
+    document.querySelectorAll('.period-label').forEach(label => {
+        label.textContent = currentPeriod ? formatPeriod(currentPeriod) : '';
+        label.title = currentPeriod ? formatPeriodRange(currentPeriod) : '';
+    });
+    document.querySelectorAll('.period-stepper').forEach(stepper => {
+        stepper.style.display = currentPeriod ? 'flex' : 'none';
+    });
+}
+
+// Filter to a period, or to every period with null
+async function setCurrentPeriod(period) {
+    currentPeriod = period;
+    renderPeriodNavigators();
+    
+    // Reselecting the report opens the latest document of the period
+    if (currentSubtopicId) {
+        await selectSubtopic(currentSubtopicId, currentTopicId);
+    } else {
+        renderTopics();
     }
 }
 
-function getTopicIdFromElement(element) {
-    // Extract ID from onclick attribute or data attribute
-    const controls = element.querySelector('.topic-controls');
-    if (controls) {
-        const deleteBtn = controls.querySelector('.control-btn[title="Delete"]');
-        if (deleteBtn) {
-            const onclick = deleteBtn.getAttribute('onclick');
-            const match = onclick.match(/deleteTopic\((\d+)\)/);
-            if (match) return parseInt(match[1]);
-        }
+// Switch between months, quarters and years, keeping to the time already selected
+async function setPeriodType(type) {
+    if (!type) {
+        await setCurrentPeriod(null);
+        return;
     }
-    return null;
+    const monthKey = currentPeriod ? formatMonthKey(parsePeriod(currentPeriod).start) : getCurrentMonthKey();
+    await setCurrentPeriod(getPeriodContaining(type, monthKey));
 }
 
-function getSubtopicIdFromElement(element) {
-    // Extract ID from onclick attribute
-    const controls = element.querySelector('.subtopic-controls');
-    if (controls) {
-        const deleteBtn = controls.querySelector('.control-btn[title="Delete"]');
-        if (deleteBtn) {
-            const onclick = deleteBtn.getAttribute('onclick');
-            const match = onclick.match(/deleteSubtopic\((\d+),/);
-            if (match) return parseInt(match[1]);
-        }
+async function stepPeriod(steps) {
+    if (currentPeriod) {
+        await setCurrentPeriod(shiftPeriod(currentPeriod, steps));
     }
-    return null;
 }
 
-function initiateRename(e) {
-    e.stopPropagation();
-    hideContextMenu();
+// Accounting period of a document
+function initiateDocumentPeriod(documentId) {
+    const doc = findDocumentById(findTopicById(currentSubtopicId), documentId);
+    if (!doc) return;
     
-    if (renameTargetId && renameTargetType) {
-        const target = findTopicById(renameTargetId);
-        if (target) {
-            document.getElementById('rename-input').value = target.name;
-            document.getElementById('rename-modal').style.display = 'block';
-            document.getElementById('rename-input').focus();
-            document.getElementById('rename-input').select();
-        }
-    }
+    // New assignments default to the selected period, or the month the document was uploaded in
+    const period = parsePeriod(doc.period || currentPeriod);
+    document.getElementById('period-modal').dataset.documentId = documentId;
+    document.getElementById('period-document-name').textContent = doc.fileName;
+    document.getElementById('period-modal-type').value = period ? period.type : 'month';
+    document.getElementById('period-month').value = period ? formatMonthKey(period.start) : (doc.uploadDate || '').slice(0, 7) || getCurrentMonthKey();
+    updatePeriodPreview();
+    document.getElementById('period-modal').style.display = 'block';
 }
 
-function closeRenameModal() {
-    document.getElementById('rename-modal').style.display = 'none';
-    renameTargetId = null;
-    renameTargetType = null;
+function closePeriodModal() {
+    document.getElementById('period-modal').style.display = 'none';
 }
 
-async function confirmRename() {
-    const newName = document.getElementById('rename-input').value.trim();
-    if (newName && renameTargetId && renameTargetType) {
-        const target = findTopicById(renameTargetId);
-        if (target) {
-            target.name = newName;
-            target.lastModified = new Date().toISOString();
-            await saveData();
-            renderTopics();
-            
-            // Update main content if currently selected
-            if (currentSubtopicId === renameTargetId) {
-                document.getElementById('content-title').textContent = newName;
-                document.getElementById('report-title').textContent = newName;
-            }
-        }
+// The period the dialog will assign, or null for none; undefined while the month is incomplete
+function getChosenPeriod() {
+    const type = document.getElementById('period-modal-type').value;
+    const monthKey = document.getElementById('period-month').value;
+    if (!type) return null;
+    return /^\d{4}-\d{2}$/.test(monthKey) ? getPeriodContaining(type, monthKey) : undefined;
+}
+
+function updatePeriodPreview() {
+    const period = getChosenPeriod();
+    document.getElementById('period-month').disabled = period === null;
+    const preview = document.getElementById('period-preview');
+    if (period) {
+        const label = formatPeriod(period);
+        const range = formatPeriodRange(period);
+        preview.textContent = label === range ? label : `${label} (${range})`;
+    } else {
+        preview.textContent = period === null ? 'The document only shows while all periods are shown.' : 'Choose a month in the period.';
     }
-    closeRenameModal();
 }
 
-// Setup modal radio button handlers
-function setupModalHandlers() {
-    // Topic modal radio buttons
-    const topicRadios = document.querySelectorAll('input[name="topic-type"]');
-    topicRadios.forEach(radio => {
-        radio.addEventListener('change', function() {
-            updateRadioSelection('topic-type');
-        });
-    });
+async function confirmDocumentPeriod() {
+    const folder = findTopicById(currentSubtopicId);
+    const doc = findDocumentById(folder, document.getElementById('period-modal').dataset.documentId);
+    const period = getChosenPeriod();
+    if (period === undefined) {
+        alert('Please choose a month in the period.');
+        return;
+    }
+    closePeriodModal();
+    if (!doc || (doc.period || null) === period) return;
     
-    // Subtopic modal radio buttons
-    const subtopicRadios = document.querySelectorAll('input[name="subtopic-type"]');
-    subtopicRadios.forEach(radio => {
-        radio.addEventListener('change', function() {
-            updateRadioSelection('subtopic-type');
-        });
-    });
+    await recordHistory(period ? `Assign "${doc.fileName}" to ${formatPeriod(period)}` : `Remove the period of "${doc.fileName}"`);
+    if (period) {
+        doc.period = period;
+    } else {
+        delete doc.period;
+    }
+    folder.lastModified = new Date().toISOString();
+    await saveData();
+    
+    // A document moved out of the selected period leaves the view
+    if (isInCurrentPeriod(doc)) {
+        renderDocumentList(folder);
+        renderTopics();
+    } else {
+        await selectSubtopic(currentSubtopicId, currentTopicId);
+    }
 }
 
-// Update radio button visual selection
-function updateRadioSelection(radioName) {
-    const radios = document.querySelectorAll(`input[name="${radioName}"]`);
-    radios.forEach(radio => {
-        const option = radio.closest('.radio-option');
-        if (radio.checked) {
-            option.classList.add('checked');
-        } else {
-            option.classList.remove('checked');
-        }
-    });
+// Financial year start, for the current workspace
+function showPeriodSettings() {
+    const select = document.getElementById('financial-year-start');
+    select.innerHTML = MONTH_NAMES.map((name, index) => `<option value="${index + 1}">${name}</option>`).join('');
+    select.value = String(financialYearStart);
+    document.getElementById('period-settings-modal').style.display = 'block';
 }
 
-// Format date for display
-function formatDate(dateString) {
-    if (!dateString) return '';
-    const date = new Date(dateString);
-    return date.toLocaleDateString('en-US', {
-        year: 'numeric',
-        month: 'short',
-        day: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit'
-    });
+function closePeriodSettings() {
+    document.getElementById('period-settings-modal').style.display = 'none';
 }
 
-// Load default data (specific to ASTURI business requirements)
-function loadDefaultData() {
-    const now = new Date().toISOString();
+async function savePeriodSettings() {
+    const month = Number(document.getElementById('financial-year-start').value);
+    closePeriodSettings();
+    if (month === financialYearStart) return;
     
-    topics = [
-        {
-            id: 1,
-            name: "STANDARD FORMAT FOR FINANCE",
-            icon: "fas fa-folder",
-            expanded: true,
-            folderType: "folder",
-            createdDate: now,
-            subtopics: [
-                {
-                    id: 11,
-                    name: "PROFIT & LOSS STATEMENT",
-                    description: "Comprehensive profit and loss financial statement",
-                    folderType: "pdf-folder",
-                    expanded: false,
-                    createdDate: now
-                },
-                {
-                    id: 12,
-                    name: "BALANCE SHEET",
-                    description: "Complete balance sheet report",
-                    folderType: "pdf-folder",
-                    expanded: false,
-                    createdDate: now
-                }
-            ]
-        },
-        {
-            id: 2,
-            name: "REPORT FOR REVENUE",
-            icon: "fas fa-folder",
-            expanded: false,
-            folderType: "folder",
-            createdDate: now,
-            subtopics: [
-                {
-                    id: 21,
-                    name: "Summary of Property Rental",
-                    description: "Comprehensive property rental revenue summary",
-                    folderType: "pdf-folder",
-                    expanded: false,
-                    createdDate: now
-                }
-            ]
-        },
-        {
-            id: 3,
-            name: "REPORT FOR INVOICE & PAYMENT RECEIVED",
-            icon: "fas fa-folder",
-            expanded: false,
-            folderType: "folder",
-            createdDate: now,
-            subtopics: [
-                {
-                    id: 31,
-                    name: "Rental Lot 74-A, Gebeng",
-                    description: "Invoice and payment tracking for Lot 74-A, Gebeng",
-                    folderType: "pdf-folder",
-                    expanded: false,
-                    createdDate: now
-                },
-                {
-                    id: 32,
-                    name: "Rental Lot 3/129, Gebeng",
-                    description: "Invoice and payment tracking for Lot 3/129, Gebeng",
-                    folderType: "pdf-folder",
-                    expanded: false,
-                    createdDate: now
-                },
-                {
-                    id: 33,
-                    name: "Rental Land, Gebeng",
-                    description: "Invoice and payment tracking for Land, Gebeng",
-                    folderType: "pdf-folder",
-                    expanded: false,
-                    createdDate: now
-                },
-                {
-                    id: 34,
-                    name: "Rental Bangi",
-                    description: "Invoice and payment tracking for Bangi property",
-                    folderType: "pdf-folder",
-                    expanded: false,
-                    createdDate: now
-                },
-                {
-                    id: 35,
-                    name: "Rental Jalan Kuching - Blok 3",
-                    description: "Invoice and payment tracking for Jalan Kuching Blok 3",
-                    folderType: "pdf-folder",
-                    expanded: false,
-                    createdDate: now
-                },
-                {
-                    id: 36,
-                    name: "Rental Jalan Kuching - Blok 3A",
-                    description: "Invoice and payment tracking for Jalan Kuching Blok 3A",
-                    folderType: "pdf-folder",
-                    expanded: false,
-                    createdDate: now
-                },
-                {
-                    id: 37,
-                    name: "Rental Short Term Rental",
-                    description: "Invoice and payment tracking for short term rentals",
-                    folderType: "pdf-folder",
-                    expanded: false,
-                    createdDate: now
-                },
-                {
-                    id: 38,
-                    name: "Rental of Equipment",
-                    description: "Invoice and payment tracking for equipment rental",
-                    folderType: "pdf-folder",
-                    expanded: false,
-                    createdDate: now
-                },
-                {
-                    id: 39,
-                    name: "Rental Others",
-                    description: "Invoice and payment tracking for other rental services",
-                    folderType: "pdf-folder",
-                    expanded: false,
-                    createdDate: now
-                }
-            ]
-        },
-        {
-            id: 4,
-            name: "REPORT FOR COST OF SALES",
-            icon: "fas fa-folder",
-            expanded: false,
-            folderType: "folder",
-            createdDate: now,
-            subtopics: [
-                {
-                    id: 41,
-                    name: "Rental Lot 74-A, Gebeng",
-                    description: "Cost of sales for Lot 74-A, Gebeng rental",
-                    folderType: "pdf-folder",
-                    expanded: false,
-                    createdDate: now
-                },
-                {
-                    id: 42,
-                    name: "Rental Lot 3/129, Gebeng",
-                    description: "Cost of sales for Lot 3/129, Gebeng rental",
-                    folderType: "pdf-folder",
-                    expanded: false,
-                    createdDate: now
-                },
-                {
-                    id: 43,
-                    name: "Rental Land, Gebeng",
-                    description: "Cost of sales for Land, Gebeng rental",
-                    folderType: "pdf-folder",
-                    expanded: false,
-                    createdDate: now
-                },
-                {
-                    id: 44,
-                    name: "Rental Bangi",
-                    description: "Cost of sales for Bangi rental",
-                    folderType: "pdf-folder",
-                    expanded: false,
-                    createdDate: now
-                },
-                {
-                    id: 45,
-                    name: "Rental Jalan Kuching - Blok 3",
-                    description: "Cost of sales for Jalan Kuching Blok 3 rental",
-                    folderType: "pdf-folder",
-                    expanded: false,
-                    createdDate: now
-                },
-                {
-                    id: 46,
-                    name: "Rental Jalan Kuching - Blok 3A",
-                    description: "Cost of sales for Jalan Kuching Blok 3A rental",
-                    folderType: "pdf-folder",
-                    expanded: false,
-                    createdDate: now
-                },
-                {
-                    id: 47,
-                    name: "Rental Short Term Rental",
-                    description: "Cost of sales for short term rentals",
-                    folderType: "pdf-folder",
-                    expanded: false,
-                    createdDate: now
-                },
-                {
-                    id: 48,
-                    name: "Rental of Equipment",
-                    description: "Cost of sales for equipment rental",
-                    folderType: "pdf-folder",
-                    expanded: false,
-                    createdDate: now
-                },
-                {
-                    id: 49,
-                    name: "Rental Others",
-                    description: "Cost of sales for other rental services",
-                    folderType: "pdf-folder",
-                    expanded: false,
-                    createdDate: now
-                }
-            ]
-        },
-        {
-            id: 5,
-            name: "REPORT FOR EXPENSES",
-            icon: "fas fa-folder",
-            expanded: false,
-            folderType: "folder",
-            createdDate: now,
-            subtopics: [
-                {
-                    id: 51,
-                    name: "Salary & Expenses",
-                    description: "Salary and expense management folder",
-                    folderType: "folder",
-                    expanded: false,
-                    createdDate: now,
-                    subtopics: [
-                        {
-                            id: 511,
-                            name: "Summary Salary & Salary Expenses",
-                            description: "Summary of all salary and salary-related expenses",
-                            folderType: "pdf-folder",
-                            expanded: false,
-                            createdDate: now
-                        },
-                        {
-                            id: 512,
-                            name: "Details - Salary",
-                            description: "Detailed salary breakdown",
-                            folderType: "pdf-folder",
-                            expanded: false,
-                            createdDate: now
-                        },
-                        {
-                            id: 513,
-                            name: "Details - Salary Expenses",
-                            description: "Detailed salary-related expenses",
-                            folderType: "pdf-folder",
-                            expanded: false,
-                            createdDate: now
-                        }
-                    ]
-                },
-                {
-                    id: 52,
-                    name: "Utilities & Maintenance",
-                    description: "Utilities and maintenance expenses folder",
-                    folderType: "folder",
-                    expanded: false,
-                    createdDate: now,
-                    subtopics: [
-                        {
-                            id: 521,
-                            name: "Details - Utilities",
-                            description: "Detailed utilities expenses breakdown",
-                            folderType: "pdf-folder",
-                            expanded: false,
-                            createdDate: now
-                        },
-                        {
-                            id: 522,
-                            name: "Details - Maintenance and Purchase Order",
-                            description: "Detailed maintenance and purchase order expenses",
-                            folderType: "pdf-folder",
-                            expanded: false,
-                            createdDate: now
-                        },
-                        {
-                            id: 523,
-                            name: "Maintenance and Purchase Order (Buildings)",
-                            description: "Building maintenance: Lot 74-A Office + Factory 1-13, Lot 3/129, Lot 55/129 (Kilang 8), Boulevard Business Park Jalan Kuching, Plaza Paragon Point Bangi",
-                            folderType: "pdf-folder",
-                            expanded: false,
-                            createdDate: now
-                        }
-                    ]
-                },
-                {
-                    id: 53,
-                    name: "Taxes & Legal",
-                    description: "Tax and legal expenses folder",
-                    folderType: "folder",
-                    expanded: false,
-                    createdDate: now,
-                    subtopics: [
-                        {
-                            id: 531,
-                            name: "Details - Cukai Tanah & Cukai Taksiran",
-                            description: "Land tax and assessment tax details",
-                            folderType: "pdf-folder",
-                            expanded: false,
-                            createdDate: now
-                        },
-                        {
-                            id: 532,
-                            name: "Cukai Tanah (Land Tax)",
-                            description: "Land tax for: Lot 74-A Office + Factory 1-13, Lot 3/129, Lot 55/129 (Kilang 8)",
-                            folderType: "pdf-folder",
-                            expanded: false,
-                            createdDate: now
-                        },
-                        {
-                            id: 533,
-                            name: "Cukai Taksiran (Assessment Tax)",
-                            description: "Assessment tax for: Boulevard Business Park Jalan Kuching, Plaza Paragon Point Bangi, Lot 55/129 (Kilang 8)",
-                            folderType: "pdf-folder",
-                            expanded: false,
-                            createdDate: now
-                        },
-                        {
-                            id: 534,
-                            name: "Details - Legal & Consultancy",
-                            description: "Legal and consultancy fee expenses",
-                            folderType: "pdf-folder",
-                            expanded: false,
-                            createdDate: now
-                        }
-                    ]
-                }
-            ]
-        },
-        {
-            id: 6,
-            name: "FORMAT ADDITIONAL FORMS",
-            icon: "fas fa-folder",
-            expanded: false,
-            folderType: "folder",
-            createdDate: now,
-            subtopics: [
-                {
-                    id: 61,
-                    name: "Payment Forms",
-                    description: "Payment related forms and templates",
-                    folderType: "folder",
-                    expanded: false,
-                    createdDate: now,
-                    subtopics: [
-                        {
-                            id: 611,
-                            name: "PROPOSED PAYMENT FOR APPROVAL - GENERAL",
-                            description: "General payment approval form",
-                            folderType: "pdf-folder",
-                            expanded: false,
-                            createdDate: now
-                        },
-                        {
-                            id: 612,
-                            name: "PROPOSED PAYMENT FOR APPROVAL - SALARY",
-                            description: "Salary payment approval form",
-                            folderType: "pdf-folder",
-                            expanded: false,
-                            createdDate: now
-                        },
-                        {
-                            id: 613,
-                            name: "PROPOSED PAYMENT FOR APPROVAL - UTILITY",
-                            description: "Utility payment approval form",
-                            folderType: "pdf-folder",
-                            expanded: false,
-                            createdDate: now
-                        },
-                        {
-                            id: 614,
-                            name: "PAYMENT REQUEST",
-                            description: "Payment request form template",
-                            folderType: "pdf-folder",
-                            expanded: false,
-                            createdDate: now
-                        }
-                    ]
-                },
-                {
-                    id: 62,
-                    name: "Invoice & Receipt Forms",
-                    description: "Invoice and receipt templates",
-                    folderType: "folder",
-                    expanded: false,
-                    createdDate: now,
-                    subtopics: [
-                        {
-                            id: 621,
-                            name: "INVOICE",
-                            description: "Invoice template form",
-                            folderType: "pdf-folder",
-                            expanded: false,
-                            createdDate: now
-                        },
-                        {
-                            id: 622,
-                            name: "OFFICIAL RECEIPT",
-                            description: "Official receipt template form",
-                            folderType: "pdf-folder",
-                            expanded: false,
-                            createdDate: now
-                        },
-                        {
-                            id: 623,
-                            name: "SUMMARY INVOICE LISTING",
-                            description: "Summary of all invoice listings",
-                            folderType: "pdf-folder",
-                            expanded: false,
-                            createdDate: now
-                        },
-                        {
-                            id: 624,
-                            name: "SUMMARY OFFICIAL RECEIPT",
-                            description: "Summary of all official receipts",
-                            folderType: "pdf-folder",
-                            expanded: false,
-                            createdDate: now
-                        }
-                    ]
-                }
-            ]
-        },
-        {
-            id: 7,
-            name: "ASSETS",
-            icon: "fas fa-folder",
-            expanded: false,
-            folderType: "folder",
-            createdDate: now,
-            subtopics: [
-                {
-                    id: 71,
-                    name: "LIST OF ASSETS",
-                    description: "Complete list of 19 company assets",
-                    folderType: "pdf-folder",
-                    expanded: false,
-                    createdDate: now
-                },
-                {
-                    id: 72,
-                    name: "ASSET LISTING",
-                    description: "Detailed asset listing (19 items - to be filled by Asturi staff)",
-                    folderType: "pdf-folder",
-                    expanded: false,
-                    createdDate: now
-                }
-            ]
-        },
-        {
-            id: 8,
-            name: "VEHICLE MANAGEMENT",
-            icon: "fas fa-folder",
-            expanded: false,
-            folderType: "folder",
-            createdDate: now,
-            subtopics: [
-                {
-                    id: 81,
-                    name: "Vehicle Maintenance & Servicing",
-                    description: "Vehicle maintenance and servicing records",
-                    folderType: "folder",
-                    expanded: false,
-                    createdDate: now,
-                    subtopics: [
-                        {
-                            id: 811,
-                            name: "ASTURI RESOURCES - Maintenance & Servicing",
-                            description: "Vehicle maintenance and servicing expenses for Asturi Resources",
-                            folderType: "pdf-folder",
-                            expanded: false,
-                            createdDate: now
-                        },
-                        {
-                            id: 812,
-                            name: "ASTURI TRUCK & CRANE - Maintenance & Servicing",
-                            description: "Vehicle maintenance and servicing expenses for Asturi Truck & Crane",
-                            folderType: "pdf-folder",
-                            expanded: false,
-                            createdDate: now
-                        },
-                        {
-                            id: 813,
-                            name: "PERSONAL VEHICLES - Maintenance & Servicing",
-                            description: "Personal vehicle maintenance and servicing expenses",
-                            folderType: "pdf-folder",
-                            expanded: false,
-                            createdDate: now
-                        }
-                    ]
-                },
-                {
-                    id: 82,
-                    name: "Vehicle Road Tax & Insurance",
-                    description: "Vehicle road tax and insurance records",
-                    folderType: "folder",
-                    expanded: false,
-                    createdDate: now,
-                    subtopics: [
-                        {
-                            id: 821,
-                            name: "ASTURI RESOURCES - Road Tax & Insurance",
-                            description: "Vehicle road tax and insurance expenses for Asturi Resources",
-                            folderType: "pdf-folder",
-                            expanded: false,
-                            createdDate: now
-                        },
-                        {
-                            id: 822,
-                            name: "ASTURI TRUCK & CRANE - Road Tax & Insurance",
-                            description: "Vehicle road tax and insurance expenses for Asturi Truck & Crane",
-                            folderType: "pdf-folder",
-                            expanded: false,
-                            createdDate: now
-                        },
-                        {
-                            id: 823,
-                            name: "PERSONAL VEHICLES - Road Tax & Insurance",
-                            description: "Personal vehicle road tax and insurance expenses",
-                            folderType: "pdf-folder",
-                            expanded: false,
-                            createdDate: now
-                        }
-                    ]
-                }
-            ]
-        }
-    ];
+    financialYearStart = month;
+    await saveSetting('financialYearStart', month);
+    console.log(`📅 Financial year now starts in ${MONTH_NAMES[month - 1]}`);
+    
+    // A selected quarter or year moves to the one of the new financial year holding its first month
+    const selected = parsePeriod(currentPeriod);
+    await setCurrentPeriod(selected ? getPeriodContaining(selected.type, formatMonthKey(selected.start)) : null);
 }
 
-// Generate unique ID
-function generateId() {
-    return Date.now() + Math.random();
+// Report date ranges - a PDF folder can keep a date range ({ start, end } as "YYYY-MM-DD") that
+// limits what Export PDF, Convert to Excel and the sidebar search include. Documents belong to a range when their
+// accounting period overlaps it or, without a period, when they were uploaded in it.
+const DATE_RANGE_PRESETS = {
+    'this-month': () => getPeriodDates(getPeriodContaining('month', getCurrentMonthKey())),
+    'last-month': () => getPeriodDates(shiftPeriod(getPeriodContaining('month', getCurrentMonthKey()), -1)),
+    'this-quarter': () => getPeriodDates(getPeriodContaining('quarter', getCurrentMonthKey())),
+    'last-quarter': () => getPeriodDates(shiftPeriod(getPeriodContaining('quarter', getCurrentMonthKey()), -1)),
+    'fy-to-date': () => ({ start: getPeriodDates(getPeriodContaining('year', getCurrentMonthKey())).start, end: toDateKey(new Date()) }),
+    'last-fy': () => getPeriodDates(shiftPeriod(getPeriodContaining('year', getCurrentMonthKey()), -1))
+};
+
+// "YYYY-MM-DD" for a local date
+function toDateKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
 }
 
-// Render all topics
-function renderTopics() {
-    const container = document.getElementById('topics-container');
-    container.innerHTML = '';
-    
-    if (topics.length === 0) {
-        container.innerHTML = `
-            <div class="empty-topics">
-                <i class="fas fa-folder-open"></i>
-                <p>No topics yet. Click "Add Topic" to create your first folder or report.</p>
-            </div>
-        `;
+function isValidDateKey(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) return false;
+    const [year, month, day] = value.split('-').map(Number);
+    return toDateKey(new Date(year, month - 1, day)) === value;
+}
+
+// "Jul 1, 2026"
+function formatDateKey(value) {
+    const [year, month, day] = value.split('-').map(Number);
+    return `${MONTH_NAMES[month - 1]} ${day}, ${year}`;
+}
+
+// First and last day of an accounting period
+function getPeriodDates(period) {
+    const parsed = parsePeriod(period);
+    const last = parsed.start + parsed.months - 1;
+    const lastDay = new Date(Math.floor(last / 12), last % 12 + 1, 0).getDate();
+    return { start: `${formatMonthKey(parsed.start)}-01`, end: `${formatMonthKey(last)}-${String(lastDay).padStart(2, '0')}` };
+}
+
+// What is wrong with a range, or null when it can be saved
+function getDateRangeError(start, end) {
+    if (!isValidDateKey(start)) return 'Please enter a valid start date.';
+    if (!isValidDateKey(end)) return 'Please enter a valid end date.';
+    if (start > end) return 'The start date must be on or before the end date.';
+    return null;
+}
+
+function formatDateRange(range) {
+    return `${formatDateKey(range.start)} – ${formatDateKey(range.end)}`;
+}
+
+function isDocumentInRange(doc, range) {
+    if (parsePeriod(doc.period)) {
+        const dates = getPeriodDates(doc.period);
+        return dates.start <= range.end && dates.end >= range.start;
+    }
+    const uploaded = doc.uploadDate ? toDateKey(new Date(doc.uploadDate)) : null;
+    return Boolean(uploaded) && uploaded >= range.start && uploaded <= range.end;
+}
+
+// The documents of a folder in its date range, or all of them without one
+function getRangeDocuments(folder) {
+    const documents = getFolderDocuments(folder);
+    return folder.dateRange ? documents.filter(doc => isDocumentInRange(doc, folder.dateRange)) : documents;
+}
+
+// Show a folder's date range in the report header
+function renderReportDateRange(folder) {
+    const rangeEl = document.getElementById('date-range');
+    if (folder.dateRange) {
+        const count = getRangeDocuments(folder).length;
+        rangeEl.innerHTML = `<i class="fas fa-calendar-alt"></i> Date Range: ${escapeHtml(formatDateRange(folder.dateRange))} · ${count} document${count === 1 ? '' : 's'}`;
+        rangeEl.style.display = 'flex';
+    } else {
+        rangeEl.style.display = 'none';
+    }
+}
+
+// Date range dialog for the open report
+function setDateRange() {
+    const folder = findTopicById(currentSubtopicId);
+    if (!folder) {
+        alert('Please select a PDF folder first.');
         return;
     }
     
-    topics.forEach(topic => {
-        const topicElement = createTopicElement(topic, 0);
-        container.appendChild(topicElement);
-    });
+    document.getElementById('date-range-report').textContent = folder.name;
+    document.getElementById('date-range-start').value = folder.dateRange ? folder.dateRange.start : '';
+    document.getElementById('date-range-end').value = folder.dateRange ? folder.dateRange.end : '';
+    updateDateRangeSummary();
+    document.getElementById('date-range-modal').style.display = 'block';
 }
 
-// Create topic element with enhanced folder type support and date tracking
-function createTopicElement(topic, level = 0) {
-    const topicDiv = document.createElement('div');
-    topicDiv.className = `topic ${level > 0 ? `nested-topic level-${level}` : ''}`;
-    
-    const hasSubtopics = topic.subtopics && topic.subtopics.length > 0;
-    const canExpand = hasSubtopics;
-    const folderType = topic.folderType || 'folder';
-    const isClickable = folderType === 'pdf-folder';
+function closeDateRangeModal() {
+    document.getElementById('date-range-modal').style.display = 'none';
+}
+
+function applyDateRangePreset(preset) {
+    const range = DATE_RANGE_PRESETS[preset]();
+    document.getElementById('date-range-start').value = range.start;
+    document.getElementById('date-range-end').value = range.end;
+    updateDateRangeSummary();
+}
+
+function updateDateRangeSummary() {
+    const start = document.getElementById('date-range-start').value;
+    const end = document.getElementById('date-range-end').value;
+    const summary = document.getElementById('date-range-summary');
+    const error = start || end ? getDateRangeError(start, end) : null;
     
-    // Determine emoji based on folder type
-    let emoji = '📁';
-    if (folderType === 'pdf-folder') {
-        emoji = '📄';
+    if (!start && !end) {
+        summary.textContent = 'Choose a preset or enter the first and last day.';
+    } else if (error) {
+        summary.textContent = error;
+    } else {
+        const folder = findTopicById(currentSubtopicId);
+        const count = getFolderDocuments(folder).filter(doc => isDocumentInRange(doc, { start, end })).length;
+        summary.textContent = `${count} of ${getFolderDocuments(folder).length} documents fall in this range.`;
+    }
+    summary.classList.toggle('date-range-error', Boolean(error));
+}
+
+async function confirmDateRange() {
+    const folder = findTopicById(currentSubtopicId);
+    const start = document.getElementById('date-range-start').value;
+    const end = document.getElementById('date-range-end').value;
+    const error = getDateRangeError(start, end);
+    if (error) {
+        alert(error);
+        return;
     }
     
-    // Format dates
-    const createdDate = topic.createdDate ? formatDate(topic.createdDate) : '';
-    const uploadDate = topic.uploadDate ? formatDate(topic.uploadDate) : '';
+    closeDateRangeModal();
+    if (!folder || (folder.dateRange && folder.dateRange.start === start && folder.dateRange.end === end)) return;
     
-    topicDiv.innerHTML = `
-        <div class="topic-header ${folderType === 'folder' ? 'folder' : ''}" 
-             onclick="${isClickable ? `selectSubtopic(${topic.id}, ${topic.id})` : `toggleTopic(${topic.id})`}">
-            <div class="topic-title">
-                ${canExpand ? `<span class="expand-icon ${topic.expanded ? 'expanded' : ''}" onclick="event.stopPropagation(); toggleTopic(${topic.id})">▼</span>` : '<span style="width: 16px;"></span>'}
-                <span class="folder-emoji">${emoji}</span>
-                <div class="topic-info">
-                    <span class="topic-name">${topic.name}</span>
-                    <div class="topic-dates">
-                        ${createdDate ? `<div class="created-info"><i class="fas fa-plus"></i> ${createdDate}</div>` : ''}
-                        ${uploadDate ? `<div class="upload-info"><i class="fas fa-upload"></i> ${uploadDate}</div>` : ''}
-                    </div>
-                </div>
-            </div>
-            <div class="topic-controls">
-                <button class="control-btn" onclick="event.stopPropagation(); addSubtopic(${topic.id})" title="Add Item">+</button>
-                <button class="control-btn" onclick="event.stopPropagation(); deleteTopic(${topic.id})" title="Delete">×</button>
-            </div>
-        </div>
-        <div class="subtopics ${topic.expanded ? 'expanded' : ''}" id="subtopics-${topic.id}">
-            ${hasSubtopics ? topic.subtopics.map(subtopic => createSubtopicElement(subtopic, topic.id, level + 1)).join('') : ''}
-        </div>
-    `;
+    await recordHistory(`Set the date range of "${folder.name}"`);
+    folder.dateRange = { start: start, end: end };
+    folder.lastModified = new Date().toISOString();
+    await saveData();
+    renderReportDateRange(folder);
+}
+
+async function clearDateRange() {
+    const folder = findTopicById(currentSubtopicId);
+    closeDateRangeModal();
+    if (!folder || !folder.dateRange) return;
     
-    return topicDiv;
+    await recordHistory(`Clear the date range of "${folder.name}"`);
+    delete folder.dateRange;
+    folder.lastModified = new Date().toISOString();
+    await saveData();
+    renderReportDateRange(folder);
 }
 
-// Create subtopic element with enhanced nesting, folder type support and date tracking
-function createSubtopicElement(subtopic, parentId, level = 1) {
-    const hasSubtopics = subtopic.subtopics && subtopic.subtopics.length > 0;
-    const canExpand = hasSubtopics;
-    const indentLevel = Math.min(level * 20, 100); // Cap at 100px for deep nesting
-    const folderType = subtopic.folderType || 'pdf-folder';
-    const isClickable = folderType === 'pdf-folder';
+// Document management - each PDF folder holds a list of documents
+function getFolderDocuments(folder) {
+    return folder && Array.isArray(folder.documents) ? folder.documents : [];
+}
+
+function findDocumentById(folder, documentId) {
+    return getFolderDocuments(folder).find(doc => doc.id === documentId) || null;
+}
+
+function getDocumentStorageKey(folderId, documentId, versionNumber) {
+    return `pdf_${folderId}_${documentId}_v${versionNumber}`;
+}
+
+// All storage keys owned by a document: every version plus its Excel conversion
+function getDocumentStorageKeys(doc) {
+    const keys = (doc.versions || []).map(version => version.storageKey);
+    if (doc.storageKey && !keys.includes(doc.storageKey)) {
+        keys.push(doc.storageKey);
+    }
+    if (doc.excelKey) {
+        keys.push(doc.excelKey);
+    }
+    return keys;
+}
+
+function getCurrentVersion(doc) {
+    return (doc.versions || []).find(version => version.version === doc.currentVersion) || null;
+}
+
+function findDocumentVersion(doc, versionNumber) {
+    return (doc.versions || []).find(version => version.version === versionNumber) || null;
+}
+
+// Mirror a version's file details on the document so it always describes the current file
+function applyCurrentVersion(doc, version) {
+    doc.currentVersion = version.version;
+    doc.storageKey = version.storageKey;
+    doc.size = version.size;
+    doc.pageCount = version.pageCount;
+    doc.uploadDate = version.uploadDate;
+    doc.sha256 = version.sha256;
+}
+
+// Bring the PDF folders of a tree up to the document list / version history model.
+// Part of the schema 3 -> 4 migration; readFile(key) looks up a stored file.
+async function upgradeDocumentRecords(tree, readFile) {
+    let migrated = 0;
     
-    // Determine emoji based on folder type
-    let emoji = '📄';
-    if (folderType === 'folder') {
-        emoji = '📁';
+    for (const folder of getAllTopicsFlat(tree)) {
+        if (folder.folderType !== 'pdf-folder') continue;
+        
+        // Documents uploaded before version history existed become version 1
+        if (Array.isArray(folder.documents)) {
+            folder.documents.forEach(doc => {
+                if (!Array.isArray(doc.versions)) {
+                    doc.versions = [{
+                        version: 1,
+                        storageKey: doc.storageKey,
+                        size: doc.size,
+                        pageCount: doc.pageCount,
+                        uploadDate: doc.uploadDate,
+                        reason: ''
+                    }];
+                    doc.currentVersion = 1;
+                }
+            });
+            continue;
+        }
+        
+        // Convert folders from the old single pdf_<id> slot to a document list
+        folder.documents = [];
+        const legacyKey = `pdf_${folder.id}`;
+        const legacyPDF = await readFile(legacyKey);
+        if (legacyPDF) {
+            const version = {
+                version: 1,
+                storageKey: legacyKey,
+                size: getStoredValueSize(toArrayBuffer(legacyPDF)),
+                pageCount: null,
+                uploadDate: folder.uploadDate || folder.createdDate || new Date().toISOString(),
+                reason: ''
+            };
+            const doc = {
+                id: generateId(),
+                fileName: `${folder.name}.pdf`,
+                versions: [version]
+            };
+            applyCurrentVersion(doc, version);
+            if (await readFile(`excel_${folder.id}`)) {
+                doc.excelKey = `excel_${folder.id}`;
+            }
+            folder.documents.push(doc);
+            migrated++;
+        }
     }
     
-    // Format dates
-    const createdDate = subtopic.createdDate ? formatDate(subtopic.createdDate) : '';
-    const uploadDate = subtopic.uploadDate ? formatDate(subtopic.uploadDate) : '';
+    return migrated;
+}
+
+// Render the document list of the selected PDF folder
+function renderDocumentList(folder) {
+    const list = document.getElementById('document-list');
+    const allDocuments = getFolderDocuments(folder);
+    const documents = getPeriodDocuments(folder);
+    
+    // The document count of the date range in the report header follows the list
+    renderReportDateRange(folder);
     
-    return `
-        <div class="subtopic-container" style="margin-left: ${indentLevel}px;">
-            <div class="subtopic ${currentSubtopicId === subtopic.id ? 'active' : ''}" 
-                 onclick="${isClickable ? `selectSubtopic(${subtopic.id}, ${parentId})` : ''}">
-                <div class="subtopic-info">
-                    <div class="subtopic-header">
-                        ${canExpand ? `<span class="expand-icon ${subtopic.expanded ? 'expanded' : ''}" onclick="event.stopPropagation(); toggleSubtopic(${subtopic.id})">▼</span>` : '<span style="width: 14px;"></span>'}
-                        <span class="subtopic-icon">${emoji}</span>
-                        <span class="subtopic-title">${subtopic.name}</span>
-                    </div>
-                    ${subtopic.description ? `<div class="subtopic-desc">${subtopic.description}</div>` : ''}
-                    <div class="subtopic-dates">
-                        ${createdDate ? `<div class="created-info"><i class="fas fa-plus"></i> ${createdDate}</div>` : ''}
-                        ${uploadDate ? `<div class="upload-info"><i class="fas fa-upload"></i> ${uploadDate}</div>` : ''}
-                    </div>
+    if (allDocuments.length === 0) {
+        list.innerHTML = '';
+        list.style.display = 'none';
+        renderVersionHistory(null);
+        return;
+    }
+    
+    list.innerHTML = `
+        <div class="document-list-header">
+            <span><i class="fas fa-copy"></i> ${currentPeriod ? `Documents for ${formatPeriod(currentPeriod)} (${documents.length} of ${allDocuments.length})` : `Documents (${documents.length})`}</span>
+            <button class="pdf-btn" data-action="upload"><i class="fas fa-plus"></i> Add Document</button>
+        </div>
+        ${documents.map(doc => `
+            <div class="document-item ${doc.id === currentDocumentId ? 'active' : ''}" data-id="${escapeHtml(doc.id)}" data-action="open">
+                <i class="fas fa-file-pdf document-item-icon"></i>
+                <div class="document-item-info">
+                    <span class="document-item-name">${escapeHtml(doc.fileName)}${hasIntegrityError(doc) ? ' <span class="integrity-badge" title="Stored file does not match its checksum"><i class="fas fa-exclamation-triangle"></i> Checksum mismatch</span>' : ''}</span>
+                    <span class="document-item-meta">
+                        ${doc.period ? `<span class="period-badge" title="${formatPeriodRange(doc.period)}">${formatPeriod(doc.period)}</span> ` : ''}${doc.versions && doc.versions.length > 1 ? `<span class="version-badge">v${doc.currentVersion}</span> ` : ''}${formatBytes(doc.size)}${doc.pageCount ? ` · ${doc.pageCount} page${doc.pageCount === 1 ? '' : 's'}` : ''} · ${formatDate(doc.uploadDate)}
+                    </span>
                 </div>
-                <div class="subtopic-controls">
-                    ${folderType === 'folder' ? `<button class="control-btn" onclick="event.stopPropagation(); addSubtopic(${subtopic.id})" title="Add Sub-item">+</button>` : ''}
-                    <button class="control-btn" onclick="event.stopPropagation(); deleteSubtopic(${subtopic.id}, ${parentId})" title="Delete">×</button>
+                <div class="document-item-controls">
+                    <button class="control-btn" data-action="open" title="Open"><i class="fas fa-eye"></i></button>
+                    <button class="control-btn" data-action="new-version" title="Upload New Version"><i class="fas fa-file-upload"></i></button>
+                    <button class="control-btn" data-action="rename" title="Rename"><i class="fas fa-edit"></i></button>
+                    <button class="control-btn" data-action="period" title="Accounting Period"><i class="fas fa-calendar-alt"></i></button>
+                    <button class="control-btn" data-action="download" title="Download"><i class="fas fa-download"></i></button>
+                    <button class="control-btn" data-action="delete" title="Delete"><i class="fas fa-trash"></i></button>
                 </div>
             </div>
-            ${hasSubtopics ? `
-                <div class="nested-subtopics ${subtopic.expanded ? 'expanded' : ''}" id="subtopics-${subtopic.id}">
-                    ${subtopic.subtopics.map(nestedSub => createSubtopicElement(nestedSub, subtopic.id, level + 1)).join('')}
-                </div>
-            ` : ''}
-        </div>
+        `).join('')}
     `;
+    list.style.display = 'block';
+    renderVersionHistory(findDocumentById(folder, currentDocumentId));
 }
 
-// Toggle topic expansion
-async function toggleTopic(topicId) {
-    const topic = findTopicById(topicId);
-    if (topic && (topic.subtopics && topic.subtopics.length > 0)) {
-        topic.expanded = !topic.expanded;
-        await saveData();
-        renderTopics();
+// Open a document of the current PDF folder in the viewer
+async function openDocument(documentId) {
+    const folder = findTopicById(currentSubtopicId);
+    const doc = findDocumentById(folder, documentId);
+    if (!doc) return;
+    
+    currentDocumentId = documentId;
+    previewVersionNumber = null;
+    renderDocumentList(folder);
+    
+    const savedPDF = await getFromStorage(doc.storageKey);
+    if (savedPDF) {
+        loadSavedPDF(savedPDF, doc.storageKey);
+    } else {
+        alert(`The file "${doc.fileName}" could not be found in storage.`);
     }
 }
 
-// Toggle subtopic expansion
-async function toggleSubtopic(subtopicId) {
-    const subtopic = findTopicById(subtopicId);
-    if (subtopic && subtopic.subtopics && subtopic.subtopics.length > 0) {
-        subtopic.expanded = !subtopic.expanded;
-        await saveData();
-        renderTopics();
-    }
+function initiateDocumentRename(documentId) {
+    const doc = findDocumentById(findTopicById(currentSubtopicId), documentId);
+    if (!doc) return;
+    
+    renameTargetId = documentId;
+    renameTargetType = 'document';
+    document.getElementById('rename-input').value = doc.fileName;
+    document.getElementById('rename-modal').style.display = 'block';
+    document.getElementById('rename-input').focus();
+    document.getElementById('rename-input').select();
 }
 
-// Find topic by ID (recursive search)
-function findTopicById(id, topicsList = topics) {
-    for (let topic of topicsList) {
-        if (topic.id === id) {
-            return topic;
-        }
-        if (topic.subtopics) {
-            const found = findTopicById(id, topic.subtopics);
-            if (found) return found;
-        }
-    }
-    return null;
+async function renameDocument(documentId, newName) {
+    const folder = findTopicById(currentSubtopicId);
+    const doc = findDocumentById(folder, documentId);
+    if (!doc) return;
+    
+    const fileName = /\.pdf$/i.test(newName) ? newName : `${newName}.pdf`;
+    await recordHistory(`Rename "${doc.fileName}" to "${fileName}"`);
+    doc.fileName = fileName;
+    folder.lastModified = new Date().toISOString();
+    await saveData();
+    renderDocumentList(folder);
 }
 
-// Find parent topic of a subtopic
-function findParentTopic(subtopicId, topicsList = topics) {
-    for (let topic of topicsList) {
-        if (topic.subtopics) {
-            for (let subtopic of topic.subtopics) {
-                if (subtopic.id === subtopicId) {
-                    return topic;
-                }
-                if (subtopic.subtopics) {
-                    const found = findParentTopic(subtopicId, topic.subtopics);
-                    if (found) return found;
-                }
-            }
-        }
+async function downloadDocument(documentId) {
+    const doc = findDocumentById(findTopicById(currentSubtopicId), documentId);
+    if (!doc) return;
+    
+    const savedPDF = await getFromStorage(doc.storageKey);
+    if (!savedPDF) {
+        alert(`The file "${doc.fileName}" could not be found in storage.`);
+        return;
+    }
+    
+    try {
+        downloadBinaryFile(savedPDF, doc.fileName, 'application/pdf');
+    } catch (error) {
+        console.error('Error downloading document:', error);
+        alert('Error downloading document: ' + error.message);
     }
-    return null;
 }
 
-// Select subtopic (only for PDF folders)
-async function selectSubtopic(subtopicId, topicId) {
-    const subtopic = findTopicById(subtopicId);
-    if (!subtopic || subtopic.folderType !== 'pdf-folder') {
-        console.log('Only PDF folders can be selected for viewing');
-        return;
-    }
+async function deleteDocument(documentId) {
+    const folder = findTopicById(currentSubtopicId);
+    const doc = findDocumentById(folder, documentId);
+    if (!doc) return;
     
-    currentSubtopicId = subtopicId;
-    currentTopicId = topicId;
+    if (!confirm(`Are you sure you want to delete "${doc.fileName}"?`)) return;
     
-    // Update header
-    document.getElementById('content-title').textContent = subtopic.name;
-    document.getElementById('content-subtitle').textContent = subtopic.description || 'PDF document folder';
+    // The files stay in storage until the delete can no longer be undone
+    await recordHistory(`Delete "${doc.fileName}"`);
+    folder.documents = folder.documents.filter(d => d.id !== documentId);
+    folder.lastModified = new Date().toISOString();
+    await saveData();
     
-    // Show report view
-    document.getElementById('content-body').style.display = 'none';
-    const reportView = document.getElementById('report-view');
-    reportView.style.display = 'block';
+    // Reselect the folder so the viewer falls back to the latest remaining document
+    await selectSubtopic(currentSubtopicId, currentTopicId);
+}
+
+// Version history - every upload of a document is kept as a numbered version
+function uploadNewVersion(documentId) {
+    const doc = findDocumentById(findTopicById(currentSubtopicId), documentId);
+    if (!doc) return;
     
-    // Update report view content
-    document.getElementById('report-title').textContent = subtopic.name;
-    document.getElementById('report-description').textContent = subtopic.description || 'PDF document folder';
+    document.getElementById('version-modal').dataset.documentId = documentId;
+    document.getElementById('version-document-name').textContent = `${doc.fileName} — currently version ${doc.currentVersion}`;
+    document.getElementById('version-input').value = '';
+    document.getElementById('version-reason').value = '';
+    document.getElementById('version-modal').style.display = 'block';
+}
+
+function closeVersionModal() {
+    document.getElementById('version-modal').style.display = 'none';
+    document.getElementById('version-input').value = '';
+}
+
+async function confirmVersionUpload() {
+    const modal = document.getElementById('version-modal');
+    const file = document.getElementById('version-input').files[0];
+    const reason = document.getElementById('version-reason').value.trim();
     
-    // Update dates in report meta
-    const reportMeta = document.getElementById('report-meta');
-    const createdDateEl = document.getElementById('created-date');
-    const uploadDateEl = document.getElementById('upload-date');
+    if (!file || file.type !== 'application/pdf') {
+        alert('Please select a valid PDF file.');
+        return;
+    }
     
-    if (subtopic.createdDate) {
-        createdDateEl.innerHTML = `<i class="fas fa-plus"></i> Created: ${formatDate(subtopic.createdDate)}`;
-        createdDateEl.style.display = 'flex';
-    } else {
-        createdDateEl.style.display = 'none';
+    const documentId = modal.dataset.documentId;
+    closeVersionModal();
+    
+    if (!await confirmStorageForUpload(file.size)) return;
+    
+    const doc = await handlePDFFile(file, documentId, reason);
+    if (doc) {
+        alert(`✅ "${doc.fileName}" updated to version ${doc.currentVersion}.`);
     }
+}
+
+// Render the version timeline of the open document
+function renderVersionHistory(doc) {
+    const history = document.getElementById('version-history');
     
-    if (subtopic.uploadDate) {
-        uploadDateEl.innerHTML = `<i class="fas fa-upload"></i> PDF Uploaded: ${formatDate(subtopic.uploadDate)}`;
-        uploadDateEl.style.display = 'flex';
-    } else {
-        uploadDateEl.style.display = 'none';
+    if (!doc || !doc.versions || doc.versions.length < 2) {
+        history.innerHTML = '';
+        history.style.display = 'none';
+        return;
     }
     
-    // Check if this subtopic has a saved PDF
-    const savedPDF = await getFromStorage(`pdf_${subtopicId}`);
-    if (savedPDF) {
-        loadSavedPDF(savedPDF);
-        // Hide the report icon when PDF is loaded
-        document.getElementById('report-icon').classList.add('pdf-uploaded');
-    } else {
-        // Reset PDF viewer
-        document.getElementById('pdf-viewer').style.display = 'none';
-        document.getElementById('upload-section').style.display = 'block';
-        document.getElementById('excel-btn').style.display = 'none';
-        // Show the report icon when no PDF
-        document.getElementById('report-icon').classList.remove('pdf-uploaded');
+    const versions = doc.versions.slice().reverse();
+    history.dataset.documentId = doc.id;
+    history.innerHTML = `
+        <div class="document-list-header">
+            <span><i class="fas fa-history"></i> Version History — ${escapeHtml(doc.fileName)}</span>
+        </div>
+        ${previewVersionNumber !== null ? `
+            <div class="version-preview-banner">
+                <span><i class="fas fa-eye"></i> Previewing version ${previewVersionNumber}</span>
+                <button class="pdf-btn" data-action="back">Back to current</button>
+            </div>
+        ` : ''}
+        <div class="version-timeline">
+            ${versions.map(version => `
+                <div class="version-item ${version.version === doc.currentVersion ? 'current' : ''} ${version.version === previewVersionNumber ? 'previewing' : ''}" data-id="${version.version}">
+                    <div class="version-marker">v${version.version}</div>
+                    <div class="version-info">
+                        <span class="version-title">
+                            ${formatDate(version.uploadDate)}
+                            ${version.version === doc.currentVersion ? '<span class="version-current-tag">Current</span>' : ''}
+                            ${version.integrityError ? `<span class="integrity-badge" title="Detected ${formatDate(version.integrityError.detectedDate)}"><i class="fas fa-exclamation-triangle"></i> Checksum mismatch</span>` : ''}
+                        </span>
+                        <span class="document-item-meta">${formatBytes(version.size)}${version.pageCount ? ` · ${version.pageCount} page${version.pageCount === 1 ? '' : 's'}` : ''}</span>
+                        ${version.reason ? `<span class="version-reason"><i class="fas fa-comment-alt"></i> ${escapeHtml(version.reason)}</span>` : ''}
+                    </div>
+                    <div class="document-item-controls">
+                        ${version.version !== doc.currentVersion ? `
+                            <button class="control-btn" data-action="preview" title="Preview"><i class="fas fa-eye"></i></button>
+                        ` : ''}
+                        <button class="control-btn" data-action="download" title="Download"><i class="fas fa-download"></i></button>
+                        ${version.version !== doc.currentVersion ? `
+                            <button class="control-btn" data-action="restore" title="Restore as Current"><i class="fas fa-undo"></i></button>
+                        ` : ''}
+                    </div>
+                </div>
+            `).join('')}
+        </div>
+    `;
+    history.style.display = 'block';
+}
+
+async function previewDocumentVersion(documentId, versionNumber) {
+    const doc = findDocumentById(findTopicById(currentSubtopicId), documentId);
+    const version = doc ? findDocumentVersion(doc, versionNumber) : null;
+    if (!version) return;
+    
+    const savedPDF = await getFromStorage(version.storageKey);
+    if (!savedPDF) {
+        alert(`Version ${versionNumber} of "${doc.fileName}" could not be found in storage.`);
+        return;
     }
     
-    // Re-render to update active state
-    renderTopics();
+    currentDocumentId = documentId;
+    previewVersionNumber = versionNumber;
+    renderDocumentList(findTopicById(currentSubtopicId));
+    loadSavedPDF(savedPDF, version.storageKey);
 }
 
-// Add topic
-function addTopic() {
-    document.getElementById('topic-modal').style.display = 'block';
-    document.getElementById('topic-name').value = '';
+async function downloadDocumentVersion(documentId, versionNumber) {
+    const doc = findDocumentById(findTopicById(currentSubtopicId), documentId);
+    const version = doc ? findDocumentVersion(doc, versionNumber) : null;
+    if (!version) return;
     
-    // Reset radio buttons to default (folder)
-    document.getElementById('type-folder').checked = true;
-    document.getElementById('type-pdf-folder').checked = false;
-    updateRadioSelection('topic-type');
+    const savedPDF = await getFromStorage(version.storageKey);
+    if (!savedPDF) {
+        alert(`Version ${versionNumber} of "${doc.fileName}" could not be found in storage.`);
+        return;
+    }
     
-    document.getElementById('topic-name').focus();
+    try {
+        downloadBinaryFile(savedPDF, `${doc.fileName.replace(/\.pdf$/i, '')}_v${versionNumber}.pdf`, 'application/pdf');
+    } catch (error) {
+        console.error('Error downloading version:', error);
+        alert('Error downloading version: ' + error.message);
+    }
 }
 
-// Create topic with enhanced folder type support and date tracking
-async function createTopic() {
-    const name = document.getElementById('topic-name').value.trim();
-    const folderType = document.querySelector('input[name="topic-type"]:checked').value;
+// Restoring copies the old version forward as a new version so the timeline is never rewritten
+async function restoreDocumentVersion(documentId, versionNumber) {
+    const folder = findTopicById(currentSubtopicId);
+    const doc = findDocumentById(folder, documentId);
+    const source = doc ? findDocumentVersion(doc, versionNumber) : null;
+    if (!source || source.version === doc.currentVersion) return;
     
-    if (name) {
-        const newId = generateId();
-        const now = new Date().toISOString();
-        const newTopic = {
-            id: newId,
-            name: name.toUpperCase(),
-            icon: folderType === 'folder' ? "fas fa-folder" : "fas fa-file-pdf",
-            expanded: false,
-            folderType: folderType,
-            createdDate: now
-        };
+    if (!confirm(`Restore version ${versionNumber} of "${doc.fileName}" as the current version?\n\nThe current version stays in the history.`)) return;
+    
+    showLoading();
+    
+    try {
+        const data = await getFromStorage(source.storageKey);
+        if (!data) {
+            throw new Error(`version ${versionNumber} could not be found in storage`);
+        }
         
-        // Only add subtopics array for folders
-        if (folderType === 'folder') {
-            newTopic.subtopics = [];
+        const check = await verifyVersionIntegrity(source, data);
+        if (check.changed) {
+            await saveData();
+        }
+        if (check.status === 'mismatch') {
+            throw new Error(`version ${versionNumber} does not match its checksum and may be corrupted`);
         }
         
-        topics.push(newTopic);
+        const newVersionNumber = Math.max(...doc.versions.map(version => version.version)) + 1;
+        const version = {
+            version: newVersionNumber,
+            storageKey: getDocumentStorageKey(folder.id, doc.id, newVersionNumber),
+            size: source.size,
+            pageCount: source.pageCount,
+            uploadDate: new Date().toISOString(),
+            reason: `Restored from version ${versionNumber}`,
+            restoredFrom: versionNumber,
+            sha256: source.sha256 || await computeSHA256(data)
+        };
+        // History first: dropping the redo snapshots may release a file under the same key
+        await recordHistory(`Restore version ${versionNumber} of "${doc.fileName}"`);
+        await saveToStorage(version.storageKey, data);
+        await discardExcelConversion(doc);
+        
+        doc.versions.push(version);
+        applyCurrentVersion(doc, version);
+        folder.uploadDate = version.uploadDate;
+        folder.lastModified = version.uploadDate;
         await saveData();
         renderTopics();
-        closeModal();
+        
+        hideLoading();
+        await openDocument(documentId);
+    } catch (error) {
+        console.error('Error restoring version:', error);
+        hideLoading();
+        alert('Error restoring version: ' + error.message);
     }
 }
 
-// Add subtopic
-function addSubtopic(topicId) {
-    const parentTopic = findTopicById(topicId);
-    if (!parentTopic) return;
-    
-    // Check if parent can contain subtopics
-    if (parentTopic.folderType === 'pdf-folder') {
-        alert('PDF folders cannot contain sub-items. Only regular folders can contain other items.');
-        return;
+// Excel conversions belong to the version they were made from
+async function discardExcelConversion(doc) {
+    if (doc.excelKey) {
+        const excelKey = doc.excelKey;
+        delete doc.excelKey;
+        await releaseStorageKey(excelKey);
+    }
+}
+
+// Integrity checksums - every PDF version records the SHA-256 of its bytes when it is stored.
+// A mismatch is flagged on the version and the stored bytes are left untouched as evidence.
+async function computeSHA256(data) {
+    const digest = await crypto.subtle.digest('SHA-256', toArrayBuffer(data));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Resolves { status, changed }: status is 'ok', 'mismatch' or 'unknown' for versions stored before
+// checksums; changed tells whether the version's flag was set or cleared, so the tree needs saving
+async function verifyVersionIntegrity(version, data) {
+    if (!version || !version.sha256) {
+        return { status: 'unknown', changed: false };
     }
     
-    currentTopicId = topicId;
-    document.getElementById('subtopic-modal').style.display = 'block';
-    document.getElementById('subtopic-name').value = '';
-    document.getElementById('subtopic-description').value = '';
-    
-    // Reset radio buttons to default (folder)
-    document.getElementById('subtype-folder').checked = true;
-    document.getElementById('subtype-pdf-folder').checked = false;
-    updateRadioSelection('subtopic-type');
+    const actual = await computeSHA256(data);
+    if (actual === version.sha256) {
+        const changed = Boolean(version.integrityError);
+        delete version.integrityError;
+        return { status: 'ok', changed: changed };
+    }
     
-    document.getElementById('subtopic-name').focus();
+    const changed = !version.integrityError || version.integrityError.actualSha256 !== actual;
+    version.integrityError = { detectedDate: new Date().toISOString(), actualSha256: actual };
+    return { status: 'mismatch', changed: changed };
 }
 
-// Create subtopic with enhanced folder type support and date tracking
-async function createSubtopic() {
-    const name = document.getElementById('subtopic-name').value.trim();
-    const description = document.getElementById('subtopic-description').value.trim() || 'No description provided';
-    const folderType = document.querySelector('input[name="subtopic-type"]:checked').value;
+// Version records of a tree by storage key
+function indexVersionsByStorageKey(tree) {
+    const versions = new Map();
+    for (const folder of getAllTopicsFlat(tree)) {
+        for (const doc of getFolderDocuments(folder)) {
+            (doc.versions || []).forEach(version => versions.set(version.storageKey, version));
+        }
+    }
+    return versions;
+}
+
+function hasIntegrityError(doc) {
+    return (doc.versions || []).some(version => version.integrityError);
+}
+
+// Check a file about to be shown in the viewer against its version's checksum
+async function verifyOpenedDocument(data, storageKey) {
+    const folder = findTopicById(currentSubtopicId);
+    const doc = getFolderDocuments(folder).find(d => (d.versions || []).some(version => version.storageKey === storageKey));
+    const version = doc ? doc.versions.find(v => v.storageKey === storageKey) : null;
+    if (!version) return;
     
-    if (name && currentTopicId) {
-        const parentTopic = findTopicById(currentTopicId);
-        if (parentTopic) {
-            // Initialize subtopics array if it doesn't exist
-            if (!parentTopic.subtopics) {
-                parentTopic.subtopics = [];
-            }
-            
-            const newId = generateId();
-            const now = new Date().toISOString();
-            const newSubtopic = {
-                id: newId,
-                name: name,
-                description: description,
-                folderType: folderType,
-                expanded: false,
-                createdDate: now
-            };
-            
-            // Only add subtopics array for folders
-            if (folderType === 'folder') {
-                newSubtopic.subtopics = [];
-            }
-            
-            parentTopic.subtopics.push(newSubtopic);
+    try {
+        const check = await verifyVersionIntegrity(version, data);
+        if (check.changed) {
             await saveData();
-            renderTopics();
-            closeSubtopicModal();
+            renderDocumentList(folder);
+        }
+        if (check.status === 'mismatch') {
+            alert(`⚠️ "${doc.fileName}" (version ${version.version}) does not match the checksum recorded when it was stored. The file may be corrupted.\n\nIt has been flagged and kept unchanged. Restore it from a backup or an earlier version if it does not display correctly.`);
         }
+    } catch (error) {
+        console.error('Checksum error:', error);
     }
 }
 
-// Delete topic with enhanced error handling
-async function deleteTopic(topicId) {
-    const topic = findTopicById(topicId);
-    if (!topic) return;
-    
-    const itemCount = countAllItems(topic);
-    const confirmMessage = itemCount > 1 ? 
-        `Are you sure you want to delete this item and all ${itemCount - 1} sub-items?` :
-        'Are you sure you want to delete this item?';
-    
-    if (confirm(confirmMessage)) {
-        // Remove from topics array (recursive)
-        function removeFromArray(arr) {
-            for (let i = 0; i < arr.length; i++) {
-                if (arr[i].id === topicId) {
-                    arr.splice(i, 1);
-                    return true;
-                }
-                if (arr[i].subtopics && removeFromArray(arr[i].subtopics)) {
-                    return true;
-                }
-            }
-            return false;
-        }
-        
-        removeFromArray(topics);
-        
-        if (currentTopicId === topicId || currentSubtopicId === topicId) {
-            resetMainContent();
+// Verify every stored PDF version. Versions stored before checksums existed get one now,
+// so any later change to them is caught.
+async function verifyAllDocuments() {
+    const entries = [];
+    for (const folder of getAllTopicsFlat()) {
+        for (const doc of getFolderDocuments(folder)) {
+            (doc.versions || []).forEach(version => entries.push({ folder, doc, version }));
         }
-        await saveData();
-        renderTopics();
     }
-}
-
-// Delete subtopic with enhanced error handling
-async function deleteSubtopic(subtopicId, parentId) {
-    const subtopic = findTopicById(subtopicId);
-    if (!subtopic) return;
     
-    const itemCount = countAllItems(subtopic);
-    const confirmMessage = itemCount > 1 ? 
-        `Are you sure you want to delete this item and all ${itemCount - 1} sub-items?` :
-        'Are you sure you want to delete this item?';
+    const result = { verified: 0, recorded: 0, mismatched: [], missing: [] };
+    let changed = false;
+    showLoading();
     
-    if (confirm(confirmMessage)) {
-        // Find and remove the subtopic recursively
-        function removeSubtopicRecursive(items) {
-            if (!items) return false;
+    try {
+        for (let i = 0; i < entries.length; i++) {
+            const { folder, doc, version } = entries[i];
+            updateLoadingProgress(`Verifying document ${i + 1} of ${entries.length}...`, i, entries.length);
+            const label = `${[getItemPath(folder.id), folder.name].filter(Boolean).join(' / ')} / ${doc.fileName} (v${version.version})`;
             
-            for (let i = 0; i < items.length; i++) {
-                if (items[i].id === subtopicId) {
-                    items.splice(i, 1);
-                    return true;
-                }
-                if (items[i].subtopics && removeSubtopicRecursive(items[i].subtopics)) {
-                    return true;
-                }
+            const data = await getFromStorage(version.storageKey);
+            if (!data) {
+                result.missing.push(label);
+                continue;
+            }
+            
+            if (!version.sha256) {
+                version.sha256 = await computeSHA256(data);
+                result.recorded++;
+                changed = true;
+                continue;
+            }
+            
+            const check = await verifyVersionIntegrity(version, data);
+            changed = changed || check.changed;
+            if (check.status === 'ok') {
+                result.verified++;
+            } else {
+                result.mismatched.push(label);
             }
-            return false;
         }
         
-        // Start from the parent topic
-        const parentTopic = findTopicById(parentId);
-        if (parentTopic && parentTopic.subtopics) {
-            removeSubtopicRecursive(parentTopic.subtopics);
-        } else {
-            // If not found in parent, search all topics
-            for (let topic of topics) {
-                if (removeSubtopicRecursive(topic.subtopics)) {
-                    break;
-                }
+        if (changed) {
+            await saveData();
+            if (currentSubtopicId) {
+                renderDocumentList(findTopicById(currentSubtopicId));
             }
         }
+        hideLoading();
         
-        if (currentSubtopicId === subtopicId) {
-            resetMainContent();
+        let message = `${result.mismatched.length > 0 ? '⚠️' : '✅'} Verified ${result.verified} document version${result.verified === 1 ? '' : 's'}.`;
+        if (result.recorded > 0) {
+            message += `\n\n🔏 Checksums recorded for ${result.recorded} older version${result.recorded === 1 ? '' : 's'}.`;
         }
-        await saveData();
-        renderTopics();
-    }
-}
-
-// Helper function to count all items in a tree
-function countAllItems(item) {
-    let count = 1; // Count the item itself
-    if (item.subtopics) {
-        for (let subtopic of item.subtopics) {
-            count += countAllItems(subtopic);
+        if (result.mismatched.length > 0) {
+            message += `\n\nThese do not match their checksums and have been flagged:\n${result.mismatched.map(label => `• ${label}`).join('\n')}`;
         }
+        if (result.missing.length > 0) {
+            message += `\n\nThese are missing from storage (see Check & Repair):\n${result.missing.map(label => `• ${label}`).join('\n')}`;
+        }
+        alert(message);
+    } catch (error) {
+        console.error('Verification error:', error);
+        hideLoading();
+        alert('❌ Error verifying documents: ' + error.message);
     }
-    return count;
 }
 
-// Reset main content
-function resetMainContent() {
-    currentTopicId = null;
-    currentSubtopicId = null;
-    currentPDF = null;
-    document.getElementById('content-title').textContent = 'Select a Report';
-    document.getElementById('content-subtitle').textContent = 'Choose a PDF folder from the sidebar to get started';
-    document.getElementById('content-body').style.display = 'block';
-    document.getElementById('report-view').style.display = 'none';
-    document.getElementById('pdf-viewer').style.display = 'none';
-    document.getElementById('upload-section').style.display = 'block';
-    document.getElementById('report-icon').classList.remove('pdf-uploaded');
+// Trigger a browser download for a stored file
+function downloadBinaryFile(data, fileName, mimeType) {
+    const blob = new Blob([toArrayBuffer(data)], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
 }
 
 // PDF Upload and handling
@@ -1725,121 +7458,172 @@ function uploadPDF() {
     document.getElementById('pdf-input').click();
 }
 
-function handlePDFUpload(event) {
-    const file = event.target.files[0];
-    if (file && file.type === 'application/pdf') {
-        handlePDFFile(file);
-    } else {
-        alert('Please select a valid PDF file.');
-    }
+async function handlePDFUpload(event) {
+    const files = Array.from(event.target.files);
     
     // Reset the input
     event.target.value = '';
+    
+    if (files.length === 0 || files.some(file => file.type !== 'application/pdf')) {
+        alert('Please select a valid PDF file.');
+        return;
+    }
+    
+    if (!await confirmStorageForUpload(files.reduce((sum, file) => sum + file.size, 0))) return;
+    
+    const uploaded = [];
+    for (const file of files) {
+        const doc = await handlePDFFile(file);
+        if (doc) uploaded.push(doc);
+    }
+    
+    if (uploaded.length > 0) {
+        // Show enhanced success message
+        const subtopic = findTopicById(currentSubtopicId);
+        const subtopicName = subtopic ? subtopic.name : 'PDF';
+        const fileSize = formatBytes(uploaded.reduce((sum, doc) => sum + doc.size, 0));
+        const what = uploaded.length === 1 ? `"${uploaded[0].fileName}"` : `${uploaded.length} documents`;
+        alert(`✅ ${what} uploaded successfully to "${subtopicName}"!\n\n💾 Storage: ${storageType}\n📊 File size: ${fileSize}\n🔄 Auto-saved. Use Export Data to preserve between sessions.`);
+    }
 }
 
-async function handlePDFFile(file) {
+// Add a PDF file to the current PDF folder, either as a new document or as a new version of one
+async function handlePDFFile(file, targetDocumentId = null, reason = '') {
     if (!currentSubtopicId) {
         alert('Please select a PDF folder first.');
-        return;
+        return null;
+    }
+    
+    const subtopic = findTopicById(currentSubtopicId);
+    let doc = findDocumentById(subtopic, targetDocumentId);
+    
+    // Re-uploading a file under an existing name is treated as a corrected version
+    if (!doc) {
+        const sameName = getFolderDocuments(subtopic).find(d => d.fileName.toLowerCase() === file.name.toLowerCase());
+        if (sameName && confirm(`"${file.name}" already exists in this folder.\n\nUpload it as a new version of the existing document?`)) {
+            doc = sameName;
+            reason = (prompt('Reason for revision (optional):') || '').trim();
+        }
     }
     
     showLoading();
     
-    const reader = new FileReader();
-    reader.onload = async function(e) {
-        const arrayBuffer = e.target.result;
-        const typedarray = new Uint8Array(arrayBuffer);
+    try {
+        const arrayBuffer = await readFileAsArrayBuffer(file);
+        const pdf = await openPDFDocument(arrayBuffer);
+        pdfDoc = pdf;
+        pageCount = pdf.numPages;
+        pageNum = 1;
         
-        try {
-            const pdf = await pdfjsLib.getDocument(typedarray).promise;
-            pdfDoc = pdf;
-            pageCount = pdf.numPages;
-            pageNum = 1;
-            
-            // Save PDF to enhanced storage as base64
-            const base64String = btoa(String.fromCharCode.apply(null, typedarray));
-            await saveToStorage(`pdf_${currentSubtopicId}`, base64String);
-            
-            // Update upload date for the current subtopic
-            const subtopic = findTopicById(currentSubtopicId);
-            if (subtopic) {
-                subtopic.uploadDate = new Date().toISOString();
-                subtopic.lastModified = new Date().toISOString();
-                await saveData();
-                renderTopics();
-                
-                // Update upload date in report view
-                const uploadDateEl = document.getElementById('upload-date');
-                uploadDateEl.innerHTML = `<i class="fas fa-upload"></i> PDF Uploaded: ${formatDate(subtopic.uploadDate)}`;
-                uploadDateEl.style.display = 'flex';
+        const now = new Date().toISOString();
+        const isNewDocument = !doc;
+        if (isNewDocument) {
+            doc = {
+                id: generateId(),
+                fileName: file.name,
+                versions: []
+            };
+            // Uploads while a period is selected belong to it
+            if (currentPeriod) {
+                doc.period = currentPeriod;
             }
+        }
+        
+        const versionNumber = doc.versions.length > 0 ? Math.max(...doc.versions.map(v => v.version)) + 1 : 1;
+        const version = {
+            version: versionNumber,
+            storageKey: getDocumentStorageKey(currentSubtopicId, doc.id, versionNumber),
+            size: file.size,
+            pageCount: pdf.numPages,
+            uploadDate: now,
+            reason: reason,
+            sha256: await computeSHA256(arrayBuffer)
+        };
+        
+        // History first: an undone upload's version number is reused, and dropping the redo
+        // snapshot releases its file, which must happen before the new file takes the key
+        await recordHistory(isNewDocument ? `Upload "${doc.fileName}"` : `Upload version ${versionNumber} of "${doc.fileName}"`);
+        
+        // Save PDF to enhanced storage as binary
+        await saveToStorage(version.storageKey, arrayBuffer);
+        await discardExcelConversion(doc);
+        
+        doc.versions.push(version);
+        applyCurrentVersion(doc, version);
+        
+        // Add the document and update upload date for the current subtopic
+        if (subtopic) {
+            if (!Array.isArray(subtopic.documents)) {
+                subtopic.documents = [];
+            }
+            if (isNewDocument) {
+                subtopic.documents.push(doc);
+            }
+            subtopic.uploadDate = now;
+            subtopic.lastModified = now;
+            await saveData();
+            renderTopics();
             
-            // Hide folder icon and show PDF viewer
-            document.getElementById('report-icon').classList.add('pdf-uploaded');
-            document.getElementById('upload-section').style.display = 'none';
-            document.getElementById('pdf-viewer').style.display = 'block';
-            document.getElementById('excel-btn').style.display = 'inline-flex';
-            
-            renderPage(pageNum);
-            hideLoading();
-            
-            // Show enhanced success message
-            const subtopicName = subtopic ? subtopic.name : 'PDF';
-            const fileSize = formatBytes(file.size);
-            alert(`✅ PDF uploaded successfully to "${subtopicName}"!\n\n💾 Storage: ${storageType}\n📊 File size: ${fileSize}\n🔄 Auto-saved. Use Export Data to preserve between sessions.`);
-            
-        } catch (error) {
-            console.error('Error loading PDF:', error);
-            alert('Error loading PDF file: ' + error.message);
-            hideLoading();
+            // Update upload date in report view
+            const uploadDateEl = document.getElementById('upload-date');
+            uploadDateEl.innerHTML = `<i class="fas fa-upload"></i> PDF Uploaded: ${formatDate(subtopic.uploadDate)}`;
+            uploadDateEl.style.display = 'flex';
         }
-    };
-    
-    reader.onerror = function() {
-        alert('Error reading PDF file.');
+        
+        currentDocumentId = doc.id;
+        previewVersionNumber = null;
+        renderDocumentList(subtopic);
+        
+        // Hide folder icon and show PDF viewer
+        document.getElementById('report-icon').classList.add('pdf-uploaded');
+        document.getElementById('upload-section').style.display = 'none';
+        document.getElementById('pdf-viewer').style.display = 'block';
+        document.getElementById('excel-btn').style.display = 'inline-flex';
+        
+        renderPage(pageNum);
         hideLoading();
-    };
-    
-    reader.readAsArrayBuffer(file);
+        return doc;
+    } catch (error) {
+        console.error('Error loading PDF:', error);
+        alert(`Error loading PDF file "${file.name}": ` + error.message);
+        hideLoading();
+        return null;
+    }
+}
+
+// pdf.js transfers the buffer to its worker, so it always gets a copy of the stored bytes
+function openPDFDocument(data) {
+    return pdfjsLib.getDocument(new Uint8Array(toArrayBuffer(data).slice(0))).promise;
 }
 
-function loadSavedPDF(savedPDF) {
+// Get the document currently shown in the viewer
+function getCurrentDocument() {
+    return findDocumentById(findTopicById(currentSubtopicId), currentDocumentId);
+}
+
+function loadSavedPDF(savedPDF, storageKey) {
     showLoading();
+    verifyOpenedDocument(savedPDF, storageKey);
     
     try {
-        let arrayBuffer;
-        
-        // Handle different saved PDF formats
-        if (typeof savedPDF === 'string') {
-            // If it's base64 encoded
-            if (savedPDF.startsWith('data:')) {
-                const base64Data = savedPDF.split(',')[1];
-                const binaryString = atob(base64Data);
-                arrayBuffer = new ArrayBuffer(binaryString.length);
-                const uint8Array = new Uint8Array(arrayBuffer);
-                for (let i = 0; i < binaryString.length; i++) {
-                    uint8Array[i] = binaryString.charCodeAt(i);
-                }
-            } else {
-                // Try to decode as base64
-                const binaryString = atob(savedPDF);
-                arrayBuffer = new ArrayBuffer(binaryString.length);
-                const uint8Array = new Uint8Array(arrayBuffer);
-                for (let i = 0; i < binaryString.length; i++) {
-                    uint8Array[i] = binaryString.charCodeAt(i);
-                }
-            }
-        } else {
-            // If it's already an ArrayBuffer or similar
-            arrayBuffer = savedPDF;
-        }
-        
-        const typedarray = new Uint8Array(arrayBuffer);
-        
-        pdfjsLib.getDocument(typedarray).promise.then(function(pdf) {
+        // Stored as binary; strings only come from localStorage or records not yet migrated
+        openPDFDocument(savedPDF).then(function(pdf) {
             pdfDoc = pdf;
             pageCount = pdf.numPages;
-            pageNum = 1;
+            pageNum = pendingRoute ? Math.min(pendingRoute.page, pdf.numPages) : 1;
+            pendingRoute = null;
+            
+            // Documents migrated from the single-PDF slot have no page count yet
+            const doc = getCurrentDocument();
+            if (doc && !doc.pageCount && storageKey === doc.storageKey) {
+                doc.pageCount = pdf.numPages;
+                const version = getCurrentVersion(doc);
+                if (version) {
+                    version.pageCount = pdf.numPages;
+                }
+                saveData();
+                renderDocumentList(findTopicById(currentSubtopicId));
+            }
             
             // Hide folder icon and show PDF viewer
             document.getElementById('report-icon').classList.add('pdf-uploaded');
@@ -1850,18 +7634,15 @@ function loadSavedPDF(savedPDF) {
             renderPage(pageNum);
             hideLoading();
         }).catch(function(error) {
+            // The stored file is kept so it can be checked or restored from a backup
             console.error('Error loading saved PDF:', error);
-            // Clear invalid saved PDF
-            saveToStorage(`pdf_${currentSubtopicId}`, null);
             hideLoading();
+            alert('❌ The stored PDF could not be opened: ' + error.message);
         });
     } catch (error) {
         console.error('Error processing saved PDF:', error);
-        // Clear invalid saved PDF
-        if (currentSubtopicId) {
-            saveToStorage(`pdf_${currentSubtopicId}`, null);
-        }
         hideLoading();
+        alert('❌ The stored PDF could not be opened: ' + error.message);
     }
 }
 
@@ -1883,6 +7664,7 @@ function renderPage(num) {
         
         // Update page info
         document.getElementById('page-info').textContent = `Page ${num} of ${pageCount}`;
+        updateRoute(false);
     });
 }
 
@@ -1916,7 +7698,14 @@ async function convertToExcel() {
         return;
     }
     
-    if (!pdfDoc) {
+    const folder = findTopicById(currentSubtopicId);
+    if (folder.dateRange) {
+        await convertRangeToExcel(folder);
+        return;
+    }
+    
+    const doc = getCurrentDocument();
+    if (!pdfDoc || !doc) {
         alert('Please upload a PDF first.');
         return;
     }
@@ -1930,10 +7719,11 @@ async function convertToExcel() {
             const ws = XLSX.utils.aoa_to_sheet(textData);
             XLSX.utils.book_append_sheet(wb, ws, 'PDF_Data');
             
-            // Save Excel file as base64
+            // Save Excel file as binary
             const excelBuffer = XLSX.write(wb, { bookType: 'xlsx', type: 'array' });
-            const excelBase64 = btoa(String.fromCharCode.apply(null, new Uint8Array(excelBuffer)));
-            await saveToStorage(`excel_${currentSubtopicId}`, excelBase64);
+            doc.excelKey = `excel_${currentSubtopicId}_${doc.id}`;
+            await saveToStorage(doc.excelKey, toArrayBuffer(excelBuffer));
+            await saveData();
             
             hideLoading();
             alert('PDF converted to Excel successfully! Click "Download Excel" to save the file.');
@@ -1949,15 +7739,109 @@ async function convertToExcel() {
     });
 }
 
-async function extractPDFText() {
+// Each document in the report's date range is converted and kept like a single document;
+// "Download Excel" then saves the workbooks of the range together
+async function convertRangeToExcel(folder) {
+    const documents = getRangeDocuments(folder);
+    if (documents.length === 0) {
+        alert(`No documents of "${folder.name}" fall in ${formatDateRange(folder.dateRange)}.`);
+        return;
+    }
+    
+    showLoading();
+    
+    try {
+        const missing = [];
+        for (let i = 0; i < documents.length; i++) {
+            const doc = documents[i];
+            updateLoadingProgress(`Converting ${doc.fileName} (${i + 1} of ${documents.length})...`, i, documents.length);
+            const savedPDF = await getFromStorage(doc.storageKey);
+            if (!savedPDF) {
+                missing.push(doc.fileName);
+                continue;
+            }
+            
+            const wb = XLSX.utils.book_new();
+            XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(await extractPDFText(await openPDFDocument(savedPDF))), 'PDF_Data');
+            const excelBuffer = XLSX.write(wb, { bookType: 'xlsx', type: 'array' });
+            doc.excelKey = `excel_${folder.id}_${doc.id}`;
+            await saveToStorage(doc.excelKey, toArrayBuffer(excelBuffer));
+        }
+        await saveData();
+        
+        hideLoading();
+        const converted = documents.length - missing.length;
+        alert(`${converted} of ${documents.length} PDFs converted to Excel. Click "Download Excel" to save the files.` +
+            (missing.length > 0 ? `\n\nThese files could not be found in storage:\n${missing.map(name => `• ${name}`).join('\n')}` : ''));
+    } catch (error) {
+        console.error('Error converting PDFs to Excel:', error);
+        hideLoading();
+        alert('Error converting PDFs to Excel: ' + error.message);
+    }
+}
+
+function getExcelFileName(doc) {
+    return `${doc.fileName.replace(/\.pdf$/i, '').replace(/[^a-z0-9]/gi, '_')}.xlsx`;
+}
+
+// Browsers let a page start one download at a time, so the files of a date range are saved as one ZIP
+async function downloadRangeArchive(folder, files, kind) {
+    const fileName = `${folder.name.replace(/[^a-z0-9]/gi, '_')}_${kind}_${folder.dateRange.start}_${folder.dateRange.end}.zip`;
+    const writer = createArchiveWriter(createDownloadSink(fileName));
+    const usedNames = new Set();
+    const missing = [];
+    
+    showLoading();
+    
+    try {
+        for (let i = 0; i < files.length; i++) {
+            updateLoadingProgress(`Adding ${files[i].fileName} (${i + 1} of ${files.length})...`, i, files.length);
+            const data = await getFromStorage(files[i].key);
+            if (!data) {
+                missing.push(files[i].fileName);
+                continue;
+            }
+            await writer.addEntry(toArchiveEntryName(files[i].fileName, usedNames), data);
+        }
+        
+        hideLoading();
+        if (missing.length === files.length) {
+            alert('None of the files could be found in storage.');
+            return;
+        }
+        await writer.finish();
+        if (missing.length > 0) {
+            alert(`These files could not be found in storage and were left out:\n\n${missing.map(name => `• ${name}`).join('\n')}`);
+        }
+    } catch (error) {
+        console.error('Error creating the archive:', error);
+        hideLoading();
+        alert('Error creating the archive: ' + error.message);
+    }
+}
+
+// Two documents of a folder can share a file name; the second becomes "name (2).pdf" in the archive
+function toArchiveEntryName(fileName, usedNames) {
+    const dot = fileName.lastIndexOf('.');
+    const base = dot > 0 ? fileName.slice(0, dot) : fileName;
+    const extension = dot > 0 ? fileName.slice(dot) : '';
+    let name = fileName;
+    for (let n = 2; usedNames.has(name.toLowerCase()); n++) {
+        name = `${base} (${n})${extension}`;
+    }
+    usedNames.add(name.toLowerCase());
+    return name;
+}
+
+async function extractPDFText(pdf = pdfDoc) {
     const textData = [];
     
     try {
         // Add headers
         textData.push(['Page', 'Content']);
         
-        for (let i = 1; i <= pageCount; i++) {
-            const page = await pdfDoc.getPage(i);
+        for (let i = 1; i <= pdf.numPages; i++) {
+            const page = await pdf.getPage(i);
             const textContent = await page.getTextContent();
             
             let pageText = '';
@@ -1993,72 +7877,65 @@ async function downloadAsExcel() {
         return;
     }
     
-    const excelBase64 = await getFromStorage(`excel_${currentSubtopicId}`);
-    if (!excelBase64) {
+    const folder = findTopicById(currentSubtopicId);
+    if (folder.dateRange) {
+        const converted = getRangeDocuments(folder).filter(doc => doc.excelKey);
+        if (converted.length === 0) {
+            alert(`No Excel data found for ${formatDateRange(folder.dateRange)}. Please convert the PDFs first.`);
+            return;
+        }
+        if (converted.length > 1) {
+            await downloadRangeArchive(folder, converted.map(doc => ({ key: doc.excelKey, fileName: getExcelFileName(doc) })), 'Excel');
+            return;
+        }
+    }
+    
+    const doc = folder.dateRange ? getRangeDocuments(folder).find(d => d.excelKey) : getCurrentDocument();
+    const excelData = doc && doc.excelKey ? await getFromStorage(doc.excelKey) : null;
+    if (!excelData) {
         alert('No Excel data found. Please convert the PDF first.');
         return;
     }
     
     try {
-        // Convert base64 back to binary
-        const binaryString = atob(excelBase64);
-        const bytes = new Uint8Array(binaryString.length);
-        for (let i = 0; i < binaryString.length; i++) {
-            bytes[i] = binaryString.charCodeAt(i);
-        }
-        
-        const blob = new Blob([bytes], { 
-            type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' 
-        });
-        
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = `${document.getElementById('report-title').textContent.replace(/[^a-z0-9]/gi, '_')}.xlsx`;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
+        downloadBinaryFile(excelData, getExcelFileName(doc),
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
     } catch (error) {
         console.error('Error downloading Excel file:', error);
         alert('Error downloading Excel file: ' + error.message);
     }
 }
 
-// Export to PDF
+// Export to PDF - the open document, or every document in the report's date range
 async function exportToPDF() {
     if (!currentSubtopicId) {
         alert('Please select a PDF folder first.');
         return;
     }
     
-    const savedPDF = await getFromStorage(`pdf_${currentSubtopicId}`);
-    if (!savedPDF) {
-        alert('No PDF found for this report.');
+    const folder = findTopicById(currentSubtopicId);
+    if (folder.dateRange) {
+        const documents = getRangeDocuments(folder);
+        if (documents.length === 0) {
+            alert(`No documents of "${folder.name}" fall in ${formatDateRange(folder.dateRange)}.`);
+            return;
+        }
+        if (documents.length > 1) {
+            await downloadRangeArchive(folder, documents.map(doc => ({ key: doc.storageKey, fileName: doc.fileName })), 'PDFs');
+            return;
+        }
+        
+        await downloadDocument(documents[0].id);
         return;
     }
     
-    try {
-        // Convert base64 back to binary
-        const binaryString = atob(savedPDF);
-        const bytes = new Uint8Array(binaryString.length);
-        for (let i = 0; i < binaryString.length; i++) {
-            bytes[i] = binaryString.charCodeAt(i);
-        }
-        
-        const blob = new Blob([bytes], { type: 'application/pdf' });
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = `${document.getElementById('report-title').textContent.replace(/[^a-z0-9]/gi, '_')}.pdf`;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
-    } catch (error) {
-        console.error('Error exporting PDF:', error);
-        alert('Error exporting PDF: ' + error.message);
+    const doc = getCurrentDocument();
+    if (!doc) {
+        alert('No PDF found for this report.');
+        return;
     }
+    
+    await downloadDocument(doc.id);
 }
 
 // Print report
@@ -2075,20 +7952,6 @@ function printReport() {
     }
 }
 
-// Set date range
-async function setDateRange() {
-    const startDate = prompt('Enter start date (YYYY-MM-DD):');
-    const endDate = prompt('Enter end date (YYYY-MM-DD):');
-    
-    if (startDate && endDate) {
-        alert(`Date range set: ${startDate} to ${endDate}`);
-        // Store date range for current report
-        if (currentSubtopicId) {
-            await saveToStorage(`dateRange_${currentSubtopicId}`, JSON.stringify({ startDate, endDate }));
-        }
-    }
-}
-
 // Modal functions
 function closeModal() {
     document.getElementById('topic-modal').style.display = 'none';
@@ -2105,22 +7968,123 @@ function showLoading() {
 
 function hideLoading() {
     document.getElementById('loading').style.display = 'none';
+    document.getElementById('loading-message').textContent = 'Processing...';
+    document.getElementById('loading-progress').style.display = 'none';
+}
+
+// Show a step message and, when a total is known, a progress bar in the loading overlay
+function updateLoadingProgress(message, done, total) {
+    document.getElementById('loading-message').textContent = message;
+    
+    const progress = document.getElementById('loading-progress');
+    if (total) {
+        document.getElementById('loading-progress-bar').style.width = `${Math.round((done / total) * 100)}%`;
+        progress.style.display = 'block';
+    } else {
+        progress.style.display = 'none';
+    }
+}
+
+// Offline app - the service worker (sw.js) caches the app and its bundled libraries. A new
+// version installs in the background and waits until the user reloads into it.
+const SERVICE_WORKER_URL = 'sw.js';
+const SERVICE_WORKER_UPDATE_INTERVAL = 60 * 60 * 1000;
+let waitingServiceWorker = null;
+
+async function setupServiceWorker() {
+    // Service workers need the app to be served over http(s), not opened from disk
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') {
+        console.log('⚠️ Offline mode not available - serve the app over http(s) to install it');
+        return;
+    }
+    
+    try {
+        const registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+        const hadController = Boolean(navigator.serviceWorker.controller);
+        
+        // An update downloaded during an earlier visit
+        if (registration.waiting && hadController) {
+            showUpdateBanner(registration.waiting);
+        }
+        
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                // The first install has no older version to replace
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    showUpdateBanner(worker);
+                }
+            });
+        });
+        
+        // The new version took over, here or from another tab's update prompt
+        let reloading = false;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (!hadController || reloading) return;
+            reloading = true;
+            location.reload();
+        });
+        
+        // Tabs left open for days still hear about new versions
+        setInterval(() => registration.update(), SERVICE_WORKER_UPDATE_INTERVAL);
+        console.log('📴 Offline mode ready');
+    } catch (error) {
+        console.error('Service worker registration failed:', error);
+    }
+}
+
+function showUpdateBanner(worker) {
+    waitingServiceWorker = worker;
+    document.getElementById('update-banner').style.display = 'flex';
+}
+
+function dismissUpdateBanner() {
+    document.getElementById('update-banner').style.display = 'none';
+}
+
+function applyUpdate() {
+    dismissUpdateBanner();
+    if (waitingServiceWorker) {
+        waitingServiceWorker.postMessage({ type: 'skip-waiting' });
+    }
 }
 
 // Keyboard shortcuts
 document.addEventListener('keydown', function(e) {
     // ESC to close modals
     if (e.key === 'Escape') {
+        cancelPassphrase();
+        closeExportModal();
         closeModal();
         closeSubtopicModal();
         closeRenameModal();
         closeStorageModal();
         closeImportModal();
+        closeVersionModal();
+        closeImportReview();
+        closeTrashModal();
+        closeFolderPicker();
+        closeStorageCheck();
+        closeBackupModal();
+        closeWorkspaceModal();
+        closeDuplicateModal();
+        closeSaveTemplateModal();
+        closeTemplatesModal();
+        closePeriodModal();
+        closePeriodSettings();
+        closeDateRangeModal();
+        closeFieldsModal();
+        closeMetadataModal();
     }
     
     // Enter to submit forms in modals
     if (e.key === 'Enter') {
-        if (document.getElementById('topic-modal').style.display === 'block') {
+        // The passphrase dialog opens over other dialogs
+        if (document.getElementById('passphrase-modal').style.display === 'block') {
+            submitPassphrase();
+        } else if (document.getElementById('export-modal').style.display === 'block') {
+            exportAllData();
+        } else if (document.getElementById('topic-modal').style.display === 'block') {
             createTopic();
         } else if (document.getElementById('subtopic-modal').style.display === 'block') {
             createSubtopic();
@@ -2128,6 +8092,34 @@ document.addEventListener('keydown', function(e) {
             confirmRename();
         } else if (document.getElementById('import-modal').style.display === 'block') {
             performImport();
+        } else if (document.getElementById('version-modal').style.display === 'block') {
+            confirmVersionUpload();
+        } else if (document.getElementById('folder-picker-modal').style.display === 'block') {
+            confirmFolderPicker();
+        } else if (document.getElementById('workspace-modal').style.display === 'block') {
+            createWorkspace();
+        } else if (document.getElementById('duplicate-modal').style.display === 'block') {
+            confirmDuplicate();
+        } else if (document.getElementById('template-save-modal').style.display === 'block') {
+            confirmSaveTemplate();
+        } else if (document.getElementById('period-modal').style.display === 'block') {
+            confirmDocumentPeriod();
+        } else if (document.getElementById('period-settings-modal').style.display === 'block') {
+            savePeriodSettings();
+        } else if (document.getElementById('date-range-modal').style.display === 'block') {
+            confirmDateRange();
+        } else if (document.getElementById('fields-modal').style.display === 'block') {
+            addCustomField();
+        }
+    }
+    
+    // Ctrl+Z / Ctrl+Shift+Z to undo and redo tree edits; text fields keep their own undo
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z' && !e.target.matches('input, textarea')) {
+        e.preventDefault();
+        if (e.shiftKey) {
+            redo();
+        } else {
+            undo();
         }
     }
     
@@ -2155,6 +8147,23 @@ window.onclick = function(event) {
     const renameModal = document.getElementById('rename-modal');
     const storageModal = document.getElementById('storage-modal');
     const importModal = document.getElementById('import-modal');
+    const versionModal = document.getElementById('version-modal');
+    const importReviewModal = document.getElementById('import-review-modal');
+    const trashModal = document.getElementById('trash-modal');
+    const folderPickerModal = document.getElementById('folder-picker-modal');
+    const storageCheckModal = document.getElementById('storage-check-modal');
+    const backupModal = document.getElementById('backup-modal');
+    const exportModal = document.getElementById('export-modal');
+    const passphraseModal = document.getElementById('passphrase-modal');
+    const workspaceModal = document.getElementById('workspace-modal');
+    const duplicateModal = document.getElementById('duplicate-modal');
+    const templatesModal = document.getElementById('templates-modal');
+    const templateSaveModal = document.getElementById('template-save-modal');
+    const periodModal = document.getElementById('period-modal');
+    const periodSettingsModal = document.getElementById('period-settings-modal');
+    const dateRangeModal = document.getElementById('date-range-modal');
+    const fieldsModal = document.getElementById('fields-modal');
+    const metadataModal = document.getElementById('metadata-modal');
     
     if (event.target === topicModal) {
         closeModal();
@@ -2171,4 +8180,55 @@ window.onclick = function(event) {
     if (event.target === importModal) {
         closeImportModal();
     }
+    if (event.target === versionModal) {
+        closeVersionModal();
+    }
+    if (event.target === importReviewModal) {
+        closeImportReview();
+    }
+    if (event.target === trashModal) {
+        closeTrashModal();
+    }
+    if (event.target === folderPickerModal) {
+        closeFolderPicker();
+    }
+    if (event.target === storageCheckModal) {
+        closeStorageCheck();
+    }
+    if (event.target === backupModal) {
+        closeBackupModal();
+    }
+    if (event.target === exportModal) {
+        closeExportModal();
+    }
+    if (event.target === passphraseModal) {
+        cancelPassphrase();
+    }
+    if (event.target === workspaceModal) {
+        closeWorkspaceModal();
+    }
+    if (event.target === duplicateModal) {
+        closeDuplicateModal();
+    }
+    if (event.target === templatesModal) {
+        closeTemplatesModal();
+    }
+    if (event.target === templateSaveModal) {
+        closeSaveTemplateModal();
+    }
+    if (event.target === periodModal) {
+        closePeriodModal();
+    }
+    if (event.target === periodSettingsModal) {
+        closePeriodSettings();
+    }
+    if (event.target === dateRangeModal) {
+        closeDateRangeModal();
+    }
+    if (event.target === fieldsModal) {
+        closeFieldsModal();
+    }
+    if (event.target === metadataModal) {
+        closeMetadataModal();
+    }
 };
\ No newline at end of file
@@ -0,0 +1,282 @@
+// ASTURI sync server - reference implementation of the REST API used by the app's sync server
+// storage adapter. It has no dependencies beyond Node.js itself:
+//
+//     node server/sync-server.js
+//
+// PORT (default 8787), ASTURI_DATA_DIR (default server/data) and ASTURI_MAX_FILE_SIZE (bytes,
+// default 500 MB) configure it. Enter http://<this machine's address>:<port> under
+// Storage Info > Team sync server in the app.
+// There is no authentication, so only run it on a trusted office network.
+//
+// API
+//     GET    /api/topics           -> { data, version, revision, timestamp } or 404 when empty
+//     PUT    /api/topics           <- { data, version, baseRevision }; 409 with the stored record
+//                                     when baseRevision is not the latest revision
+//     GET    /api/files            -> [{ key, size, timestamp }]
+//     GET    /api/files/:key       -> file bytes
+//     PUT    /api/files/:key       <- file bytes
+//     DELETE /api/files/:key
+//     GET    /api/settings         -> { key: value, ... }
+//     PUT    /api/settings/:key    <- { value }
+//
+// Workspaces other than the first have the same topics, files and settings routes under
+// /api/workspaces/:id, kept in data/workspaces/<id>. The list of workspaces is a setting of the first.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_DIR = path.resolve(process.env.ASTURI_DATA_DIR || path.join(__dirname, 'data'));
+const MAX_JSON_SIZE = 50 * 1024 * 1024;
+const MAX_FILE_SIZE = Number(process.env.ASTURI_MAX_FILE_SIZE) || 500 * 1024 * 1024;
+
+// Storage keys look like pdf_<folder>_<document>_v<n>; anything else could escape the data folder
+const KEY_PATTERN = /^[A-Za-z0-9_-][A-Za-z0-9_.-]*$/;
+
+// Where one workspace's data lives; the first workspace (no id) uses DATA_DIR itself
+function getStore(workspaceId) {
+    const dir = workspaceId ? path.join(DATA_DIR, 'workspaces', workspaceId) : DATA_DIR;
+    const store = {
+        filesDir: path.join(dir, 'files'),
+        topicsFile: path.join(dir, 'topics.json'),
+        settingsFile: path.join(dir, 'settings.json')
+    };
+    fs.mkdirSync(store.filesDir, { recursive: true });
+    return store;
+}
+
+getStore(null);
+
+function readJSON(file, fallback) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        return fallback;
+    }
+}
+
+// Write to a temporary file first so a crash never leaves half a file behind
+function writeFileAtomic(file, data) {
+    const temp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, data);
+    fs.renameSync(temp, file);
+}
+
+function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req, limit) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > limit) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+// JSON request bodies are objects such as { data } or { value }
+async function readJSONBody(req) {
+    const body = JSON.parse(await readBody(req, MAX_JSON_SIZE));
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw Object.assign(new Error('The request body must be a JSON object'), { status: 400 });
+    }
+    return body;
+}
+
+// Stream a request body into a file. Rejects, and removes the file, when the body grows past
+// limit or the client goes away before it was sent in full.
+function streamToFile(req, file, limit) {
+    return new Promise((resolve, reject) => {
+        const out = fs.createWriteStream(file);
+        let size = 0;
+        let settled = false;
+        const fail = error => {
+            if (settled) return;
+            settled = true;
+            req.unpipe(out);
+            out.on('close', () => fs.rm(file, { force: true }, () => {}));
+            out.destroy();
+            reject(error);
+        };
+        
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > limit) {
+                fail(Object.assign(new Error('File too large'), { status: 413 }));
+                req.destroy();
+            }
+        });
+        req.on('close', () => {
+            if (!req.complete) fail(new Error('Upload aborted'));
+        });
+        req.on('error', fail);
+        out.on('error', fail);
+        out.on('finish', () => {
+            settled = true;
+            resolve();
+        });
+        req.pipe(out);
+    });
+}
+
+async function handleTopics(req, res, store) {
+    if (req.method === 'GET') {
+        const current = readJSON(store.topicsFile, null);
+        return current ? send(res, 200, current) : send(res, 404, { error: 'No topics saved yet' });
+    }
+
+    if (req.method === 'PUT') {
+        const body = await readJSONBody(req);
+        if (!Array.isArray(body.data)) {
+            return send(res, 400, { error: 'data must be the topics list' });
+        }
+
+        // Read the stored record only once the body is in: from here to the write nothing awaits,
+        // so a PUT that arrived at the same time cannot pass the same revision check
+        const current = readJSON(store.topicsFile, null);
+        const currentRevision = current ? current.revision : 0;
+        if (body.baseRevision !== currentRevision) {
+            return send(res, 409, current);
+        }
+
+        const record = {
+            data: body.data,
+            version: body.version,
+            revision: currentRevision + 1,
+            timestamp: new Date().toISOString()
+        };
+        writeFileAtomic(store.topicsFile, JSON.stringify(record));
+        console.log(`Saved topics revision ${record.revision}`);
+        return send(res, 200, { revision: record.revision });
+    }
+
+    send(res, 405, { error: 'Method not allowed' });
+}
+
+async function handleFile(req, res, store, key) {
+    const file = path.join(store.filesDir, key);
+
+    if (req.method === 'GET') {
+        if (!fs.existsSync(file)) {
+            return send(res, 404, { error: 'File not found' });
+        }
+        res.writeHead(200, { 'Content-Type': 'application/octet-stream', 'Content-Length': fs.statSync(file).size });
+        return fs.createReadStream(file).pipe(res);
+    }
+
+    if (req.method === 'PUT') {
+        if (Number(req.headers['content-length']) > MAX_FILE_SIZE) {
+            return send(res, 413, { error: 'File too large' });
+        }
+
+        // Stream straight to disk so large PDFs are never held in memory. Each upload has its own
+        // temporary file, so two uploads of the same key never write into the same file.
+        const temp = `${file}.${process.pid}.${crypto.randomUUID()}.tmp`;
+        await streamToFile(req, temp, MAX_FILE_SIZE);
+        fs.renameSync(temp, file);
+        return send(res, 204);
+    }
+
+    if (req.method === 'DELETE') {
+        fs.rmSync(file, { force: true });
+        return send(res, 204);
+    }
+
+    send(res, 405, { error: 'Method not allowed' });
+}
+
+function listFiles(res, store) {
+    const files = fs.readdirSync(store.filesDir)
+        .filter(name => KEY_PATTERN.test(name) && !name.endsWith('.tmp'))
+        .map(name => {
+            const stat = fs.statSync(path.join(store.filesDir, name));
+            return { key: name, size: stat.size, timestamp: stat.mtime.toISOString() };
+        });
+    send(res, 200, files);
+}
+
+async function handleSetting(req, res, store, key) {
+    if (req.method !== 'PUT') {
+        return send(res, 405, { error: 'Method not allowed' });
+    }
+
+    const body = await readJSONBody(req);
+    const settings = readJSON(store.settingsFile, {});
+    settings[key] = body.value;
+    writeFileAtomic(store.settingsFile, JSON.stringify(settings));
+    send(res, 204);
+}
+
+const server = http.createServer(async (req, res) => {
+    // The app may be opened from another host or straight from disk
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        return res.end();
+    }
+
+    try {
+        // A malformed escape such as %E0 throws a URIError, answered with 400 below
+        const url = new URL(req.url, 'http://localhost');
+        let parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+        if (parts[0] !== 'api') {
+            return send(res, 404, { error: 'Not found' });
+        }
+
+        let workspaceId = null;
+        if (parts[1] === 'workspaces') {
+            if (parts.length < 4 || !KEY_PATTERN.test(parts[2])) {
+                return send(res, 404, { error: 'Not found' });
+            }
+            workspaceId = parts[2];
+            parts = ['api', ...parts.slice(3)];
+        }
+        const store = getStore(workspaceId);
+
+        if (parts[1] === 'topics' && parts.length === 2) {
+            return await handleTopics(req, res, store);
+        }
+        if (parts[1] === 'files' && parts.length === 2 && req.method === 'GET') {
+            return listFiles(res, store);
+        }
+        if (parts[1] === 'files' && parts.length === 3 && KEY_PATTERN.test(parts[2])) {
+            return await handleFile(req, res, store, parts[2]);
+        }
+        if (parts[1] === 'settings' && parts.length === 2 && req.method === 'GET') {
+            return send(res, 200, readJSON(store.settingsFile, {}));
+        }
+        if (parts[1] === 'settings' && parts.length === 3 && KEY_PATTERN.test(parts[2])) {
+            return await handleSetting(req, res, store, parts[2]);
+        }
+        send(res, 404, { error: 'Not found' });
+    } catch (error) {
+        console.error(`${req.method} ${req.url} failed:`, error);
+        if (!res.headersSent) {
+            const isBadRequest = error instanceof SyntaxError || error instanceof URIError;
+            send(res, error.status || (isBadRequest ? 400 : 500), { error: error.message });
+        } else {
+            res.destroy();
+        }
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`ASTURI sync server listening on port ${PORT}, data in ${DATA_DIR}`);
+});
@@ -0,0 +1,69 @@
+// ASTURI service worker - keeps the app and its bundled libraries in a cache so it opens and
+// works without an internet connection.
+//
+// Bump CACHE_VERSION whenever any file in APP_FILES changes. Browsers then install the new
+// version in the background and open tabs offer to reload into it.
+const CACHE_VERSION = 'asturi-v24';
+const CACHE_PREFIX = 'asturi-';
+
+const APP_FILES = [
+    './',
+    'index.html',
+    'aspuri.html',
+    'styles.css',
+    'script.js',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'vendor/pdfjs/pdf.min.js',
+    'vendor/pdfjs/pdf.worker.min.js',
+    'vendor/xlsx/xlsx.full.min.js',
+    'vendor/fontawesome/css/all.min.css',
+    'vendor/fontawesome/webfonts/fa-brands-400.woff2',
+    'vendor/fontawesome/webfonts/fa-regular-400.woff2',
+    'vendor/fontawesome/webfonts/fa-solid-900.woff2',
+    'vendor/fontawesome/webfonts/fa-v4compatibility.woff2'
+];
+
+self.addEventListener('install', event => {
+    // Fetch past the HTTP cache so a new version never caches stale files
+    event.waitUntil(
+        caches.open(CACHE_VERSION).then(cache => cache.addAll(APP_FILES.map(file => new Request(file, { cache: 'reload' }))))
+    );
+});
+
+// A new version waits until the user accepts the update prompt in the app
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'skip-waiting') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_VERSION).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    
+    // The sync server and anything else on another origin always go to the network
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+    
+    event.respondWith(
+        caches.match(request, { ignoreSearch: true }).then(cached => {
+            if (cached) return cached;
+            
+            return fetch(request).catch(error => {
+                // Offline, any page of the app opens the cached app
+                if (request.mode === 'navigate') {
+                    return caches.match('index.html');
+                }
+                throw error;
+            });
+        })
+    );
+});